@@ -8,7 +8,7 @@
  */
 
 import { NavigationManager } from './navigation.js';
-import { moduleCoordinator, pdfGenerator } from './modules.js';
+import { moduleCoordinator, pdfGenerator, dataLayer } from './modules.js';
 import { config } from './config-manager.js';
 import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
 import { showPdfFormScreen, ensurePdfSpinner, downloadWithFallback } from './pdf-generator.js';
@@ -16,6 +16,11 @@ import { StorageManager } from './storage.js';
 import { FileImportManager } from './file-import.js';
 import { ProductGridManager } from './product-grid.js';
 import { browserCompatibility, isSamsungDevice } from './browser-compatibility.js';
+import { offlineManager } from './offline-cache.js';
+import { persistentStore } from './persistent-store.js';
+import { storageSchema } from './storage-schema.js';
+import { tabSync } from './tab-sync.js';
+import { storageMonitor } from './storage-monitor.js';
 
 /**
  * Main Application Class
@@ -43,6 +48,12 @@ class SeimaScanner {
     try {
       errorHandler.log('Initializing application modules', LogLevel.INFO);
 
+      // Saved selections and projects are read from IndexedDB into memory first,
+      // then brought up to the current storage schema and kept in step with other tabs
+      await persistentStore.init();
+      storageSchema.run();
+      tabSync.init();
+
       // Initialize browser compatibility monitoring
       const compatReport = browserCompatibility.getCompatibilityReport();
       errorHandler.log(`Browser compatibility: ${compatReport.score}% (${compatReport.browserName})`, LogLevel.INFO);
@@ -65,6 +76,12 @@ class SeimaScanner {
       // Initialize product grid manager directly (since grid is now the home page)
       this.productGridManager.init();
 
+      // Service worker for offline use; not awaited so startup is not held up
+      offlineManager.register();
+
+      // Warn when storage is nearly full (the grid shows the warning, so after its init)
+      storageMonitor.init();
+
       // Make services globally available for compatibility
       window.navigationManager = this.navigationManager;
       window.productGridManager = this.productGridManager;
@@ -168,6 +185,53 @@ class SeimaScanner {
     }
   }
 
+  /**
+   * Show a non-blocking banner when a newer catalog has been fetched in the background.
+   * The catalog is only swapped in when the user clicks "Apply", so open dropdowns,
+   * half-typed rows and modals are left alone until they are ready.
+   * @param {{added: string[], removed: string[], changed: string[], total: number}} diff
+   */
+  showCatalogUpdateBanner(diff) {
+    document.getElementById('catalog-update-banner')?.remove();
+
+    const parts = [];
+    if (diff.changed.length) {parts.push(`${diff.changed.length} changed`);}
+    if (diff.added.length) {parts.push(`${diff.added.length} added`);}
+    if (diff.removed.length) {parts.push(`${diff.removed.length} removed`);}
+
+    const banner = document.createElement('div');
+    banner.id = 'catalog-update-banner';
+    banner.style.cssText = `
+      position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: 9998;
+      background: #eff6ff; border: 1px solid #2563eb; border-radius: 8px;
+      padding: 10px 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      font-size: 14px; line-height: 1.4; display: flex; align-items: center; gap: 12px;
+    `;
+    banner.innerHTML = `
+      <span style="font-size: 18px;">🔄</span>
+      <div>
+        <strong style="color: #1e3a8a;">Catalog updated</strong>
+        <div style="color: #1e40af; font-size: 13px;">${parts.join(', ')}</div>
+      </div>
+      <button data-action="apply" style="
+        padding: 4px 10px; border: none; background: #2563eb;
+        color: white; border-radius: 3px; cursor: pointer; font-size: 12px;
+      ">Apply</button>
+      <button data-action="later" style="
+        padding: 4px 10px; border: 1px solid #2563eb; background: transparent;
+        color: #2563eb; border-radius: 3px; cursor: pointer; font-size: 12px;
+      ">Later</button>
+    `;
+
+    banner.querySelector('[data-action="apply"]').onclick = () => {
+      dataLayer.applyPendingCatalog();
+      banner.remove();
+    };
+    banner.querySelector('[data-action="later"]').onclick = () => banner.remove();
+
+    document.body.appendChild(banner);
+  }
+
   setupGlobalEventListeners() {
     // Listen for PDF generation requests
     window.addEventListener('generatePdf', (event) => {
@@ -176,6 +240,11 @@ class SeimaScanner {
       showPdfFormScreen(userDetails);
     });
 
+    // Offer a refreshed catalog without reloading the page
+    window.addEventListener('catalogUpdateAvailable', (event) => {
+      this.showCatalogUpdateBanner(event.detail);
+    });
+
     // Handle window unload for cleanup
     window.addEventListener('beforeunload', () => {
       // Cleanup any active resources
@@ -0,0 +1,507 @@
+/**
+ * Barcode Scanner
+ * Decodes EAN-13, UPC-A, EAN-8, Code 128 and Code 39 barcodes from a photo, in plain
+ * JavaScript with no camera library. The image is sampled along horizontal and vertical
+ * scan lines; each line is binarised against a moving average, turned into bar/space run
+ * widths and matched against each symbology in both directions. A code counts once its
+ * check digit passes (Code 39, which has none, must be read on two lines).
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { dataLayer } from './data-layer.js';
+
+export const BarcodeFormat = {
+  EAN_13: 'EAN-13',
+  UPC_A: 'UPC-A',
+  EAN_8: 'EAN-8',
+  CODE_128: 'Code 128',
+  CODE_39: 'Code 39'
+};
+
+// Average and single-element tolerances when matching run widths to a pattern, in modules
+const MAX_AVG_VARIANCE = 0.42;
+const MAX_ELEMENT_VARIANCE = 0.85;
+// Pixels averaged across each scan line
+const SAMPLE_BAND = 5;
+
+// EAN/UPC digit patterns (space-bar-space-bar widths for L codes; R codes are the same widths
+// starting with a bar; G codes are the L widths reversed)
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const LG_PATTERNS = [...L_PATTERNS, ...L_PATTERNS.map(p => [...p].reverse())];
+// Parity of the six left digits (bit set = G code) for first digits 0-9
+const FIRST_DIGIT_PARITY = [0x00, 0x0B, 0x0D, 0x0E, 0x13, 0x19, 0x1C, 0x15, 0x16, 0x1A];
+
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '233111'
+].map(p => p.split('').map(Number));
+const CODE128_START_A = 103;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+const CODE128_START_PATTERNS = CODE128_PATTERNS.slice(CODE128_START_A, CODE128_STOP);
+
+const CODE39_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+// Wide elements of each character, first element as the top bit
+const CODE39_ENCODINGS = [
+  0x034, 0x121, 0x061, 0x160, 0x031, 0x130, 0x070, 0x025, 0x124, 0x064,
+  0x109, 0x049, 0x148, 0x019, 0x118, 0x058, 0x00D, 0x10C, 0x04C, 0x01C,
+  0x103, 0x043, 0x142, 0x013, 0x112, 0x052, 0x007, 0x106, 0x046, 0x016,
+  0x181, 0x0C1, 0x1C0, 0x091, 0x190, 0x0D0, 0x085, 0x184, 0x0C4, 0x0A8,
+  0x0A2, 0x08A, 0x02A
+];
+const CODE39_ASTERISK = 0x094;
+
+/**
+ * Sum of `count` runs from `start`
+ * @private
+ */
+function sumRuns(runs, start, count) {
+  let total = 0;
+  for (let i = start; i < start + count; i++) {total += runs[i];}
+  return total;
+}
+
+/**
+ * How far runs are from a pattern, in modules per element (Infinity if any element is off)
+ * @private
+ */
+function patternVariance(runs, start, pattern, unit) {
+  let total = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const variance = Math.abs(runs[start + i] / unit - pattern[i]);
+    if (variance > MAX_ELEMENT_VARIANCE) {return Infinity;}
+    total += variance;
+  }
+  return total / pattern.length;
+}
+
+/**
+ * Index of the closest pattern, or -1
+ * @private
+ */
+function bestPattern(runs, start, patterns, modules) {
+  const unit = sumRuns(runs, start, patterns[0].length) / modules;
+  let best = -1;
+  let bestVariance = MAX_AVG_VARIANCE;
+  patterns.forEach((pattern, index) => {
+    const variance = patternVariance(runs, start, pattern, unit);
+    if (variance < bestVariance) {
+      best = index;
+      bestVariance = variance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Whether runs are all about one module wide (EAN/UPC guards)
+ * @private
+ */
+function isGuard(runs, start, count, unit) {
+  return patternVariance(runs, start, new Array(count).fill(1), unit) < MAX_AVG_VARIANCE;
+}
+
+/**
+ * Whether the space before a symbol is wide enough to be a quiet zone
+ * @private
+ */
+function hasQuietZone(runs, start, unit, modules) {
+  return start === 0 || runs[start - 1] >= unit * modules;
+}
+
+/**
+ * Mod-10 check used by EAN/UPC
+ * @param {string} digits - Including the check digit
+ * @returns {boolean}
+ */
+export function isValidEanChecksum(digits) {
+  if (!/^\d{8,14}$/.test(digits)) {return false;}
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * EAN-13 (and UPC-A, its subset with a leading 0) starting at a bar
+ * @private
+ */
+function decodeEan13(runs, start) {
+  if (start + 59 > runs.length) {return null;}
+  const unit = sumRuns(runs, start, 59) / 95;
+  if (!hasQuietZone(runs, start, unit, 5) || !isGuard(runs, start, 3, unit) || !isGuard(runs, start + 27, 5, unit) ||
+      !isGuard(runs, start + 56, 3, unit)) {return null;}
+
+  let digits = '';
+  let parity = 0;
+  for (let d = 0; d < 6; d++) {
+    const match = bestPattern(runs, start + 3 + d * 4, LG_PATTERNS, 7);
+    if (match < 0) {return null;}
+    digits += match % 10;
+    parity = (parity << 1) | (match >= 10 ? 1 : 0);
+  }
+  const first = FIRST_DIGIT_PARITY.indexOf(parity);
+  if (first < 0) {return null;}
+  for (let d = 0; d < 6; d++) {
+    const match = bestPattern(runs, start + 32 + d * 4, L_PATTERNS, 7);
+    if (match < 0) {return null;}
+    digits += match;
+  }
+
+  const text = `${first}${digits}`;
+  if (!isValidEanChecksum(text)) {return null;}
+  return first === 0
+    ? { format: BarcodeFormat.UPC_A, text: text.slice(1) }
+    : { format: BarcodeFormat.EAN_13, text };
+}
+
+/**
+ * EAN-8 starting at a bar
+ * @private
+ */
+function decodeEan8(runs, start) {
+  if (start + 43 > runs.length) {return null;}
+  const unit = sumRuns(runs, start, 43) / 67;
+  if (!hasQuietZone(runs, start, unit, 5) || !isGuard(runs, start, 3, unit) || !isGuard(runs, start + 19, 5, unit) ||
+      !isGuard(runs, start + 40, 3, unit)) {return null;}
+
+  let text = '';
+  for (let d = 0; d < 8; d++) {
+    const match = bestPattern(runs, start + (d < 4 ? 3 : 8) + d * 4, L_PATTERNS, 7);
+    if (match < 0) {return null;}
+    text += match;
+  }
+  return isValidEanChecksum(text) ? { format: BarcodeFormat.EAN_8, text } : null;
+}
+
+/**
+ * Code 128 starting at a bar
+ * @private
+ */
+function decodeCode128(runs, start) {
+  if (start + 6 > runs.length) {return null;}
+  const startMatch = bestPattern(runs, start, CODE128_START_PATTERNS, 11);
+  if (startMatch < 0) {return null;}
+  const startCode = CODE128_START_A + startMatch;
+  if (!hasQuietZone(runs, start, sumRuns(runs, start, 6) / 11, 5)) {return null;}
+
+  const values = [startCode];
+  let pos = start + 6;
+  for (;;) {
+    if (pos + 7 > runs.length) {return null;}
+    const value = bestPattern(runs, pos, CODE128_PATTERNS, 11);
+    if (value < 0 || (value >= CODE128_START_A && value <= CODE128_START_C)) {return null;}
+    if (value === CODE128_STOP) {
+      // The stop pattern ends with a two-module bar
+      const unit = sumRuns(runs, pos, 6) / 11;
+      if (Math.abs(runs[pos + 6] / unit - 2) > MAX_ELEMENT_VARIANCE) {return null;}
+      break;
+    }
+    values.push(value);
+    pos += 6;
+  }
+  if (values.length < 3) {return null;}
+
+  const check = values.pop();
+  const sum = values.reduce((total, value, index) => total + value * Math.max(index, 1), 0);
+  if (sum % 103 !== check) {return null;}
+
+  let codeSet = startCode;
+  let shift = false;
+  let text = '';
+  values.slice(1).forEach(value => {
+    const set = shift ? (codeSet === CODE128_START_A ? CODE128_START_B : CODE128_START_A) : codeSet;
+    shift = false;
+    if (set === CODE128_START_C) {
+      if (value < 100) {
+        text += value.toString().padStart(2, '0');
+      } else if (value === 100) {
+        codeSet = CODE128_START_B;
+      } else if (value === 101) {
+        codeSet = CODE128_START_A;
+      }
+      return;
+    }
+    if (value < 96) {
+      text += set === CODE128_START_A && value >= 64
+        ? String.fromCharCode(value - 64)
+        : String.fromCharCode(value + 32);
+    } else if (value === 98) {
+      shift = true;
+    } else if (value === 99) {
+      codeSet = CODE128_START_C;
+    } else if (value === 100 && set === CODE128_START_A) {
+      codeSet = CODE128_START_B;
+    } else if (value === 101 && set === CODE128_START_B) {
+      codeSet = CODE128_START_A;
+    }
+    // FNC1-4 carry no text
+  });
+  return text ? { format: BarcodeFormat.CODE_128, text } : null;
+}
+
+/**
+ * Code 39 character (9 elements, 3 wide) at a bar, as its encoding, or -1
+ * @private
+ */
+function code39Pattern(runs, start) {
+  if (start + 9 > runs.length) {return -1;}
+  const widths = runs.slice(start, start + 9);
+  const sorted = [...widths].sort((a, b) => b - a);
+  // Three wide elements, clearly wider than the six narrow ones
+  if (sorted[2] < sorted[3] * 1.5 || sorted[0] > sorted[8] * 4.5) {return -1;}
+  const threshold = (sorted[2] + sorted[3]) / 2;
+  return widths.reduce((bits, width) => (bits << 1) | (width > threshold ? 1 : 0), 0);
+}
+
+/**
+ * Code 39 starting at a bar
+ * @private
+ */
+function decodeCode39(runs, start) {
+  if (code39Pattern(runs, start) !== CODE39_ASTERISK) {return null;}
+  const narrow = sumRuns(runs, start, 9) / 15;
+  if (!hasQuietZone(runs, start, narrow, 5)) {return null;}
+
+  let text = '';
+  let pos = start + 10;
+  for (;;) {
+    const pattern = code39Pattern(runs, pos);
+    if (pattern === CODE39_ASTERISK) {break;}
+    const index = CODE39_ENCODINGS.indexOf(pattern);
+    // The gap between characters is a narrow space
+    if (index < 0 || runs[pos - 1] > narrow * 3) {return null;}
+    text += CODE39_ALPHABET[index];
+    pos += 10;
+  }
+  return text ? { format: BarcodeFormat.CODE_39, text } : null;
+}
+
+const DECODERS = [decodeEan13, decodeEan8, decodeCode128, decodeCode39];
+
+/**
+ * Decode bar/space run widths read along one line
+ * @param {number[]} runs - Alternating widths, starting with a space (use 0 if the line starts on a bar)
+ * @returns {Array<{format: string, text: string}>}
+ */
+export function decodeRuns(runs) {
+  const results = [];
+  [runs, [...runs].reverse()].forEach((line, reversed) => {
+    // Bars sit at odd indices when the line starts with a space
+    for (let start = reversed && line.length % 2 === 0 ? 0 : 1; start < line.length; start += 2) {
+      for (const decode of DECODERS) {
+        const result = decode(line, start);
+        if (result) {
+          results.push(result);
+          break;
+        }
+      }
+    }
+  });
+  return results;
+}
+
+/**
+ * Turn a line of grey values into run widths, black where darker than the local average.
+ * Edges are placed where the line crosses the threshold, between pixels, so bars one to
+ * two pixels wide keep their proportions.
+ * @param {Uint8ClampedArray|number[]} values
+ * @returns {number[]} Runs starting with a space
+ */
+export function lineToRuns(values) {
+  const n = values.length;
+  const half = Math.max(8, Math.round(n / 24));
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {prefix[i + 1] = prefix[i] + values[i];}
+
+  const runs = [];
+  let black = false;
+  let edge = 0;
+  let previous = 0;
+  for (let i = 0; i < n; i++) {
+    const from = Math.max(0, i - half);
+    const to = Math.min(n, i + half + 1);
+    // Distance below the threshold: positive on a bar
+    const depth = (prefix[to] - prefix[from]) / (to - from) - 3 - values[i];
+    if ((depth > 0) !== black) {
+      const crossing = i === 0 ? 0 : i - depth / (depth - previous);
+      runs.push(crossing - edge);
+      edge = crossing;
+      black = !black;
+    }
+    previous = depth;
+  }
+  runs.push(n - edge);
+  return runs;
+}
+
+/**
+ * Greyscale copy of RGBA image data
+ * @private
+ */
+function toLuminance({ data, width, height }) {
+  const grey = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < grey.length; i++, p += 4) {
+    grey[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  }
+  return grey;
+}
+
+/**
+ * Decode every barcode found in image data
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @param {Object} [options]
+ * @param {number} [options.scanLines] - Lines per direction (defaults to `scanner.scanLines`)
+ * @returns {Array<{format: string, text: string, count: number}>} Most often read first
+ */
+export function decodeImageData(imageData, { scanLines = config.get('scanner.scanLines', 24) } = {}) {
+  const { width, height } = imageData;
+  const grey = toLuminance(imageData);
+  const found = new Map();
+
+  const readLine = (length, sample) => {
+    const values = new Float32Array(length);
+    for (let i = 0; i < length; i++) {values[i] = sample(i);}
+    decodeRuns(lineToRuns(values)).forEach(result => {
+      const key = `${result.format}:${result.text}`;
+      const entry = found.get(key) || { ...result, count: 0 };
+      entry.count++;
+      found.set(key, entry);
+    });
+  };
+
+  // Average a band of pixels across each line to smooth sensor noise
+  const band = (position, size) => {
+    const first = Math.min(size - SAMPLE_BAND, Math.max(0, position - (SAMPLE_BAND >> 1)));
+    return Array.from({ length: Math.min(SAMPLE_BAND, size) }, (_, i) => first + i);
+  };
+  for (let line = 1; line <= scanLines; line++) {
+    const rows = band(Math.round((height * line) / (scanLines + 1)), height);
+    readLine(width, x => rows.reduce((sum, y) => sum + grey[y * width + x], 0) / rows.length);
+    const columns = band(Math.round((width * line) / (scanLines + 1)), width);
+    readLine(height, y => columns.reduce((sum, x) => sum + grey[y * width + x], 0) / columns.length);
+  }
+
+  return Array.from(found.values())
+    .filter(result => result.format !== BarcodeFormat.CODE_39 || result.count > 1)
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Photo decoding and catalog lookup
+ * @class BarcodeScanner
+ */
+export class BarcodeScanner {
+  /**
+   * Draw an image file onto a canvas, scaled down to `scanner.maxImageDimension`
+   * @async
+   * @param {Blob} file
+   * @returns {Promise<ImageData>}
+   */
+  async loadImageData(file) {
+    const image = await new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('The file is not an image this browser can read'));
+      };
+      img.src = url;
+    });
+
+    const maxDimension = config.get('scanner.maxImageDimension', 1600);
+    const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }
+
+  /**
+   * Catalog product for a scanned code. UPC-A codes are also tried as EAN-13 (leading 0) and
+   * EAN-13 codes with a leading 0 as UPC-A.
+   * @param {string} code
+   * @returns {Object|null}
+   */
+  findProduct(code) {
+    const candidates = [code];
+    if (/^\d{12}$/.test(code)) {candidates.push(`0${code}`);}
+    if (/^0\d{12}$/.test(code)) {candidates.push(code.slice(1));}
+    for (const candidate of candidates) {
+      const product = dataLayer.findProductByCode(candidate);
+      if (product) {return product;}
+    }
+    return null;
+  }
+
+  /**
+   * Decode the barcodes in a photo and look each one up
+   * @async
+   * @param {Blob} file - Camera still or uploaded image
+   * @returns {Promise<Array<{format: string, text: string, count: number, product: Object|null}>>}
+   */
+  async scanFile(file) {
+    const results = decodeImageData(await this.loadImageData(file));
+    console.log(`📷 Barcode scan: ${results.length} code(s) found`, results.map(r => r.text));
+    return results.map(result => ({ ...result, product: this.findProduct(result.text) }));
+  }
+
+  /**
+   * Beep (and vibrate where supported) after a scan
+   * @param {boolean} success - One high beep when found, two low beeps when not
+   */
+  feedback(success) {
+    if (config.get('scanner.sound', true)) {
+      try {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass) {
+          this.audioContext = this.audioContext || new AudioContextClass();
+          const ctx = this.audioContext;
+          const tones = success ? [[1046, 0]] : [[220, 0], [220, 0.18]];
+          tones.forEach(([frequency, delay]) => {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = frequency;
+            gain.gain.value = 0.08;
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(ctx.currentTime + delay);
+            oscillator.stop(ctx.currentTime + delay + 0.12);
+          });
+        }
+      } catch (e) {
+        // Sound is optional
+      }
+    }
+    if (navigator.vibrate) {
+      navigator.vibrate(success ? 60 : [60, 60, 60]);
+    }
+  }
+}
+
+// Global instance
+export const barcodeScanner = new BarcodeScanner();
@@ -0,0 +1,344 @@
+/**
+ * Faceted Catalog Browser
+ * Facet counts, multi-select filters, range sliders and sorting over the parsed catalog
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { Utils } from './utils.js';
+
+/**
+ * Parse a catalog number such as "1,234.50", "$99" or "600mm"
+ * @param {*} value
+ * @returns {number|null} Number, or null if the cell is empty or not numeric
+ */
+export function parseCatalogNumber(value) {
+  if (value === undefined || value === null || value === '') {return null;}
+  const num = parseFloat(value.toString().replace(/[^0-9.-]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Multi-select facets
+ * @readonly
+ */
+export const FACETS = {
+  group: { label: 'Group', get: p => (p.Group || '').trim() },
+  wels: { label: 'WELS rating', get: p => (p['WELS STAR'] || '').toString().trim() }
+};
+
+/**
+ * Numeric range filters
+ * @readonly
+ */
+export const RANGES = {
+  price: { label: 'Price (ex GST)', unit: '$', get: p => parseCatalogNumber(p.RRP_EX) },
+  width: { label: 'Width (mm)', unit: 'mm', get: p => parseCatalogNumber(p['X Dimension (mm)']) },
+  depth: { label: 'Depth (mm)', unit: 'mm', get: p => parseCatalogNumber(p['Y Dimension (mm)']) },
+  height: { label: 'Height (mm)', unit: 'mm', get: p => parseCatalogNumber(p['Z Dimension (mm)']) },
+  weight: { label: 'Weight (kg)', unit: 'kg', get: p => parseCatalogNumber(p.WEIGHT) }
+};
+
+/**
+ * Sort options
+ * @readonly
+ */
+export const SORTS = {
+  relevance: { label: 'Best match', compare: null },
+  priceAsc: { label: 'Price: low to high', compare: (a, b) => compareNullable(RANGES.price.get(a), RANGES.price.get(b)) },
+  priceDesc: { label: 'Price: high to low', compare: (a, b) => compareNullable(RANGES.price.get(b), RANGES.price.get(a)) },
+  name: { label: 'Name', compare: (a, b) => (a.Description || '').localeCompare(b.Description || '') },
+  widthAsc: { label: 'Width: narrowest', compare: (a, b) => compareNullable(RANGES.width.get(a), RANGES.width.get(b)) },
+  welsDesc: { label: 'WELS: most stars', compare: (a, b) => compareNullable(parseCatalogNumber(b['WELS STAR']), parseCatalogNumber(a['WELS STAR'])) }
+};
+
+/**
+ * Compare two numbers, always sorting missing values last
+ * @private
+ */
+function compareNullable(a, b) {
+  if (a === null && b === null) {return 0;}
+  if (a === null) {return 1;}
+  if (b === null) {return -1;}
+  return a - b;
+}
+
+/**
+ * Create an empty filter state
+ * @returns {{facets: Object<string, Set<string>>, ranges: Object<string, {min: number, max: number}>, sort: string}}
+ */
+export function createFilterState() {
+  return {
+    facets: Object.fromEntries(Object.keys(FACETS).map(key => [key, new Set()])),
+    ranges: {},
+    sort: 'relevance'
+  };
+}
+
+/**
+ * Whether any filter is narrowing the results
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export function hasActiveFilters(state) {
+  return Object.values(state.facets).some(set => set.size > 0) || Object.keys(state.ranges).length > 0;
+}
+
+/**
+ * Test one product against the filter state
+ * @param {Object} product
+ * @param {Object} state
+ * @param {string} [ignoreFacet] - Facet to skip (used for disjunctive facet counts)
+ * @returns {boolean}
+ */
+export function matchesFilters(product, state, ignoreFacet = null) {
+  for (const [key, selected] of Object.entries(state.facets)) {
+    if (key !== ignoreFacet && selected.size > 0 && !selected.has(FACETS[key].get(product))) {
+      return false;
+    }
+  }
+  for (const [key, range] of Object.entries(state.ranges)) {
+    const value = RANGES[key].get(product);
+    if (value === null || value < range.min || value > range.max) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Filter and sort products. Relevance keeps the incoming (search-ranked) order.
+ * @param {Array<Object>} products
+ * @param {Object} state
+ * @returns {Array<Object>}
+ */
+export function applyFilters(products, state) {
+  const filtered = products.filter(product => matchesFilters(product, state));
+  const compare = SORTS[state.sort]?.compare;
+  return compare ? filtered.sort(compare) : filtered;
+}
+
+/**
+ * Count values for each facet. Each facet is counted against the products matching
+ * every other filter, so picking "Basins" still shows how many tapware items there are.
+ * @param {Array<Object>} products
+ * @param {Object} state
+ * @returns {Object<string, Array<{value: string, count: number}>>}
+ */
+export function computeFacetCounts(products, state) {
+  const counts = {};
+  Object.entries(FACETS).forEach(([key, facet]) => {
+    const tally = new Map();
+    products.forEach(product => {
+      if (!matchesFilters(product, state, key)) {return;}
+      const value = facet.get(product);
+      if (value) {tally.set(value, (tally.get(value) || 0) + 1);}
+    });
+    // Keep selected values visible even when their count drops to zero
+    state.facets[key].forEach(value => {
+      if (!tally.has(value)) {tally.set(value, 0);}
+    });
+    counts[key] = Array.from(tally, ([value, count]) => ({ value, count }))
+      .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+  });
+  return counts;
+}
+
+/**
+ * Lowest and highest value of each range field in the catalog
+ * @param {Array<Object>} products
+ * @returns {Object<string, {min: number, max: number}>} Only fields that have data
+ */
+export function computeRangeBounds(products) {
+  const bounds = {};
+  Object.entries(RANGES).forEach(([key, range]) => {
+    let min = Infinity;
+    let max = -Infinity;
+    products.forEach(product => {
+      const value = range.get(product);
+      if (value === null) {return;}
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    if (min <= max) {bounds[key] = { min: Math.floor(min), max: Math.ceil(max) };}
+  });
+  return bounds;
+}
+
+/**
+ * Browse panel UI: renders facets, sliders and sort into a container
+ * @class CatalogBrowser
+ */
+export class CatalogBrowser {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} options
+   * @param {Function} options.getProducts - Returns the products currently in scope (e.g. search matches)
+   * @param {Function} options.onChange - Called when filters or sort change
+   */
+  constructor(container, { getProducts, onChange }) {
+    this.container = container;
+    this.getProducts = getProducts;
+    this.onChange = onChange;
+    this.state = createFilterState();
+    this.bounds = {};
+  }
+
+  /**
+   * Filter and sort a product list with the panel's current state
+   * @param {Array<Object>} products
+   * @returns {Array<Object>}
+   */
+  apply(products) {
+    return applyFilters(products, this.state);
+  }
+
+  /**
+   * Whether the panel is narrowing results
+   * @returns {boolean}
+   */
+  isActive() {
+    return hasActiveFilters(this.state);
+  }
+
+  /**
+   * Recompute range bounds for a (new) catalog. Call render() afterwards.
+   * @param {Array<Object>} catalog - Full catalog
+   */
+  setCatalog(catalog) {
+    this.bounds = computeRangeBounds(catalog);
+    // Drop ranges for fields the catalog no longer has
+    Object.keys(this.state.ranges).forEach(key => {
+      if (!this.bounds[key]) {delete this.state.ranges[key];}
+    });
+  }
+
+  /**
+   * Clear all filters and sorting
+   */
+  reset() {
+    this.state = createFilterState();
+    this.render();
+    this.onChange();
+  }
+
+  /**
+   * Render the panel
+   */
+  render() {
+    if (!this.container) {return;}
+    const counts = computeFacetCounts(this.getProducts(), this.state);
+
+    const facetHtml = Object.entries(FACETS).map(([key, facet]) => `
+      <details class="browse-facet" ${this.state.facets[key].size ? 'open' : ''}>
+        <summary style="cursor:pointer;font-weight:600;margin:8px 0 4px;">${facet.label}${this.state.facets[key].size ? ` (${this.state.facets[key].size})` : ''}</summary>
+        <div style="max-height:160px;overflow-y:auto;">
+          ${counts[key].length ? counts[key].map(({ value, count }) => `
+            <label style="display:flex;align-items:center;gap:6px;font-size:0.9rem;cursor:pointer;${count === 0 ? 'color:#9ca3af;' : ''}">
+              <input type="checkbox" data-facet="${key}" value="${Utils.escapeHtml(value)}" ${this.state.facets[key].has(value) ? 'checked' : ''}>
+              <span style="flex:1;">${Utils.escapeHtml(value)}</span>
+              <span style="color:#6b7280;">${count}</span>
+            </label>
+          `).join('') : '<div style="color:#9ca3af;font-size:0.85rem;">No values</div>'}
+        </div>
+      </details>
+    `).join('');
+
+    const rangeHtml = Object.entries(this.bounds).map(([key, bounds]) => {
+      const current = this.state.ranges[key] || bounds;
+      const step = bounds.max - bounds.min > 1000 ? 10 : 1;
+      return `
+        <div class="browse-range" style="margin:8px 0;">
+          <div style="display:flex;justify-content:space-between;font-size:0.9rem;">
+            <strong>${RANGES[key].label}</strong>
+            <span data-range-label="${key}">${current.min} – ${current.max}</span>
+          </div>
+          <input type="range" data-range="${key}" data-bound="min" min="${bounds.min}" max="${bounds.max}" step="${step}" value="${current.min}" style="width:100%;">
+          <input type="range" data-range="${key}" data-bound="max" min="${bounds.min}" max="${bounds.max}" step="${step}" value="${current.max}" style="width:100%;">
+        </div>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;">
+        <label style="font-size:0.9rem;">Sort
+          <select data-sort style="margin-left:4px;">
+            ${Object.entries(SORTS).map(([key, sort]) => `<option value="${key}" ${this.state.sort === key ? 'selected' : ''}>${sort.label}</option>`).join('')}
+          </select>
+        </label>
+        <button type="button" data-reset class="secondary-btn" style="padding:4px 10px;" ${this.isActive() || this.state.sort !== 'relevance' ? '' : 'disabled'}>Clear filters</button>
+      </div>
+      ${facetHtml}
+      ${rangeHtml}
+    `;
+
+    this.bindEvents();
+  }
+
+  /**
+   * @private
+   */
+  bindEvents() {
+    this.container.querySelectorAll('input[data-facet]').forEach(input => {
+      input.onchange = () => {
+        const selected = this.state.facets[input.dataset.facet];
+        if (input.checked) {
+          selected.add(input.value);
+        } else {
+          selected.delete(input.value);
+        }
+        this.render();
+        this.onChange();
+      };
+    });
+
+    this.container.querySelectorAll('input[data-range]').forEach(input => {
+      // Update the label while dragging, filter once the thumb is released
+      input.oninput = () => this.readRange(input.dataset.range, false);
+      input.onchange = () => {
+        this.readRange(input.dataset.range, true);
+        this.render();
+        this.onChange();
+      };
+    });
+
+    const sortSelect = this.container.querySelector('select[data-sort]');
+    if (sortSelect) {
+      sortSelect.onchange = () => {
+        this.state.sort = sortSelect.value;
+        this.onChange();
+      };
+    }
+
+    const resetBtn = this.container.querySelector('[data-reset]');
+    if (resetBtn) {
+      resetBtn.onclick = () => this.reset();
+    }
+  }
+
+  /**
+   * Read both thumbs of a range slider into the state
+   * @private
+   * @param {string} key - Range key
+   * @param {boolean} commit - Whether to store the range in the filter state
+   */
+  readRange(key, commit) {
+    const minInput = this.container.querySelector(`input[data-range="${key}"][data-bound="min"]`);
+    const maxInput = this.container.querySelector(`input[data-range="${key}"][data-bound="max"]`);
+    const low = Math.min(Number(minInput.value), Number(maxInput.value));
+    const high = Math.max(Number(minInput.value), Number(maxInput.value));
+
+    const label = this.container.querySelector(`[data-range-label="${key}"]`);
+    if (label) {label.textContent = `${low} – ${high}`;}
+
+    if (!commit) {return;}
+    const bounds = this.bounds[key];
+    if (low <= bounds.min && high >= bounds.max) {
+      delete this.state.ranges[key];
+    } else {
+      this.state.ranges[key] = { min: low, max: high };
+    }
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * Catalog History Module
+ * Keeps dated snapshots of the product catalog in IndexedDB so prices can be
+ * looked up as they were on a given day
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
+
+const DB_NAME = 'seimaCatalogHistory';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const CSV_STORE = 'snapshotCsv';
+
+/**
+ * Promisify an IndexedDB request
+ * @private
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Cheap string hash used to detect identical snapshots without comparing whole CSVs
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash}`;
+}
+
+/**
+ * Catalog history store backed by IndexedDB
+ * Snapshot metadata and per-product prices live in one store, the raw CSV in another,
+ * so price lookups never have to load full catalogs.
+ * @class CatalogHistory
+ */
+export class CatalogHistory {
+  constructor() {
+    this.dbPromise = null;
+    // Snapshots are recorded one at a time so two writes never compare against the same latest
+    this.recording = Promise.resolve();
+  }
+
+  /**
+   * Whether IndexedDB is usable in this browser
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and upgrade if needed) the history database
+   * @async
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+            const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('fetchedAt', 'fetchedAt');
+          }
+          if (!db.objectStoreNames.contains(CSV_STORE)) {
+            db.createObjectStore(CSV_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Record a snapshot of the catalog unless it matches the most recent one
+   * @async
+   * @param {string} csvText - Raw catalog CSV
+   * @param {Array<Object>} products - Parsed catalog
+   * @param {Date} [fetchedAt=new Date()] - When the catalog was fetched
+   * @returns {Promise<Object|null>} Stored snapshot metadata, or null if unchanged/unavailable
+   */
+  recordSnapshot(csvText, products, fetchedAt = new Date()) {
+    return this.queueRecord(csvText, products, fetchedAt, false);
+  }
+
+  /**
+   * Record the catalog only if the history is empty. Used for the cached catalog on start:
+   * it may be older than the latest snapshot (a fetched update not applied yet) and must
+   * not be recorded again as today's prices.
+   * @async
+   * @param {string} csvText - Raw catalog CSV
+   * @param {Array<Object>} products - Parsed catalog
+   * @returns {Promise<Object|null>} Stored snapshot metadata, or null if not recorded
+   */
+  seedSnapshot(csvText, products) {
+    return this.queueRecord(csvText, products, new Date(), true);
+  }
+
+  /**
+   * Run a snapshot write after the ones already started
+   * @private
+   * @param {string} csvText
+   * @param {Array<Object>} products
+   * @param {Date} fetchedAt
+   * @param {boolean} onlyIfEmpty
+   * @returns {Promise<Object|null>}
+   */
+  queueRecord(csvText, products, fetchedAt, onlyIfEmpty) {
+    const result = this.recording.then(() => this.writeSnapshot(csvText, products, fetchedAt, onlyIfEmpty));
+    this.recording = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   * @async
+   * @param {string} csvText
+   * @param {Array<Object>} products
+   * @param {Date} fetchedAt
+   * @param {boolean} onlyIfEmpty
+   * @returns {Promise<Object|null>}
+   */
+  async writeSnapshot(csvText, products, fetchedAt, onlyIfEmpty) {
+    if (!this.isAvailable() || !csvText) {return null;}
+
+    try {
+      const hash = hashText(csvText);
+      const latest = await this.getLatestSnapshot();
+      if (latest && (onlyIfEmpty || latest.hash === hash)) {return null;}
+
+      const prices = {};
+      products.forEach(product => {
+        if (product.OrderCode) {
+          prices[product.OrderCode] = { ex: product.RRP_EX || '', inc: product.RRP_INCGST || '' };
+        }
+      });
+
+      const snapshot = {
+        fetchedAt: fetchedAt.toISOString(),
+        hash,
+        productCount: products.length,
+        prices
+      };
+
+      const db = await this.open();
+      const tx = db.transaction([SNAPSHOT_STORE, CSV_STORE], 'readwrite');
+      const id = await requestToPromise(tx.objectStore(SNAPSHOT_STORE).add(snapshot));
+      tx.objectStore(CSV_STORE).put(csvText, id);
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+
+      await this.prune();
+      errorHandler.log(`Catalog snapshot ${id} recorded (${products.length} products)`, LogLevel.INFO);
+      return { ...snapshot, id };
+    } catch (error) {
+      errorHandler.handleError({
+        message: 'Failed to record catalog snapshot',
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.WARN,
+        showUser: false
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List all snapshots, oldest first (without CSV bodies)
+   * @async
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSnapshots() {
+    if (!this.isAvailable()) {return [];}
+    const db = await this.open();
+    const store = db.transaction(SNAPSHOT_STORE, 'readonly').objectStore(SNAPSHOT_STORE);
+    return requestToPromise(store.index('fetchedAt').getAll());
+  }
+
+  /**
+   * Get the most recent snapshot metadata
+   * @async
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestSnapshot() {
+    const snapshots = await this.listSnapshots();
+    return snapshots.length ? snapshots[snapshots.length - 1] : null;
+  }
+
+  /**
+   * Drop the oldest snapshots beyond the configured limit
+   * @async
+   * @param {number} [limit] - Snapshots to keep
+   * @returns {Promise<number>} Number of snapshots dropped
+   */
+  async prune(limit = config.get('storage.catalogHistoryLimit', 24)) {
+    const snapshots = await this.listSnapshots();
+    if (snapshots.length <= limit) {return 0;}
+
+    const db = await this.open();
+    const tx = db.transaction([SNAPSHOT_STORE, CSV_STORE], 'readwrite');
+    const dropped = snapshots.slice(0, snapshots.length - limit);
+    dropped.forEach(snapshot => {
+      tx.objectStore(SNAPSHOT_STORE).delete(snapshot.id);
+      tx.objectStore(CSV_STORE).delete(snapshot.id);
+    });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    return dropped.length;
+  }
+
+  /**
+   * Approximate size of the stored history (snapshot prices and CSV bodies)
+   * @async
+   * @returns {Promise<{count: number, bytes: number}>}
+   */
+  async getSize() {
+    if (!this.isAvailable()) {return { count: 0, bytes: 0 };}
+    const snapshots = await this.listSnapshots();
+    const db = await this.open();
+    const csvSizes = await new Promise((resolve, reject) => {
+      let bytes = 0;
+      const request = db.transaction(CSV_STORE, 'readonly').objectStore(CSV_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(bytes);
+          return;
+        }
+        bytes += (cursor.value || '').length;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    const priceSizes = snapshots.reduce((sum, snapshot) => sum + JSON.stringify(snapshot).length, 0);
+    return { count: snapshots.length, bytes: csvSizes + priceSizes };
+  }
+
+  /**
+   * Price history for one product, collapsed to the points where the price changed
+   * @async
+   * @param {string} orderCode - Product OrderCode
+   * @returns {Promise<Array<{date: string, ex: string, inc: string}>>} Oldest first
+   */
+  async getPriceHistory(orderCode) {
+    if (!orderCode) {return [];}
+    const snapshots = await this.listSnapshots();
+    const history = [];
+
+    snapshots.forEach(snapshot => {
+      const price = snapshot.prices?.[orderCode];
+      if (!price) {return;}
+      const previous = history[history.length - 1];
+      if (!previous || previous.ex !== price.ex || previous.inc !== price.inc) {
+        history.push({ date: snapshot.fetchedAt, ex: price.ex, inc: price.inc });
+      }
+    });
+
+    return history;
+  }
+
+  /**
+   * Find the snapshot that was current at the end of the given day
+   * @async
+   * @param {Date|string} date
+   * @returns {Promise<Object|null>} Null when the date predates the history
+   */
+  async findSnapshotAsOf(date) {
+    const snapshots = await this.listSnapshots();
+    const cutoff = new Date(date);
+    cutoff.setHours(23, 59, 59, 999);
+    const candidates = snapshots.filter(s => new Date(s.fetchedAt) <= cutoff);
+    return candidates.length ? candidates[candidates.length - 1] : null;
+  }
+
+  /**
+   * Load the catalog as it was on a given day
+   * @async
+   * @param {Date|string} date
+   * @param {Function} parse - CSV parser returning products or a promise of them (e.g. DataLayer#parseCSVAsync)
+   * @returns {Promise<{snapshot: Object, products: Array<Object>}|null>}
+   */
+  async getCatalogAsOf(date, parse) {
+    const snapshot = await this.findSnapshotAsOf(date);
+    if (!snapshot) {return null;}
+
+    const db = await this.open();
+    const store = db.transaction(CSV_STORE, 'readonly').objectStore(CSV_STORE);
+    const csvText = await requestToPromise(store.get(snapshot.id));
+    if (!csvText) {return null;}
+
+    return { snapshot, products: await parse(csvText) };
+  }
+}
+
+/**
+ * Overlay historical catalog data onto a stored selection product.
+ * The historical price replaces any edited price so the quote is priced as it was on that day.
+ * @param {Object} product - Product stored with a selection item
+ * @param {Map<string, Object>} catalogByCode - Historical catalog keyed by OrderCode
+ * @param {Function} [priceOf] - Line price of a catalog product (defaults to RRP ex GST)
+ * @returns {Object} Product with historical fields applied
+ */
+export function applyHistoricalProduct(product, catalogByCode, priceOf = p => p.RRP_EX || '') {
+  const historical = catalogByCode?.get(product?.OrderCode);
+  if (!historical) {return product;}
+  return { ...product, ...historical, UserEditedPrice: priceOf(historical) || '' };
+}
+
+// Global instance
+export const catalogHistory = new CatalogHistory();
@@ -0,0 +1,117 @@
+/**
+ * Catalog Parsing
+ * Turns catalog CSV into product objects and compares catalogs. Has no DOM or
+ * storage dependencies so it can run in the catalog worker as well as the page.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { parseCsvTable, parseCsvTableAsync } from './csv-parser.js';
+
+/**
+ * Map old and new column names onto the fields the app uses
+ * @param {Object} product - Row keyed by header, updated in place
+ * @returns {Object} The same product
+ */
+export function normalizeProduct(product) {
+  // Remap fields to new names if present, fallback to old names
+  product.Group = product['Group'] || '';
+  product['Product Name'] = product['Product Name'] || product['Description'] || '';
+  product.Description = product['Description'] || product['Product Name'] || '';
+  product['Long Description'] = product['Long Description'] || product['LongDescription'] || '';
+  product.OrderCode = product['Order Code'] || product['OrderCode'] || '';
+
+  product.RRP_EX = product['RRP EX'] || product['RRP EX GST'] || product['RRP_EXGST'] || product.RRP_EX || '';
+  product.RRP_INCGST = product['RRP INC GST'] || product['RRP_INCGST'] || product.RRP_INCGST || '';
+  product['Release Note'] = product['Release Note'] || '';
+  product.Website_URL = product['Website_URL'] || '';
+  product.Image_URL = product['Image_URL'] || '';
+  product.Diagram_URL = product['Diagram_URL'] || '';
+  product.Datasheet_URL = product['Datasheet_URL'] || '';
+  product.BARCODE = product['BARCODE'] || '';
+  product['X Dimension (mm)'] = product['X Dimension (mm)'] || '';
+  product['Y Dimension (mm)'] = product['Y Dimension (mm)'] || '';
+  product['Z Dimension (mm)'] = product['Z Dimension (mm)'] || '';
+  product.WEIGHT = product['WEIGHT'] || '';
+  product['WELS NO'] = product['WELS NO'] || '';
+  product['WELS STAR'] = product['WELS STAR'] || '';
+  product['WELS CONSUMPTION'] = product['WELS CONSUMPTION'] || '';
+  product['WELS Expiry'] = product['WELS Expiry'] || '';
+  product.WATERMARK = product['WATERMARK'] || '';
+  return product;
+}
+
+/**
+ * Turn parsed CSV rows into products
+ * @param {{headers: string[], rows: Array<Object>, skipped: Array<Object>}} table
+ * @returns {{products: Array<Object>, report: {rowCount: number, skipped: Array<Object>}}}
+ */
+export function buildProducts(table) {
+  const products = [];
+
+  table.rows.forEach(({ values }) => {
+    const product = {};
+    table.headers.forEach((header, index) => {
+      product[header] = values[index] || '';
+    });
+    normalizeProduct(product);
+
+    // Only add products with valid order codes
+    if (product.OrderCode && product.OrderCode.trim()) {
+      products.push(product);
+    }
+  });
+
+  return { products, report: { rowCount: table.rows.length, skipped: table.skipped } };
+}
+
+/**
+ * Parse catalog CSV synchronously
+ * @param {string} csvText
+ * @returns {{products: Array<Object>, report: Object}}
+ */
+export function parseCatalog(csvText) {
+  return buildProducts(parseCsvTable(csvText));
+}
+
+/**
+ * Parse catalog CSV in chunks, yielding between chunks
+ * @async
+ * @param {string} csvText
+ * @returns {Promise<{products: Array<Object>, report: Object}>}
+ */
+export async function parseCatalogAsync(csvText) {
+  return buildProducts(await parseCsvTableAsync(csvText));
+}
+
+/**
+ * Compare two parsed catalogs by OrderCode
+ * @param {Array<Object>} oldProducts - Catalog currently in use
+ * @param {Array<Object>} newProducts - Freshly fetched catalog
+ * @returns {{added: string[], removed: string[], changed: string[], total: number}} Changed OrderCodes
+ */
+export function diffCatalogs(oldProducts, newProducts) {
+  const oldByCode = new Map(oldProducts.map(p => [p.OrderCode, p]));
+  const newByCode = new Map(newProducts.map(p => [p.OrderCode, p]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  newByCode.forEach((product, code) => {
+    const previous = oldByCode.get(code);
+    if (!previous) {
+      added.push(code);
+    } else if (JSON.stringify(previous) !== JSON.stringify(product)) {
+      changed.push(code);
+    }
+  });
+  oldByCode.forEach((_, code) => {
+    if (!newByCode.has(code)) {
+      removed.push(code);
+    }
+  });
+
+  return { added, removed, changed, total: added.length + removed.length + changed.length };
+}
@@ -0,0 +1,395 @@
+/**
+ * Catalog Data Quality
+ * Audits the loaded catalog for duplicate order codes, bad EAN-13 barcodes, missing or
+ * broken links, empty prices and expired WELS registrations, and renders the findings
+ * as a sortable report with CSV export
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { Utils } from './utils.js';
+import { stringifyCsv } from './csv-parser.js';
+import { parseCatalogNumber } from './catalog-browser.js';
+
+/**
+ * Issue severities
+ * @readonly
+ * @enum {string}
+ */
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+const SEVERITY_RANK = { error: 0, warning: 1, info: 2 };
+const SEVERITY_STYLE = {
+  error: { label: 'Error', color: '#b91c1c', background: '#fee2e2' },
+  warning: { label: 'Warning', color: '#b45309', background: '#fef3c7' },
+  info: { label: 'Info', color: '#1d4ed8', background: '#dbeafe' }
+};
+
+/** WELS registrations expiring within this many days are flagged */
+const WELS_EXPIRY_NOTICE_DAYS = 90;
+
+/**
+ * Whether a code is a 13-digit EAN with a correct check digit
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isValidEan13(code) {
+  if (!/^\d{13}$/.test(code)) {return false;}
+  const digits = code.split('').map(Number);
+  const sum = digits.slice(0, 12).reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === digits[12];
+}
+
+/**
+ * Parse a catalog date: dd/mm/yyyy (as entered in the sheet), yyyy-mm-dd, or anything Date understands
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export function parseCatalogDate(value) {
+  const text = (value || '').toString().trim();
+  if (!text) {return null;}
+
+  const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+    const date = new Date(year, Number(dmy[2]) - 1, Number(dmy[1]));
+    return date.getMonth() === Number(dmy[2]) - 1 ? date : null;
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Whether a URL is absolute http(s)
+ * @private
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isWellFormedUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function issue(severity, check, product, field, message) {
+  return {
+    severity,
+    check,
+    orderCode: product?.OrderCode || '',
+    description: product?.Description || '',
+    field,
+    value: field && product ? (product[field] || '').toString() : '',
+    message
+  };
+}
+
+/**
+ * Audit a catalog
+ * @param {Array<Object>} products - Parsed catalog
+ * @param {Object} [options]
+ * @param {Date} [options.today=new Date()] - Reference date for WELS expiry
+ * @param {Object} [options.parseReport] - DataLayer#getParseReport(), to include rows the parser skipped
+ * @returns {Array<Object>} Issues: {severity, check, orderCode, description, field, value, message}
+ */
+export function auditCatalog(products, { today = new Date(), parseReport = null } = {}) {
+  const issues = [];
+
+  (parseReport?.skipped || []).forEach(({ line, column, reason }) => {
+    issues.push({
+      ...issue(Severity.ERROR, 'unreadable-row', null, '', `Row at line ${line}, column ${column} could not be read: ${reason}`),
+      value: `Line ${line}`
+    });
+  });
+
+  const codeCounts = new Map();
+  products.forEach(product => {
+    const code = (product.OrderCode || '').trim();
+    codeCounts.set(code, (codeCounts.get(code) || 0) + 1);
+  });
+  const reportedDuplicates = new Set();
+
+  const noticeCutoff = new Date(today.getTime() + WELS_EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000);
+
+  products.forEach(product => {
+    const code = (product.OrderCode || '').trim();
+    if (codeCounts.get(code) > 1 && !reportedDuplicates.has(code)) {
+      reportedDuplicates.add(code);
+      issues.push(issue(Severity.ERROR, 'duplicate-code', product, 'OrderCode', `OrderCode appears ${codeCounts.get(code)} times`));
+    }
+
+    const barcode = (product.BARCODE || '').toString().trim();
+    if (!barcode) {
+      issues.push(issue(Severity.INFO, 'missing-barcode', product, 'BARCODE', 'No barcode'));
+    } else if (!/^\d{13}$/.test(barcode)) {
+      issues.push(issue(Severity.WARNING, 'barcode-format', product, 'BARCODE', 'Barcode is not a 13-digit EAN'));
+    } else if (!isValidEan13(barcode)) {
+      issues.push(issue(Severity.ERROR, 'barcode-check-digit', product, 'BARCODE', 'EAN-13 check digit is wrong'));
+    }
+
+    [['Image_URL', 'image'], ['Datasheet_URL', 'datasheet']].forEach(([field, name]) => {
+      const url = (product[field] || '').trim();
+      if (!url) {
+        issues.push(issue(Severity.WARNING, `missing-${name}`, product, field, `No ${name} URL`));
+      } else if (!isWellFormedUrl(url)) {
+        issues.push(issue(Severity.ERROR, `invalid-${name}-url`, product, field, `${field} is not a valid web address`));
+      }
+    });
+
+    [['RRP_EX', 'ex GST'], ['RRP_INCGST', 'inc GST']].forEach(([field, name]) => {
+      const value = (product[field] || '').toString().trim();
+      if (!value) {
+        issues.push(issue(Severity.ERROR, 'missing-price', product, field, `No RRP ${name}`));
+      } else if (parseCatalogNumber(value) === null) {
+        issues.push(issue(Severity.ERROR, 'invalid-price', product, field, `RRP ${name} is not a number`));
+      }
+    });
+
+    const expiryText = (product['WELS Expiry'] || '').toString().trim();
+    if (expiryText) {
+      const expiry = parseCatalogDate(expiryText);
+      if (!expiry) {
+        issues.push(issue(Severity.WARNING, 'wels-expiry-format', product, 'WELS Expiry', 'WELS expiry is not a recognisable date'));
+      } else if (expiry < today) {
+        issues.push(issue(Severity.WARNING, 'wels-expired', product, 'WELS Expiry', `WELS registration expired ${expiry.toLocaleDateString('en-AU')}`));
+      } else if (expiry < noticeCutoff) {
+        issues.push(issue(Severity.INFO, 'wels-expiring', product, 'WELS Expiry', `WELS registration expires ${expiry.toLocaleDateString('en-AU')}`));
+      }
+    }
+  });
+
+  return sortIssues(issues, 'severity');
+}
+
+/**
+ * Try to load every image and datasheet URL. Images are loaded as images; datasheets are
+ * requested without CORS, so only unreachable hosts (not 404s) can be detected.
+ * @async
+ * @param {Array<Object>} products
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=6]
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<Array<Object>>} Broken-link issues
+ */
+export async function checkCatalogLinks(products, { concurrency = 6, onProgress } = {}) {
+  const jobs = [];
+  const seen = new Set();
+  products.forEach(product => {
+    [['Image_URL', 'image'], ['Datasheet_URL', 'datasheet']].forEach(([field, name]) => {
+      const url = (product[field] || '').trim();
+      if (url && isWellFormedUrl(url) && !seen.has(`${field}|${url}`)) {
+        seen.add(`${field}|${url}`);
+        jobs.push({ product, field, name, url });
+      }
+    });
+  });
+
+  const issues = [];
+  let done = 0;
+  let next = 0;
+
+  const probe = ({ name, url }) => name === 'image'
+    ? Utils.loadImage(url).then(() => true, () => false)
+    : fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-cache' }).then(() => true, () => false);
+
+  const worker = async () => {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      if (!(await probe(job))) {
+        issues.push(issue(Severity.ERROR, `broken-${job.name}`, job.product, job.field, `${job.field} could not be loaded`));
+      }
+      done++;
+      if (onProgress) {onProgress(done, jobs.length);}
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+  return issues;
+}
+
+/**
+ * Sort issues by a column; severity sorts errors first, ties by order code
+ * @param {Array<Object>} issues
+ * @param {string} key - severity | orderCode | description | field | message
+ * @param {number} [direction=1] - 1 ascending, -1 descending
+ * @returns {Array<Object>} The same array, sorted
+ */
+export function sortIssues(issues, key, direction = 1) {
+  const value = item => (key === 'severity' ? SEVERITY_RANK[item.severity] : (item[key] || '').toString());
+  return issues.sort((a, b) => {
+    const av = value(a);
+    const bv = value(b);
+    const primary = typeof av === 'number' ? av - bv : av.localeCompare(bv, undefined, { numeric: true });
+    return primary * direction || a.orderCode.localeCompare(b.orderCode, undefined, { numeric: true });
+  });
+}
+
+/**
+ * CSV of issues grouped by severity (errors first)
+ * @param {Array<Object>} issues
+ * @returns {string}
+ */
+export function issuesToCsv(issues) {
+  const rows = sortIssues([...issues], 'severity').map(item => [
+    SEVERITY_STYLE[item.severity].label,
+    item.orderCode,
+    item.description,
+    item.field,
+    item.value,
+    item.message
+  ]);
+  return stringifyCsv(['Severity', 'Order Code', 'Description', 'Field', 'Value', 'Issue'], rows);
+}
+
+/**
+ * Report UI: summary by severity, filter, sortable table, link check and CSV export
+ * @class CatalogQualityReport
+ */
+export class CatalogQualityReport {
+  /**
+   * @param {HTMLElement} container
+   * @param {Function} getProducts - Returns the loaded catalog
+   * @param {Function} [getParseReport] - Returns the last parse report
+   */
+  constructor(container, getProducts, getParseReport = () => null) {
+    this.container = container;
+    this.getProducts = getProducts;
+    this.getParseReport = getParseReport;
+    this.issues = [];
+    this.linkIssues = [];
+    this.sortKey = 'severity';
+    this.sortDirection = 1;
+    this.severityFilter = '';
+    this.checkingLinks = false;
+  }
+
+  /**
+   * Re-run the audit and render
+   */
+  refresh() {
+    this.issues = auditCatalog(this.getProducts(), { parseReport: this.getParseReport() });
+    this.render();
+  }
+
+  /**
+   * All current issues, including any from the link check
+   * @returns {Array<Object>}
+   */
+  getAllIssues() {
+    return [...this.issues, ...this.linkIssues];
+  }
+
+  /**
+   * Render the report
+   */
+  render() {
+    if (!this.container) {return;}
+    const all = this.getAllIssues();
+    const counts = { error: 0, warning: 0, info: 0 };
+    all.forEach(item => {counts[item.severity]++;});
+
+    const visible = sortIssues(
+      all.filter(item => !this.severityFilter || item.severity === this.severityFilter),
+      this.sortKey,
+      this.sortDirection
+    );
+
+    const columns = [['severity', 'Severity'], ['orderCode', 'Order Code'], ['description', 'Description'], ['field', 'Field'], ['message', 'Issue']];
+    const arrow = key => (this.sortKey === key ? (this.sortDirection === 1 ? ' ▲' : ' ▼') : '');
+    const badge = severity => `<span style="padding:2px 8px;border-radius:10px;font-size:0.8rem;color:${SEVERITY_STYLE[severity].color};background:${SEVERITY_STYLE[severity].background};">${SEVERITY_STYLE[severity].label}</span>`;
+
+    this.container.innerHTML = `
+      <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-bottom:12px;">
+        ${Object.keys(counts).map(severity => `
+          <button type="button" data-severity="${severity}" class="secondary-btn" style="${this.severityFilter === severity ? 'outline:2px solid #2563eb;' : ''}">
+            ${badge(severity)} ${counts[severity]}
+          </button>
+        `).join('')}
+        <button type="button" data-severity="" class="secondary-btn" ${this.severityFilter ? '' : 'disabled'}>Show all</button>
+        <span style="flex:1;"></span>
+        <button type="button" data-action="check-links" class="secondary-btn" ${this.checkingLinks ? 'disabled' : ''}>${this.checkingLinks ? 'Checking links…' : 'Check links'}</button>
+        <button type="button" data-action="export" class="primary-btn" ${all.length ? '' : 'disabled'}>Export CSV</button>
+      </div>
+      <div style="color:#666;font-size:0.85rem;margin-bottom:8px;">${this.getProducts().length} products checked · ${visible.length} of ${all.length} issues shown</div>
+      ${visible.length ? `
+        <table style="width:100%;border-collapse:collapse;font-size:0.9rem;">
+          <thead>
+            <tr>${columns.map(([key, label]) => `<th data-sort="${key}" style="text-align:left;padding:6px;border-bottom:2px solid #e5e7eb;cursor:pointer;white-space:nowrap;">${label}${arrow(key)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${visible.map(item => `
+              <tr>
+                <td style="padding:6px;border-bottom:1px solid #f3f4f6;">${badge(item.severity)}</td>
+                <td style="padding:6px;border-bottom:1px solid #f3f4f6;white-space:nowrap;">${Utils.escapeHtml(item.orderCode)}</td>
+                <td style="padding:6px;border-bottom:1px solid #f3f4f6;">${Utils.escapeHtml(item.description)}</td>
+                <td style="padding:6px;border-bottom:1px solid #f3f4f6;">${Utils.escapeHtml(item.field)}</td>
+                <td style="padding:6px;border-bottom:1px solid #f3f4f6;">${Utils.escapeHtml(item.message)}${item.value ? `<div style="color:#6b7280;font-size:0.8rem;word-break:break-all;">${Utils.escapeHtml(item.value)}</div>` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<div style="padding:20px;text-align:center;color:#059669;">No issues found</div>'}
+    `;
+
+    this.bindEvents();
+  }
+
+  /**
+   * @private
+   */
+  bindEvents() {
+    this.container.querySelectorAll('[data-severity]').forEach(btn => {
+      btn.onclick = () => {
+        this.severityFilter = btn.dataset.severity;
+        this.render();
+      };
+    });
+
+    this.container.querySelectorAll('th[data-sort]').forEach(th => {
+      th.onclick = () => {
+        this.sortDirection = this.sortKey === th.dataset.sort ? -this.sortDirection : 1;
+        this.sortKey = th.dataset.sort;
+        this.render();
+      };
+    });
+
+    const exportBtn = this.container.querySelector('[data-action="export"]');
+    if (exportBtn) {
+      exportBtn.onclick = () => {
+        const blob = new Blob([issuesToCsv(this.getAllIssues())], { type: 'text/csv' });
+        Utils.downloadBlob(blob, `catalog-quality-${new Date().toISOString().slice(0, 10)}.csv`);
+      };
+    }
+
+    const checkBtn = this.container.querySelector('[data-action="check-links"]');
+    if (checkBtn) {
+      checkBtn.onclick = async () => {
+        this.checkingLinks = true;
+        this.render();
+        try {
+          this.linkIssues = await checkCatalogLinks(this.getProducts(), {
+            onProgress: (done, total) => {
+              const btn = this.container.querySelector('[data-action="check-links"]');
+              if (btn) {btn.textContent = `Checking links… ${done}/${total}`;}
+            }
+          });
+        } finally {
+          this.checkingLinks = false;
+          this.render();
+        }
+      };
+    }
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Catalog Source Adapters
+ * Where the product catalog comes from: a published Google Sheet, an uploaded
+ * CSV/XLSX/JSON file, a JSON file on the web server, or the local server.js endpoint.
+ * Every adapter resolves to catalog CSV text, so caching, history and
+ * DataLayer#parseCSV treat all sources the same way.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { stringifyCsv } from './csv-parser.js';
+import { persistentStore } from './persistent-store.js';
+
+/**
+ * Source identifiers used in configuration
+ * @readonly
+ * @enum {string}
+ */
+export const CatalogSourceType = {
+  GOOGLE_SHEETS: 'googleSheets',
+  UPLOAD: 'upload',
+  JSON: 'json',
+  SERVER: 'server'
+};
+
+const UPLOAD_STORAGE_KEY = 'catalogUploadCsv';
+const UPLOAD_NAME_KEY = 'catalogUploadName';
+const XLSX_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+/**
+ * Add a cache-busting parameter to a URL
+ * @private
+ * @param {string} url
+ * @returns {string}
+ */
+function withCacheBuster(url) {
+  return `${url + (url.includes('?') ? '&' : '?')}t=${Date.now()}`;
+}
+
+/**
+ * Fetch a URL, rejecting non-2xx responses
+ * @private
+ * @async
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ */
+async function fetchOk(url, signal) {
+  const response = await fetch(withCacheBuster(url), { signal, mode: 'cors', cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch catalog: ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * Convert JSON catalog data to CSV.
+ * Accepts an array of product objects or an object with a `products` array.
+ * @param {Array<Object>|Object} data
+ * @returns {string}
+ * @throws {Error} If the data is not a product list
+ */
+export function jsonCatalogToCsv(data) {
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) {
+    throw new Error('Catalog JSON must be an array of products or { "products": [...] }');
+  }
+
+  const headers = [];
+  products.forEach(product => {
+    Object.keys(product || {}).forEach(key => {
+      if (!headers.includes(key)) {headers.push(key);}
+    });
+  });
+
+  return stringifyCsv(headers, products.map(product => headers.map(header => product?.[header] ?? '')));
+}
+
+/**
+ * Read an uploaded catalog file (.csv, .xlsx or .json) as CSV text
+ * @async
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function readCatalogFile(file) {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.json')) {
+    return jsonCatalogToCsv(JSON.parse(await file.text()));
+  }
+
+  if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+    if (!window.XLSX) {
+      await Utils.loadScript(XLSX_SCRIPT_URL);
+    }
+    const workbook = window.XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+    return window.XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]]);
+  }
+
+  return file.text();
+}
+
+/**
+ * Base class for catalog sources
+ * @class CatalogSource
+ */
+export class CatalogSource {
+  /**
+   * @param {string} type - CatalogSourceType value
+   * @param {string} label - Name shown in settings
+   */
+  constructor(type, label) {
+    this.type = type;
+    this.label = label;
+  }
+
+  /**
+   * Load the catalog
+   * @async
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<string>} Catalog CSV text
+   */
+  async load() {
+    throw new Error(`${this.type} catalog source does not implement load()`);
+  }
+}
+
+/**
+ * Published Google Sheets CSV (`api.catalogUrl`)
+ * @class GoogleSheetsSource
+ */
+export class GoogleSheetsSource extends CatalogSource {
+  constructor() {
+    super(CatalogSourceType.GOOGLE_SHEETS, 'Google Sheets');
+  }
+
+  async load({ signal } = {}) {
+    const response = await fetchOk(config.get('api.catalogUrl'), signal);
+    return response.text();
+  }
+}
+
+/**
+ * Catalog file uploaded on this device, kept in local storage (IndexedDB)
+ * @class UploadedFileSource
+ */
+export class UploadedFileSource extends CatalogSource {
+  constructor() {
+    super(CatalogSourceType.UPLOAD, 'Uploaded file');
+  }
+
+  async load() {
+    const csvText = persistentStore.getItem(UPLOAD_STORAGE_KEY);
+    if (!csvText) {
+      throw new Error('No catalog file has been uploaded');
+    }
+    return csvText;
+  }
+
+  /**
+   * Store an uploaded catalog file
+   * @async
+   * @param {File} file - .csv, .xlsx or .json
+   * @returns {Promise<string>} The stored CSV text
+   */
+  async storeFile(file) {
+    const csvText = await readCatalogFile(file);
+    persistentStore.setItem(UPLOAD_STORAGE_KEY, csvText);
+    persistentStore.setItem(UPLOAD_NAME_KEY, file.name);
+    return csvText;
+  }
+
+  /**
+   * Name of the stored file, if any
+   * @returns {string|null}
+   */
+  getFileName() {
+    return persistentStore.getItem(UPLOAD_NAME_KEY);
+  }
+}
+
+/**
+ * JSON catalog file served alongside the app (`api.catalogJsonUrl`)
+ * @class JsonFileSource
+ */
+export class JsonFileSource extends CatalogSource {
+  constructor() {
+    super(CatalogSourceType.JSON, 'JSON file');
+  }
+
+  async load({ signal } = {}) {
+    const response = await fetchOk(config.get('api.catalogJsonUrl', 'catalog.json'), signal);
+    return jsonCatalogToCsv(await response.json());
+  }
+}
+
+/**
+ * The `/catalog` endpoint of the local development server (`api.catalogServerUrl`).
+ * The server may answer with CSV or JSON.
+ * @class ServerSource
+ */
+export class ServerSource extends CatalogSource {
+  constructor() {
+    super(CatalogSourceType.SERVER, 'Local server');
+  }
+
+  async load({ signal } = {}) {
+    const response = await fetchOk(config.get('api.catalogServerUrl', '/catalog'), signal);
+    if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+      return jsonCatalogToCsv(await response.json());
+    }
+    return response.text();
+  }
+}
+
+/**
+ * Registry of catalog sources and selection of the active one
+ * @class CatalogSourceRegistry
+ */
+export class CatalogSourceRegistry {
+  constructor() {
+    this.sources = new Map();
+    [new GoogleSheetsSource(), new UploadedFileSource(), new JsonFileSource(), new ServerSource()]
+      .forEach(source => this.register(source));
+  }
+
+  /**
+   * Add or replace a source
+   * @param {CatalogSource} source
+   */
+  register(source) {
+    this.sources.set(source.type, source);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {CatalogSource|undefined}
+   */
+  get(type) {
+    return this.sources.get(type);
+  }
+
+  /**
+   * All registered sources
+   * @returns {CatalogSource[]}
+   */
+  list() {
+    return Array.from(this.sources.values());
+  }
+
+  /**
+   * Source type configured for the current environment.
+   * An explicit `api.catalogSource` wins over `api.catalogSourceByEnvironment`.
+   * @returns {string}
+   */
+  getActiveType() {
+    const explicit = config.get('api.catalogSource', '');
+    const byEnvironment = config.get('api.catalogSourceByEnvironment', {})[config.getEnvironment()];
+    const type = explicit || byEnvironment;
+    return this.sources.has(type) ? type : CatalogSourceType.GOOGLE_SHEETS;
+  }
+
+  /**
+   * @returns {CatalogSource}
+   */
+  getActive() {
+    return this.get(this.getActiveType());
+  }
+
+  /**
+   * Load from the active source, falling back to `api.catalogFallbackSource` if it fails
+   * @async
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{csvText: string, source: string}>}
+   */
+  async load(options = {}) {
+    const active = this.getActive();
+    try {
+      return { csvText: await active.load(options), source: active.type };
+    } catch (error) {
+      const fallback = this.get(config.get('api.catalogFallbackSource', CatalogSourceType.GOOGLE_SHEETS));
+      if (!fallback || fallback === active || error.name === 'AbortError') {throw error;}
+      console.warn(`⚠️ ${active.label} catalog source failed (${error.message}), trying ${fallback.label}`);
+      return { csvText: await fallback.load(options), source: fallback.type };
+    }
+  }
+}
+
+// Global instance
+export const catalogSources = new CatalogSourceRegistry();
@@ -0,0 +1,166 @@
+/**
+ * Catalog Worker Client
+ * Promise-based message API for the catalog worker. Falls back to running the
+ * same CatalogService on the main thread (with incremental parsing) when module
+ * workers are unsupported or the worker fails to start.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { CatalogService } from './catalog-worker.js';
+
+/**
+ * @class CatalogWorkerClient
+ */
+export class CatalogWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.localService = null;
+    this.requests = new Map();
+    this.nextId = 1;
+    this.started = false;
+  }
+
+  /**
+   * Start the worker on first use
+   * @private
+   */
+  start() {
+    this.started = true;
+    if (typeof Worker === 'undefined') {
+      this.useLocal('Web Workers not supported');
+      return;
+    }
+    try {
+      this.worker = new Worker(new URL('./catalog-worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerError(event);
+    } catch (error) {
+      this.useLocal(error.message);
+    }
+  }
+
+  /**
+   * Whether requests are served off the main thread
+   * @returns {boolean}
+   */
+  isOffThread() {
+    return !!this.worker;
+  }
+
+  /**
+   * Send a request
+   * @private
+   * @param {string} type
+   * @param {Object} payload
+   * @returns {Promise<*>}
+   */
+  request(type, payload) {
+    if (!this.started) {this.start();}
+    if (!this.worker) {
+      return this.localService.handle(type, payload);
+    }
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests.set(id, { type, payload, resolve, reject });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleMessage({ id, result, error }) {
+    const request = this.requests.get(id);
+    if (!request) {return;}
+    this.requests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * The worker failed (e.g. module workers unsupported): switch to the main thread
+   * and replay outstanding requests there
+   * @private
+   */
+  handleWorkerError(event) {
+    event.preventDefault?.();
+    this.worker.terminate();
+    this.worker = null;
+    this.useLocal(event.message || 'worker error');
+
+    const pending = Array.from(this.requests.values());
+    this.requests.clear();
+    pending.forEach(({ type, payload, resolve, reject }) => {
+      this.localService.handle(type, payload).then(resolve, reject);
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} reason
+   */
+  useLocal(reason) {
+    console.warn(`⚠️ Catalog worker unavailable (${reason}), processing the catalog on the main thread`);
+    this.localService = new CatalogService({ incremental: true });
+  }
+
+  /**
+   * Parse catalog CSV, optionally keeping the result in a slot
+   * @param {string} csvText
+   * @param {string} [slot] - 'current', 'incoming', or omit to just return products
+   * @returns {Promise<{products: Array<Object>, report: Object}>}
+   */
+  parse(csvText, slot = null) {
+    return this.request('parse', { csvText, slot });
+  }
+
+  /**
+   * Diff two slots by OrderCode
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<{added: string[], removed: string[], changed: string[], total: number}>}
+   */
+  diff(from, to) {
+    return this.request('diff', { from, to });
+  }
+
+  /**
+   * Move a catalog from one slot to another (e.g. 'incoming' to 'current')
+   * @param {string} from
+   * @param {string} to
+   * @returns {Promise<{count: number}>}
+   */
+  promote(from, to) {
+    return this.request('promote', { from, to });
+  }
+
+  /**
+   * Build the search index for a slot
+   * @param {string} slot
+   * @returns {Promise<{tokens: number}>}
+   */
+  index(slot) {
+    return this.request('index', { slot });
+  }
+
+  /**
+   * Ranked search over the indexed slot
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {Object<string, string[]>} [options.synonyms] - Alternatives per query token
+   * @returns {Promise<Array<{index: number, score: number}>>}
+   */
+  search(query, { limit, synonyms } = {}) {
+    return this.request('search', { query, limit, synonyms });
+  }
+}
+
+// Global instance
+export const catalogWorker = new CatalogWorkerClient();
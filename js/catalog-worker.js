@@ -0,0 +1,81 @@
+/**
+ * Catalog Worker
+ * Parses, diffs and indexes catalogs off the main thread and answers search queries.
+ * Loaded as a module worker by catalog-worker-client.js; CatalogService is also used
+ * directly on the main thread when workers are unavailable.
+ *
+ * Catalogs are kept in named slots ('current' is the one the page shows, 'incoming'
+ * a freshly fetched one) so large product lists are not copied back and forth for diffs.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { parseCatalog, parseCatalogAsync, diffCatalogs } from './catalog-parser.js';
+import { SearchEngine } from './search-engine.js';
+
+/**
+ * Request handlers shared by the worker and the main-thread fallback
+ * @class CatalogService
+ */
+export class CatalogService {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.incremental=false] - Yield while parsing (for use on the main thread)
+   */
+  constructor({ incremental = false } = {}) {
+    this.incremental = incremental;
+    this.slots = new Map();
+    this.searchEngine = new SearchEngine();
+  }
+
+  /**
+   * Handle one request
+   * @async
+   * @param {string} type - parse | diff | promote | index | search
+   * @param {Object} payload
+   * @returns {Promise<*>}
+   */
+  async handle(type, payload = {}) {
+    switch (type) {
+    case 'parse': {
+      const result = this.incremental ? await parseCatalogAsync(payload.csvText) : parseCatalog(payload.csvText);
+      if (payload.slot) {this.slots.set(payload.slot, result.products);}
+      return result;
+    }
+    case 'diff':
+      return diffCatalogs(this.slots.get(payload.from) || [], this.slots.get(payload.to) || []);
+    case 'promote': {
+      const products = this.slots.get(payload.from) || [];
+      this.slots.set(payload.to, products);
+      this.slots.delete(payload.from);
+      return { count: products.length };
+    }
+    case 'index':
+      this.searchEngine = new SearchEngine(this.slots.get(payload.slot) || []);
+      return { tokens: this.searchEngine.vocabulary.length };
+    case 'search': {
+      const synonyms = payload.synonyms || {};
+      return this.searchEngine
+        .search(payload.query, { limit: payload.limit, synonyms: token => synonyms[token] || [] })
+        .map(({ index, score }) => ({ index, score }));
+    }
+    default:
+      throw new Error(`Unknown catalog worker request: ${type}`);
+    }
+  }
+}
+
+// Worker entry point: answer { id, type, payload } messages with { id, result } or { id, error }
+if (typeof window === 'undefined' && typeof self !== 'undefined') {
+  const service = new CatalogService();
+  self.onmessage = async ({ data }) => {
+    const { id, type, payload } = data;
+    try {
+      self.postMessage({ id, result: await service.handle(type, payload) });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  };
+}
@@ -0,0 +1,435 @@
+/**
+ * Product Compare Tray
+ * Collects up to four products from search results or grid rows and shows them side by
+ * side (image, price, dimensions, weight, WELS and datasheet) with differing rows
+ * highlighted. The comparison can be exported as a one-page landscape PDF.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { Utils } from './utils.js';
+import { pdfCore } from './pdf-core.js';
+import { optimizeImageForPDF, downloadWithFallback } from './pdf-generator.js';
+import { parseCatalogNumber } from './catalog-browser.js';
+
+const COMPARE_STORAGE_KEY = 'compareTray';
+export const MAX_COMPARE_PRODUCTS = 4;
+
+const HIGHLIGHT_BACKGROUND = '#fef3c7';
+const HIGHLIGHT_RGB = [254, 243, 199];
+
+/**
+ * Format a catalog price for display
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function formatPrice(value) {
+  const num = parseCatalogNumber(value);
+  return num === null ? '' : `$${num.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Whether a catalog link is an http(s) URL, so it is safe as an image source or link
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  return /^https?:\/\//i.test((value ?? '').toString().trim());
+}
+
+/**
+ * Append a unit to a non-empty value
+ * @private
+ */
+function withUnit(value, unit) {
+  const text = (value ?? '').toString().trim();
+  return text ? `${text} ${unit}` : '';
+}
+
+/**
+ * Comparison rows, in display order.
+ * `numeric` rows are compared as numbers so "450" and "450.0" count as equal.
+ * @readonly
+ */
+export const COMPARE_FIELDS = [
+  { key: 'image', label: 'Image', type: 'image', get: p => p.Image_URL || p.imageUrl || p.Image || '' },
+  { key: 'code', label: 'Order Code', get: p => p.OrderCode || '' },
+  { key: 'name', label: 'Product', get: p => p.Description || p['Product Name'] || p.ProductName || '' },
+  { key: 'price', label: 'RRP ex GST', numeric: true, get: p => p.RRP_EX || '', format: formatPrice },
+  { key: 'width', label: 'Width', numeric: true, get: p => p['X Dimension (mm)'] || '', format: v => withUnit(v, 'mm') },
+  { key: 'depth', label: 'Depth', numeric: true, get: p => p['Y Dimension (mm)'] || '', format: v => withUnit(v, 'mm') },
+  { key: 'height', label: 'Height', numeric: true, get: p => p['Z Dimension (mm)'] || '', format: v => withUnit(v, 'mm') },
+  { key: 'weight', label: 'Weight', numeric: true, get: p => p.WEIGHT || '', format: v => withUnit(v, 'kg') },
+  { key: 'welsStar', label: 'WELS stars', numeric: true, get: p => p['WELS STAR'] || '' },
+  { key: 'welsConsumption', label: 'WELS consumption', get: p => p['WELS CONSUMPTION'] || '' },
+  { key: 'datasheet', label: 'Datasheet', type: 'link', get: p => p.Datasheet_URL || '' }
+];
+
+/**
+ * Whether a row's values are not all the same
+ * @param {Array<*>} values
+ * @param {boolean} [numeric=false]
+ * @returns {boolean}
+ */
+export function valuesDiffer(values, numeric = false) {
+  const normalized = values.map(value => {
+    if (numeric) {
+      const num = parseCatalogNumber(value);
+      if (num !== null) {return num;}
+    }
+    return (value ?? '').toString().trim().toLowerCase();
+  });
+  return new Set(normalized).size > 1;
+}
+
+/**
+ * Build the comparison table for a set of products
+ * @param {Array<Object>} products
+ * @returns {Array<{key: string, label: string, type: string, values: string[], display: string[], differs: boolean}>}
+ */
+export function buildComparison(products) {
+  return COMPARE_FIELDS.map(field => {
+    const values = products.map(product => field.get(product));
+    return {
+      key: field.key,
+      label: field.label,
+      type: field.type || 'text',
+      values,
+      display: values.map(value => (field.format ? field.format(value) : (value ?? '').toString())),
+      // Images always differ between products, so they are never highlighted
+      differs: products.length > 1 && field.type !== 'image' && valuesDiffer(values, field.numeric)
+    };
+  });
+}
+
+/**
+ * Compare tray state, tray bar and comparison modal
+ * @class CompareTray
+ */
+export class CompareTray {
+  constructor() {
+    this.products = Utils.getStorageItem(COMPARE_STORAGE_KEY, []);
+    this.differencesOnly = false;
+    this.exporting = false;
+  }
+
+  /**
+   * Order code used to identify a product in the tray
+   * @private
+   */
+  codeOf(product) {
+    return (product?.OrderCode || '').toString();
+  }
+
+  /**
+   * @param {Object|string} productOrCode
+   * @returns {boolean}
+   */
+  has(productOrCode) {
+    const code = typeof productOrCode === 'string' ? productOrCode : this.codeOf(productOrCode);
+    return !!code && this.products.some(product => this.codeOf(product) === code);
+  }
+
+  /**
+   * Add a product to the tray
+   * @param {Object} product
+   * @returns {boolean} False if the product is already there or the tray is full
+   */
+  add(product) {
+    if (!this.codeOf(product) || this.has(product)) {return false;}
+    if (this.products.length >= MAX_COMPARE_PRODUCTS) {
+      alert(`You can compare up to ${MAX_COMPARE_PRODUCTS} products. Remove one from the compare tray first.`);
+      return false;
+    }
+    this.products.push(product);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Add the product if it is not in the tray, otherwise remove it
+   * @param {Object} product
+   * @returns {boolean} Whether the product is now in the tray
+   */
+  toggle(product) {
+    if (this.has(product)) {
+      this.remove(this.codeOf(product));
+      return false;
+    }
+    return this.add(product);
+  }
+
+  /**
+   * @param {string} code - Order code
+   */
+  remove(code) {
+    this.products = this.products.filter(product => this.codeOf(product) !== code);
+    this.save();
+  }
+
+  clear() {
+    this.products = [];
+    this.save();
+  }
+
+  /**
+   * Persist the tray and notify listeners
+   * @private
+   */
+  save() {
+    Utils.setStorageItem(COMPARE_STORAGE_KEY, this.products);
+    this.renderTray();
+    if (this.isModalOpen()) {this.renderComparison();}
+    window.dispatchEvent(new CustomEvent('compareTrayChanged', { detail: { codes: this.products.map(p => this.codeOf(p)) } }));
+  }
+
+  /**
+   * Create the tray bar and wire the comparison modal
+   */
+  mount() {
+    const modal = document.getElementById('compare-modal');
+    if (modal && !modal.dataset.bound) {
+      modal.dataset.bound = 'true';
+      modal.onclick = (e) => {
+        if (e.target === modal) {this.hideComparison();}
+      };
+      document.getElementById('compare-close').onclick = () => this.hideComparison();
+      document.getElementById('compare-export-pdf').onclick = () => this.exportPdf();
+      document.getElementById('compare-differences-only').onchange = (e) => {
+        this.differencesOnly = e.target.checked;
+        this.renderComparison();
+      };
+    }
+    this.renderTray();
+  }
+
+  /**
+   * Render the fixed tray bar (hidden when empty)
+   */
+  renderTray() {
+    let tray = document.getElementById('compare-tray');
+    if (!this.products.length) {
+      tray?.remove();
+      return;
+    }
+    if (!tray) {
+      tray = document.createElement('div');
+      tray.id = 'compare-tray';
+      tray.style.cssText = `
+        position: fixed; bottom: 16px; right: 16px; z-index: 9997; max-width: calc(100vw - 32px);
+        background: #fff; border: 1px solid #2563eb; border-radius: 8px;
+        padding: 8px 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        font-size: 13px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap;
+      `;
+      tray.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove]');
+        if (removeBtn) {
+          this.remove(removeBtn.dataset.remove);
+        } else if (e.target.closest('[data-action="compare"]')) {
+          this.showComparison();
+        } else if (e.target.closest('[data-action="clear"]')) {
+          this.clear();
+        }
+      });
+      document.body.appendChild(tray);
+    }
+
+    tray.innerHTML = `
+      <strong style="color: #1e3a8a;">⇄ Compare</strong>
+      ${this.products.map(product => `
+        <span style="display: inline-flex; align-items: center; gap: 4px; background: #eff6ff; color: #1e40af; border-radius: 12px; padding: 2px 4px 2px 10px;" title="${Utils.escapeHtml(product.Description || product['Product Name'] || '')}">
+          ${Utils.escapeHtml(this.codeOf(product))}
+          <button type="button" data-remove="${Utils.escapeHtml(this.codeOf(product))}" title="Remove from compare" style="border: none; background: transparent; color: #1e40af; cursor: pointer; font-size: 14px; line-height: 1;">×</button>
+        </span>
+      `).join('')}
+      <button type="button" data-action="compare" ${this.products.length < 2 ? 'disabled title="Add at least two products"' : ''} style="
+        padding: 4px 10px; border: none; background: #2563eb; color: white;
+        border-radius: 3px; cursor: pointer; font-size: 12px; ${this.products.length < 2 ? 'opacity: 0.5; cursor: not-allowed;' : ''}
+      ">Compare (${this.products.length})</button>
+      <button type="button" data-action="clear" style="
+        padding: 4px 10px; border: 1px solid #2563eb; background: transparent;
+        color: #2563eb; border-radius: 3px; cursor: pointer; font-size: 12px;
+      ">Clear</button>
+    `;
+  }
+
+  /**
+   * @private
+   */
+  isModalOpen() {
+    const modal = document.getElementById('compare-modal');
+    return !!modal && modal.style.display !== 'none';
+  }
+
+  showComparison() {
+    const modal = document.getElementById('compare-modal');
+    if (!modal) {return;}
+    this.renderComparison();
+    modal.style.display = 'flex';
+  }
+
+  hideComparison() {
+    const modal = document.getElementById('compare-modal');
+    if (modal) {modal.style.display = 'none';}
+  }
+
+  /**
+   * Render the comparison table into the modal
+   */
+  renderComparison() {
+    const container = document.getElementById('compare-table');
+    if (!container) {return;}
+    if (!this.products.length) {
+      container.innerHTML = '<p style="color: #666; font-style: italic;">The compare tray is empty.</p>';
+      return;
+    }
+
+    const cell = 'padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top;';
+    const rows = buildComparison(this.products)
+      .filter(row => !this.differencesOnly || row.differs || row.key === 'image' || row.key === 'code');
+
+    const renderValue = (row, index) => {
+      const value = row.values[index];
+      if (row.type === 'image') {
+        return `<img src="${Utils.escapeHtml(isHttpUrl(value) ? value.trim() : 'assets/no-image.png')}" alt="" style="max-width: 120px; max-height: 120px; object-fit: contain;" onerror="this.src='assets/no-image.png';">`;
+      }
+      if (row.type === 'link') {
+        return isHttpUrl(value) ? `<a href="${Utils.escapeHtml(value.trim())}" target="_blank" rel="noopener">Datasheet</a>` : '<span style="color: #9ca3af;">—</span>';
+      }
+      return row.display[index] ? Utils.escapeHtml(row.display[index]) : '<span style="color: #9ca3af;">—</span>';
+    };
+
+    container.innerHTML = `
+      <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem; table-layout: fixed;">
+        <tbody>
+          ${rows.map(row => `
+            <tr style="${row.differs ? `background: ${HIGHLIGHT_BACKGROUND};` : ''}">
+              <th style="${cell} text-align: left; width: 140px; color: #374151;">${row.label}</th>
+              ${this.products.map((product, index) => `
+                <td style="${cell} ${row.key === 'code' ? 'font-weight: 600;' : ''}">
+                  ${renderValue(row, index)}
+                  ${row.key === 'code' ? `<button type="button" data-remove="${Utils.escapeHtml(this.codeOf(product))}" title="Remove from compare" style="margin-left: 6px; border: none; background: transparent; color: #dc2626; cursor: pointer;">×</button>` : ''}
+                </td>
+              `).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div style="margin-top: 8px; color: #666; font-size: 0.8rem;">
+        <span style="display: inline-block; width: 12px; height: 12px; background: ${HIGHLIGHT_BACKGROUND}; vertical-align: middle; border: 1px solid #fcd34d;"></span>
+        Highlighted rows differ between products
+      </div>
+    `;
+    container.querySelectorAll('[data-remove]').forEach(btn => {
+      btn.onclick = () => this.remove(btn.dataset.remove);
+    });
+  }
+
+  /**
+   * Export the comparison as a one-page landscape A4 PDF
+   * @async
+   */
+  async exportPdf() {
+    if (this.exporting || !this.products.length) {return;}
+    const button = document.getElementById('compare-export-pdf');
+    this.exporting = true;
+    if (button) {button.disabled = true;}
+
+    try {
+      if (!window.jspdf) {
+        await pdfCore.loadJsPDF();
+      }
+      const { jsPDF } = window.jspdf;
+      const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: true });
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const pageHeight = doc.internal.pageSize.getHeight();
+      const margin = 12;
+      const labelWidth = 38;
+      const columnWidth = (pageWidth - margin * 2 - labelWidth) / this.products.length;
+      const imageHeight = 45;
+      const lineHeight = 4.2;
+
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(16);
+      doc.text('Product Comparison', margin, margin + 4);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(100);
+      doc.text(new Date().toLocaleDateString('en-AU'), pageWidth - margin, margin + 4, { align: 'right' });
+      doc.setTextColor(0);
+
+      const images = await Promise.all(this.products.map(async product => {
+        try {
+          const dataUrl = await optimizeImageForPDF(COMPARE_FIELDS[0].get(product), 400, 0.85);
+          return dataUrl && dataUrl.startsWith('data:image') ? dataUrl : null;
+        } catch (error) {
+          return null;
+        }
+      }));
+
+      let y = margin + 10;
+      buildComparison(this.products).forEach(row => {
+        doc.setFontSize(9);
+        const cellLines = row.display.map(text => doc.splitTextToSize(text || '—', columnWidth - 4));
+        const rowHeight = row.type === 'image'
+          ? imageHeight
+          : Math.max(...cellLines.map(lines => lines.length)) * lineHeight + 3;
+
+        if (row.differs) {
+          doc.setFillColor(...HIGHLIGHT_RGB);
+          doc.rect(margin, y, pageWidth - margin * 2, rowHeight, 'F');
+        }
+        doc.setDrawColor(229, 231, 235);
+        doc.line(margin, y + rowHeight, pageWidth - margin, y + rowHeight);
+
+        doc.setFont('helvetica', 'bold');
+        doc.text(row.label, margin + 1, y + lineHeight + 0.5);
+        doc.setFont('helvetica', row.key === 'code' ? 'bold' : 'normal');
+
+        this.products.forEach((product, index) => {
+          const x = margin + labelWidth + columnWidth * index;
+          if (row.type === 'image') {
+            const image = images[index];
+            if (!image) {return;}
+            const props = doc.getImageProperties(image);
+            const scale = Math.min((columnWidth - 6) / props.width, (imageHeight - 4) / props.height);
+            const w = props.width * scale;
+            const h = props.height * scale;
+            doc.addImage(image, image.startsWith('data:image/png') ? 'PNG' : 'JPEG', x + (columnWidth - w) / 2, y + (imageHeight - h) / 2, w, h, undefined, 'FAST');
+          } else if (row.type === 'link' && row.values[index]) {
+            doc.setTextColor(37, 99, 235);
+            doc.textWithLink('Datasheet', x + 2, y + lineHeight + 0.5, { url: row.values[index] });
+            doc.setTextColor(0);
+          } else {
+            doc.text(cellLines[index], x + 2, y + lineHeight + 0.5);
+          }
+        });
+        y += rowHeight;
+      });
+
+      doc.setFontSize(8);
+      doc.setTextColor(120);
+      doc.setFillColor(...HIGHLIGHT_RGB);
+      doc.rect(margin, y + 4, 4, 3, 'F');
+      doc.text('Highlighted rows differ between products. Prices are RRP excluding GST and subject to change.', margin + 6, y + 6.5);
+      doc.text('Seima', pageWidth - margin, pageHeight - 6, { align: 'right' });
+
+      const date = new Date();
+      const stamp = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+      await downloadWithFallback(doc.output('blob'), `Seima-Product-Comparison-${stamp}.pdf`, 'PDF');
+    } catch (error) {
+      console.error('❌ Failed to export comparison PDF:', error);
+      alert('Could not create the comparison PDF. Please try again.');
+    } finally {
+      this.exporting = false;
+      if (button) {button.disabled = false;}
+    }
+  }
+}
+
+// Global instance
+export const compareTray = new CompareTray();
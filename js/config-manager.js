@@ -39,6 +39,21 @@ const CONFIG_SCHEMA = {
       default: 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRnMqBCqB9L52W6YNgreLHJKvxOanS76CJN8ZUorBl8Iccha6MzUpDkGa0N8GSYFPP2zyql1Tq6aBn8/pub?gid=0&single=true&output=csv',
       required: true
     },
+    // Catalog source: '' uses catalogSourceByEnvironment (see catalog-sources.js)
+    catalogSource: { type: 'string', default: '' },
+    catalogSourceByEnvironment: {
+      type: 'object',
+      default: {
+        development: 'server',
+        staging: 'googleSheets',
+        production: 'googleSheets'
+      }
+    },
+    catalogFallbackSource: { type: 'string', default: 'googleSheets' },
+    catalogJsonUrl: { type: 'string', default: 'catalog.json' },
+    catalogServerUrl: { type: 'string', default: '/catalog' },
+    // Optional "goes with" accessory mapping (see recommendations.js)
+    goesWithUrl: { type: 'string', default: 'goes-with.json' },
     timeout: { type: 'number', default: 30000, min: 5000, max: 120000 },
     retryAttempts: { type: 'number', default: 3, min: 1, max: 10 },
     retryDelay: { type: 'number', default: 1000, min: 500, max: 10000 }
@@ -54,10 +69,19 @@ const CONFIG_SCHEMA = {
         productCatalog: 'productCatalog',
         userPreferences: 'userPreferences',
         roomAssignments: 'roomAssignments',
-        criticalLogs: 'criticalLogs'
+        criticalLogs: 'criticalLogs',
+        searchSynonyms: 'searchSynonyms',
+        priceTier: 'priceTier',
+        projects: 'projects',
+        activeProject: 'activeProjectId',
+        schemaVersion: 'storageSchemaVersion',
+        revisions: 'quoteRevisions'
       }
     },
     maxSize: { type: 'number', default: 5 * 1024 * 1024 }, // 5MB
+    catalogHistoryLimit: { type: 'number', default: 24, min: 1, max: 200 }, // Catalog snapshots kept in IndexedDB
+    warnAtPercent: { type: 'number', default: 80, min: 50, max: 99 }, // Warn when storage is this full (see storage-monitor.js)
+    keepRevisions: { type: 'number', default: 10, min: 1, max: 100 }, // Revisions per project kept in full by storage clean-up
     compressionEnabled: { type: 'boolean', default: true }
   },
 
@@ -69,7 +93,9 @@ const CONFIG_SCHEMA = {
     annotationMaxLength: { type: 'number', default: 140, min: 50, max: 500 },
     quantityOptions: { type: 'array', default: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] },
     autoSaveInterval: { type: 'number', default: 30000, min: 10000, max: 300000 }, // 30 seconds
-    maxSearchResults: { type: 'number', default: 8, min: 5, max: 50 }
+    maxSearchResults: { type: 'number', default: 8, min: 5, max: 50 },
+    suggestionsEnabled: { type: 'boolean', default: true },
+    maxSuggestions: { type: 'number', default: 5, min: 1, max: 20 }
   },
 
   // Predefined rooms
@@ -122,6 +148,52 @@ const CONFIG_SCHEMA = {
     }
   },
 
+  // Price tiers: a tier uses the first of its catalog columns that has a price,
+  // otherwise percentOffRrp (see price-tiers.js)
+  pricing: {
+    tiers: {
+      type: 'array',
+      default: [
+        { id: 'retail', label: 'Retail (RRP)', columns: [], percentOffRrp: 0, tipPdf: '' },
+        { id: 'builder', label: 'Builder', columns: ['Builder EX GST', 'Builder Price'], percentOffRrp: 0, tipPdf: 'tip-Builder.pdf' },
+        { id: 'merchant', label: 'Merchant', columns: ['Merchant EX GST', 'Merchant Price'], percentOffRrp: 0, tipPdf: 'tip-Merchant.pdf' },
+        { id: 'aAndD', label: 'A&D', columns: ['A&D EX GST', 'A&D Price'], percentOffRrp: 0, tipPdf: 'tip-AandD.pdf' },
+        { id: 'volumeMerchant', label: 'Volume Merchant', columns: ['Volume Merchant EX GST', 'Volume Merchant Price'], percentOffRrp: 0, tipPdf: 'tip-Volume Merchant.pdf' }
+      ]
+    },
+    defaultTier: { type: 'string', default: 'retail' },
+    preselectTipPdf: { type: 'boolean', default: true }
+  },
+
+  // Barcode scanning from photos (see barcode-scanner.js)
+  scanner: {
+    maxImageDimension: { type: 'number', default: 1600, min: 640, max: 4000 },
+    scanLines: { type: 'number', default: 24, min: 4, max: 100 },
+    // Keyboard-wedge (USB/Bluetooth) scanners: a fast burst of keys ending in Enter
+    wedgeMode: { type: 'boolean', default: false },
+    wedgeMaxKeyInterval: { type: 'number', default: 50, min: 10, max: 200 }, // ms between keys
+    wedgeMinLength: { type: 'number', default: 4, min: 2, max: 20 },
+    sound: { type: 'boolean', default: true }
+  },
+
+  // Project files (see project-bundle.js)
+  projects: {
+    fileFormat: { type: 'string', default: 'zip', enum: ['zip', 'json'] } // .json when JSZip cannot load
+  },
+
+  // Undo/redo of selection edits (see selection-history.js)
+  history: {
+    maxSteps: { type: 'number', default: 50, min: 1, max: 500 },
+    mergeWindowMs: { type: 'number', default: 1000, min: 0, max: 10000 } // typing in one field within this is one step
+  },
+
+  // Offline mode (see sw.js and offline-cache.js)
+  offline: {
+    enabled: { type: 'boolean', default: true },
+    serviceWorkerUrl: { type: 'string', default: './sw.js' },
+    prefetchConcurrency: { type: 'number', default: 4, min: 1, max: 12 }
+  },
+
   // Email configuration
   email: {
     serviceId: { type: 'string', default: 'service_rblizfg', required: true },
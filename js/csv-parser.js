@@ -0,0 +1,296 @@
+/**
+ * Streaming CSV Parser
+ * RFC 4180 parser that accepts text in chunks: quoted fields may contain commas,
+ * newlines and doubled quotes; CRLF, LF and CR line endings and a leading BOM are accepted.
+ * Malformed records are skipped and reported with the line and column of the problem.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+/**
+ * Characters handed to the parser per step by the async helper
+ * @readonly
+ */
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Incremental RFC 4180 record parser
+ * @class CsvStreamParser
+ */
+export class CsvStreamParser {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.onRecord - Called with ({fields, fieldColumns, line}) for each good record
+   * @param {Function} [handlers.onError] - Called with ({line, column, reason}) for each skipped record
+   */
+  constructor({ onRecord, onError = () => {} }) {
+    this.onRecord = onRecord;
+    this.onError = onError;
+
+    // Position of the next character (1-based)
+    this.line = 1;
+    this.column = 1;
+    this.started = false;
+    this.previousWasCR = false;
+
+    this.resetRecord(1);
+  }
+
+  /**
+   * @private
+   * @param {number} line - Line the next record starts on
+   */
+  resetRecord(line) {
+    this.fields = [];
+    this.fieldColumns = [];
+    this.field = '';
+    this.fieldColumn = 1;
+    this.recordLine = line;
+    this.inQuotes = false;
+    this.pendingQuote = false; // Saw a quote inside a quoted field; the next char decides
+    this.afterQuote = false; // Quoted field closed, only a delimiter may follow
+    this.quoteLine = 0;
+    this.quoteColumn = 0;
+    this.recordError = null;
+  }
+
+  /**
+   * Feed the next piece of text
+   * @param {string} chunk
+   */
+  push(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (!this.started) {
+        this.started = true;
+        if (char === '\uFEFF') {continue;}
+      }
+
+      // A CRLF pair is one line break; the LF was already counted with the CR
+      if (char === '\n' && this.previousWasCR) {
+        this.previousWasCR = false;
+        if (this.inQuotes && !this.pendingQuote) {this.field += char;}
+        continue;
+      }
+      this.previousWasCR = char === '\r';
+
+      this.consume(char);
+
+      if (char === '\n' || char === '\r') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+    }
+  }
+
+  /**
+   * Flush the final record. Call once after the last chunk.
+   */
+  end() {
+    if (this.pendingQuote) {
+      this.pendingQuote = false;
+      this.inQuotes = false;
+      this.afterQuote = true;
+    }
+    if (this.inQuotes) {
+      this.fail(this.quoteLine, this.quoteColumn, 'Unterminated quoted field');
+    }
+    if (this.fields.length > 0 || this.field !== '' || this.afterQuote) {
+      this.endRecord();
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} char
+   */
+  consume(char) {
+    if (this.inQuotes) {
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.field += '"';
+          return;
+        }
+        this.inQuotes = false;
+        this.afterQuote = true;
+        // Fall through: the char after the closing quote is read as unquoted
+      } else if (char === '"') {
+        this.pendingQuote = true;
+        return;
+      } else {
+        this.field += char;
+        return;
+      }
+    }
+
+    if (char === ',') {
+      this.endField();
+      return;
+    }
+    if (char === '\n' || char === '\r') {
+      this.endRecord();
+      return;
+    }
+    if (this.afterQuote) {
+      this.fail(this.line, this.column, 'Unexpected character after closing quote');
+      this.field += char;
+      return;
+    }
+    if (char === '"') {
+      if (this.field === '') {
+        this.inQuotes = true;
+        this.quoteLine = this.line;
+        this.quoteColumn = this.column;
+      } else {
+        this.fail(this.line, this.column, 'Unexpected quote in unquoted field');
+        this.field += char;
+      }
+      return;
+    }
+    this.field += char;
+  }
+
+  /**
+   * Remember the first problem in the current record
+   * @private
+   */
+  fail(line, column, reason) {
+    if (!this.recordError) {
+      this.recordError = { line, column, reason };
+    }
+  }
+
+  /**
+   * @private
+   */
+  endField() {
+    this.fields.push(this.field);
+    this.fieldColumns.push(this.fieldColumn);
+    this.field = '';
+    this.afterQuote = false;
+    // The next field starts after the delimiter
+    this.fieldColumn = this.column + 1;
+  }
+
+  /**
+   * @private
+   */
+  endRecord() {
+    this.endField();
+    const isBlank = this.fields.length === 1 && this.fields[0] === '' && !this.recordError;
+
+    if (this.recordError) {
+      this.onError(this.recordError);
+    } else if (!isBlank) {
+      this.onRecord({ fields: this.fields, fieldColumns: this.fieldColumns, line: this.recordLine });
+    }
+
+    // The next record starts on the following line
+    this.resetRecord(this.line + 1);
+  }
+}
+
+/**
+ * Collects records into a header + rows table, handling ragged rows:
+ * short rows are padded with empty cells, long rows are accepted only if the
+ * extra cells are empty.
+ * @private
+ * @returns {{parser: CsvStreamParser, table: Object}}
+ */
+function createTableParser() {
+  const table = { headers: null, rows: [], skipped: [] };
+
+  const parser = new CsvStreamParser({
+    onRecord: ({ fields, fieldColumns, line }) => {
+      if (!table.headers) {
+        table.headers = fields.map(header => header.trim());
+        return;
+      }
+
+      const width = table.headers.length;
+      if (fields.length > width) {
+        const extra = fields.slice(width).findIndex(value => value.trim() !== '');
+        if (extra !== -1) {
+          table.skipped.push({
+            line,
+            column: fieldColumns[width + extra],
+            reason: `Row has ${fields.length} fields, header has ${width}`
+          });
+          return;
+        }
+      }
+
+      const values = fields.slice(0, width);
+      while (values.length < width) {values.push('');}
+      table.rows.push({ values, line });
+    },
+    onError: error => table.skipped.push(error)
+  });
+
+  return { parser, table };
+}
+
+/**
+ * Parse CSV text in one go
+ * @param {string} text
+ * @returns {{headers: string[], rows: Array<{values: string[], line: number}>, skipped: Array<{line: number, column: number, reason: string}>}}
+ */
+export function parseCsvTable(text) {
+  const { parser, table } = createTableParser();
+  parser.push(text || '');
+  parser.end();
+  table.headers = table.headers || [];
+  return table;
+}
+
+/**
+ * Parse CSV text in chunks, yielding to the event loop between chunks so large
+ * catalogs don't block the UI
+ * @async
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Characters per step
+ * @param {Function} [options.onProgress] - Called with a 0..1 fraction after each chunk
+ * @returns {Promise<{headers: string[], rows: Array<Object>, skipped: Array<Object>}>}
+ */
+export async function parseCsvTableAsync(text, { chunkSize = DEFAULT_CHUNK_SIZE, onProgress } = {}) {
+  const { parser, table } = createTableParser();
+  const source = text || '';
+
+  for (let offset = 0; offset < source.length; offset += chunkSize) {
+    parser.push(source.slice(offset, offset + chunkSize));
+    if (onProgress) {onProgress(Math.min(1, (offset + chunkSize) / source.length));}
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  parser.end();
+  table.headers = table.headers || [];
+  return table;
+}
+
+/**
+ * Quote a value for CSV output if it contains a delimiter, quote or line break
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build RFC 4180 CSV text (CRLF line endings)
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows - Values in header order
+ * @returns {string}
+ */
+export function stringifyCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(quoteCsvValue).join(',')).join('\r\n');
+}
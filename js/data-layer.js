@@ -3,18 +3,34 @@
  * Consolidates product catalog and storage management
  */
 
-import { config } from './config-manager.js';
 import { StorageManager } from './storage.js';
+import { catalogHistory } from './catalog-history.js';
+import { SearchEngine, tokenize } from './search-engine.js';
+import { synonymDictionary } from './synonyms.js';
+import { catalogSources } from './catalog-sources.js';
+import { parseCatalog, parseCatalogAsync, diffCatalogs } from './catalog-parser.js';
+import { catalogWorker } from './catalog-worker-client.js';
+import { persistentStore } from './persistent-store.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
 
 export class DataLayer {
   constructor() {
     this.products = [];
     this.isLoaded = false;
     this.searchIndex = new Map();
+    // Main-thread search engine, built only if the synchronous searchProducts is used
+    this.searchEngine = null;
+    this.catalogVersion = 0;
+    // The worker could not index the current catalog: search on the main thread
+    this.workerIndexFailed = false;
+    this.pendingCatalog = null;
+    this.lastParseReport = null;
   }
 
   async init() {
     try {
+      // The cached catalog lives in IndexedDB
+      await persistentStore.init();
       await this.loadProductCatalog();
       this.buildSearchIndex();
       console.log('✅ Data Layer initialized');
@@ -28,42 +44,44 @@ export class DataLayer {
   async loadProductCatalog() {
     try {
       console.log('📦 Loading product catalog...');
-      // 1. Try to load from localStorage for instant display
-      const cached = localStorage.getItem('productCatalogCsv');
+      // 1. Try to load from the local cache for instant display
+      const cached = persistentStore.getItem('productCatalogCsv');
       let products = [];
       if (cached) {
-        products = this.parseCSV(cached);
+        ({ products } = await this.parseInWorker(cached, 'current'));
         this.products = products;
         this.isLoaded = true;
         console.log(`⚡ Loaded ${products.length} products from cache`);
+        // Seed an empty history with the cached catalog
+        catalogHistory.seedSnapshot(cached, products);
       }
-      // 2. In the background, fetch the latest from Google Sheets
-      const catalogUrl = config.get('api.catalogUrl');
-      const url = `${catalogUrl + (catalogUrl.includes('?') ? '&' : '?')}t=${Date.now()}`;
-      
+      // 2. In the background, fetch the latest from the configured catalog source
       // Create a timeout controller for the fetch
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
       
-      fetch(url, { 
-        signal: controller.signal,
-        mode: 'cors',
-        cache: 'no-cache'
-      })
-        .then(response => {
+      catalogSources.load({ signal: controller.signal })
+        .then(async ({ csvText }) => {
           clearTimeout(timeoutId);
-          return response.ok ? response.text() : Promise.reject(`Failed to fetch catalog: ${response.status}`);
-        })
-        .then(csvText => {
-          if (!cached || csvText !== cached) {
-            localStorage.setItem('productCatalogCsv', csvText);
-            const newProducts = this.parseCSV(csvText);
-            // If the new data is different, update and reload
-            if (JSON.stringify(newProducts) !== JSON.stringify(products)) {
-              this.products = newProducts;
-              this.isLoaded = true;
-              console.log('🔄 New catalog loaded, reloading app...');
-              window.location.reload();
+          if ((!cached || csvText !== cached) && csvText !== this.pendingCatalog?.csvText) {
+            const { products: newProducts } = await this.parseInWorker(csvText, 'incoming');
+            catalogHistory.recordSnapshot(csvText, newProducts);
+            // First load with an empty cache: nothing on screen yet, apply straight away
+            if (!cached) {
+              await catalogWorker.promote('incoming', 'current');
+              persistentStore.setItem('productCatalogCsv', csvText);
+              this.applyCatalog(newProducts);
+              return;
+            }
+            // Otherwise hold the new data until the user chooses to apply it; the cache
+            // keeps the catalog in use until then
+            const diff = await catalogWorker.diff('current', 'incoming');
+            if (diff.total > 0) {
+              this.pendingCatalog = { csvText, products: newProducts, diff };
+              console.log(`🔄 New catalog available (${diff.total} changes)`);
+              window.dispatchEvent(new CustomEvent('catalogUpdateAvailable', { detail: diff }));
+            } else {
+              persistentStore.setItem('productCatalogCsv', csvText);
             }
           }
         })
@@ -83,91 +101,137 @@ export class DataLayer {
     }
   }
 
-  parseCSV(csvText) {
-    const lines = csvText.split('\n');
-    const headers = this.parseCSVLine(lines[0]);
-    const products = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) {continue;}
-
-      try {
-        const values = this.parseCSVLine(line);
-        if (values.length >= headers.length) {
-          const product = {};
-          headers.forEach((header, index) => {
-            product[header] = values[index] || '';
-          });
-
-          // Remap fields to new names if present, fallback to old names
-          product.Group = product['Group'] || '';
-          product['Product Name'] = product['Product Name'] || product['Description'] || '';
-          product.Description = product['Description'] || product['Product Name'] || '';
-          product['Long Description'] = product['Long Description'] || product['LongDescription'] || '';
-          product.OrderCode = product['Order Code'] || product['OrderCode'] || '';
-
-          
-          product['RRP EX GST'] = product['RRP EX'] || product['RRP EX GST'] || product['RRP_EXGST'] || '';
-          product.RRP_EX = product['RRP EX'] || product['RRP EX GST'] || product['RRP_EXGST'] || product.RRP_EX || '';
-          product['RRP INC GST'] = product['RRP INC GST'] || product['RRP_INCGST'] || '';
-          product.RRP_INCGST = product['RRP INC GST'] || product['RRP_INCGST'] || product.RRP_INCGST || '';
-          product['Release Note'] = product['Release Note'] || '';
-          product.Website_URL = product['Website_URL'] || '';
-          product.Image_URL = product['Image_URL'] || '';
-          product.Diagram_URL = product['Diagram_URL'] || '';
-          product.Datasheet_URL = product['Datasheet_URL'] || '';
-          product.BARCODE = product['BARCODE'] || '';
-          product['X Dimension (mm)'] = product['X Dimension (mm)'] || '';
-          product['Y Dimension (mm)'] = product['Y Dimension (mm)'] || '';
-          product['Z Dimension (mm)'] = product['Z Dimension (mm)'] || '';
-          product.WEIGHT = product['WEIGHT'] || '';
-          product['WELS NO'] = product['WELS NO'] || '';
-          product['WELS STAR'] = product['WELS STAR'] || '';
-          product['WELS CONSUMPTION'] = product['WELS CONSUMPTION'] || '';
-          product['WELS Expiry'] = product['WELS Expiry'] || '';
-          product.WATERMARK = product['WATERMARK'] || '';
-
-          // Only add products with valid order codes
-          if (product.OrderCode && product.OrderCode.trim()) {
-            products.push(product);
-          }
-        }
-      } catch (error) {
-        console.warn(`Skipping invalid CSV line ${i + 1}:`, error);
-      }
-    }
+  /**
+   * Load the catalog from the active source now and apply it in place.
+   * Used when the catalog source is changed in settings.
+   * @async
+   * @returns {Promise<Object>} Diff against the previous catalog
+   */
+  async reloadFromSource() {
+    const { csvText } = await catalogSources.load();
+    const { products: newProducts } = await this.parseInWorker(csvText, 'incoming');
+    catalogHistory.recordSnapshot(csvText, newProducts);
+
+    const diff = await catalogWorker.diff('current', 'incoming');
+    this.pendingCatalog = null;
+    await catalogWorker.promote('incoming', 'current');
+    persistentStore.setItem('productCatalogCsv', csvText);
+    this.applyCatalog(newProducts, diff);
+    return diff;
+  }
 
-    return products;
-  }
-
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++; // Skip next quote
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        result.push(current);
-        current = '';
-      } else {
-        current += char;
-      }
+  /**
+   * Compare two parsed catalogs by OrderCode
+   * @param {Array<Object>} oldProducts - Catalog currently in use
+   * @param {Array<Object>} newProducts - Freshly fetched catalog
+   * @returns {{added: string[], removed: string[], changed: string[], total: number}} Changed OrderCodes
+   */
+  diffCatalogs(oldProducts, newProducts) {
+    return diffCatalogs(oldProducts, newProducts);
+  }
+
+  /**
+   * Whether a background fetch has produced a catalog that has not been applied yet
+   * @returns {boolean}
+   */
+  hasPendingCatalog() {
+    return !!this.pendingCatalog;
+  }
+
+  /**
+   * Apply the catalog held back by the last background refresh. If the worker cannot take
+   * it, the catalog in use stays and the update is kept for another try.
+   * @async
+   * @returns {Promise<Object|null>} The diff that was applied, or null if nothing was applied
+   */
+  async applyPendingCatalog() {
+    if (!this.pendingCatalog) {return null;}
+    const pending = this.pendingCatalog;
+    this.pendingCatalog = null;
+    try {
+      await catalogWorker.promote('incoming', 'current');
+    } catch (error) {
+      this.pendingCatalog = this.pendingCatalog || pending;
+      errorHandler.handleError({
+        message: 'Failed to apply the updated catalog',
+        error,
+        category: ErrorCategory.DATA,
+        level: LogLevel.ERROR,
+        context: 'catalog-apply'
+      });
+      return null;
     }
+    persistentStore.setItem('productCatalogCsv', pending.csvText);
+    this.applyCatalog(pending.products, pending.diff);
+    return pending.diff;
+  }
+
+  /**
+   * Swap in a new product list, rebuild the search index and notify listeners.
+   * The worker's 'current' slot must already hold the same catalog.
+   * @param {Array<Object>} products - Parsed catalog
+   * @param {Object} [diff] - Diff against the previous catalog, if known
+   */
+  applyCatalog(products, diff = null) {
+    this.products = products;
+    this.isLoaded = true;
+    this.buildSearchIndex();
+    console.log(`✅ Catalog applied (${products.length} products)`);
+    window.dispatchEvent(new CustomEvent('catalogUpdated', { detail: diff }));
+  }
+
+  /**
+   * Parse catalog CSV synchronously on the main thread
+   * @param {string} csvText
+   * @returns {Array<Object>} Products
+   */
+  parseCSV(csvText) {
+    return this.recordParseReport(parseCatalog(csvText)).products;
+  }
+
+  /**
+   * Parse catalog CSV on the main thread in chunks without blocking the UI
+   * @async
+   * @param {string} csvText
+   * @returns {Promise<Array<Object>>} Products
+   */
+  async parseCSVAsync(csvText) {
+    return this.recordParseReport(await parseCatalogAsync(csvText)).products;
+  }
+
+  /**
+   * Parse catalog CSV in the catalog worker
+   * @async
+   * @param {string} csvText
+   * @param {string} [slot] - Worker slot to keep the catalog in ('current' or 'incoming')
+   * @returns {Promise<{products: Array<Object>, report: Object}>}
+   */
+  async parseInWorker(csvText, slot) {
+    return this.recordParseReport(await catalogWorker.parse(csvText, slot));
+  }
 
-    result.push(current);
+  /**
+   * Log and keep the rows skipped by a parse
+   * @private
+   * @param {{products: Array<Object>, report: Object}} result
+   * @returns {{products: Array<Object>, report: Object}} The same result
+   */
+  recordParseReport(result) {
+    result.report.skipped.forEach(({ line, column, reason }) => {
+      console.warn(`Skipping invalid CSV row at line ${line}, column ${column}: ${reason}`);
+    });
+    this.lastParseReport = result.report;
     return result;
   }
 
+  /**
+   * Rows skipped by the most recent parse
+   * @returns {{rowCount: number, skipped: Array<{line: number, column: number, reason: string}>}|null}
+   */
+  getParseReport() {
+    return this.lastParseReport;
+  }
+
   buildSearchIndex() {
     console.log('🔍 Building search index...');
 
@@ -185,22 +249,23 @@ export class DataLayer {
         this.searchIndex.set(product.BARCODE.toLowerCase(), index);
         this.searchIndex.set(product.BARCODE.toLowerCase().replace(/[-\s]/g, ''), index);
       }
+    });
 
-      // Index by description keywords
-      if (product.Description) {
-        const words = product.Description.toLowerCase().split(/\s+/);
-        words.forEach(word => {
-          if (word.length > 2) {
-            if (!this.searchIndex.has(word)) {
-              this.searchIndex.set(word, []);
-            }
-            const indices = this.searchIndex.get(word);
-            if (Array.isArray(indices)) {
-              indices.push(index);
-            }
-          }
-        });
-      }
+    // Ranked token index: built in the worker; the main-thread copy is rebuilt lazily
+    this.searchEngine = null;
+    this.catalogVersion++;
+    this.workerIndexFailed = false;
+    const version = this.catalogVersion;
+    catalogWorker.index('current').catch(error => {
+      if (version === this.catalogVersion) {this.workerIndexFailed = true;}
+      errorHandler.handleError({
+        message: 'Failed to build the search index',
+        error,
+        category: ErrorCategory.DATA,
+        level: LogLevel.WARN,
+        context: 'catalog-index',
+        showUser: false
+      });
     });
 
     // Count barcodes indexed for debugging
@@ -226,30 +291,76 @@ export class DataLayer {
     return product;
   }
 
-  searchProducts(query) {
-    if (!query || query.length < 2) {return [];}
+  /**
+   * Ranked product search across codes, names and descriptions.
+   * All query words must match; prefixes, small typos and configured synonyms are tolerated.
+   * Synchronous: the first call builds a search index on the main thread.
+   * Prefer searchProductsAsync, which uses the worker's index.
+   * @param {string} query
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Array<Object>} Products, best match first
+   */
+  searchProducts(query, limit) {
+    if (!query || query.trim().length < 2) {return [];}
+    if (!this.searchEngine) {
+      this.searchEngine = new SearchEngine(this.products);
+    }
+    return this.searchEngine
+      .search(query, { limit, synonyms: token => synonymDictionary.getSynonyms(token) })
+      .map(result => result.product);
+  }
 
-    const queryLower = query.toLowerCase();
-    const results = new Set();
+  /**
+   * Ranked product search answered by the catalog worker
+   * @async
+   * @param {string} query
+   * @param {number} [limit] - Maximum number of results
+   * @returns {Promise<Array<Object>>} Products, best match first
+   */
+  async searchProductsAsync(query, limit) {
+    if (!query || query.trim().length < 2) {return [];}
+    if (this.workerIndexFailed) {return this.searchProducts(query, limit);}
+
+    const synonyms = {};
+    tokenize(query).forEach(token => {
+      synonyms[token] = synonymDictionary.getSynonyms(token);
+    });
 
-    // Direct code match (highest priority)
-    const directMatch = this.findProductByCode(query);
-    if (directMatch) {
-      results.add(directMatch);
+    const version = this.catalogVersion;
+    let results;
+    try {
+      results = await catalogWorker.search(query, { limit, synonyms });
+    } catch (error) {
+      console.warn('⚠️ Worker search failed, searching on the main thread:', error.message);
+      return this.searchProducts(query, limit);
     }
+    // The catalog was swapped while the worker was searching, or the worker could not
+    // index it: indices are stale
+    if (version !== this.catalogVersion || this.workerIndexFailed) {
+      return this.searchProducts(query, limit);
+    }
+    return results.map(({ index }) => this.products[index]).filter(Boolean);
+  }
 
-    // Search in descriptions, order codes, and barcodes
-    this.products.forEach(product => {
-      const description = (product.Description || '').toLowerCase();
-      const orderCode = (product.OrderCode || '').toLowerCase();
-      const barcode = (product.BARCODE || '').toLowerCase();
-
-      if (description.includes(queryLower) || orderCode.includes(queryLower) || barcode.includes(queryLower)) {
-        results.add(product);
-      }
-    });
+  /**
+   * Price history for a product across stored catalog snapshots
+   * @param {string} orderCode
+   * @returns {Promise<Array<{date: string, ex: string, inc: string}>>}
+   */
+  getPriceHistory(orderCode) {
+    return catalogHistory.getPriceHistory(orderCode);
+  }
 
-    return Array.from(results);
+  /**
+   * Catalog as it was at the end of a given day, keyed by OrderCode
+   * @param {Date|string} date
+   * @returns {Promise<Map<string, Object>|null>} Null if no history is available
+   */
+  async getCatalogAsOf(date) {
+    const result = await catalogHistory.getCatalogAsOf(date, async csvText => (await catalogWorker.parse(csvText)).products);
+    if (!result) {return null;}
+    console.log(`📅 Using catalog snapshot from ${result.snapshot.fetchedAt} for ${date}`);
+    return new Map(result.products.map(p => [p.OrderCode, p]));
   }
 
   getAllProducts() {
@@ -264,22 +375,7 @@ export class DataLayer {
 
   // Selection management methods
   getSelectedProducts() {
-    const storedSelection = JSON.parse(localStorage.getItem('selection') || '[]');
-    const selectedProducts = JSON.parse(localStorage.getItem(config.get('storage.keys.selectedProducts')) || '[]');
-
-    // Use the newer format if available
-    if (selectedProducts.length > 0) {
-      return selectedProducts;
-    }
-
-    // Convert old format to new format
-    return storedSelection.map(item => ({
-      product: item,
-      room: item.Room || '',
-      notes: item.Notes || '',
-      quantity: item.Quantity || 1,
-      id: this.generateSelectionId()
-    }));
+    return StorageManager.getSelectedProducts();
   }
 
   addProductToSelection(product, room = '', notes = '', quantity = 1) {
@@ -290,7 +386,8 @@ export class DataLayer {
       product: { ...product },
       room,
       notes,
-      quantity: Math.max(1, parseInt(quantity) || 1)
+      quantity: Math.max(1, parseInt(quantity) || 1),
+      timestamp: Date.now()
     };
 
     selectedProducts.push(selectionItem);
@@ -325,22 +422,12 @@ export class DataLayer {
   }
 
   clearSelection() {
-    localStorage.removeItem('selection');
-    localStorage.removeItem(config.get('storage.keys.selectedProducts'));
+    StorageManager.setSelectedProducts([], 'Clear selection');
     console.log('✅ Selection cleared');
   }
 
   saveSelectedProducts(selectedProducts) {
-    localStorage.setItem(config.get('storage.keys.selectedProducts'), JSON.stringify(selectedProducts));
-
-    // Also maintain backward compatibility with old format
-    const legacyFormat = selectedProducts.map(item => ({
-      ...item.product,
-      Room: item.room,
-      Notes: item.notes,
-      Quantity: item.quantity
-    }));
-    localStorage.setItem('selection', JSON.stringify(legacyFormat));
+    StorageManager.setSelectedProducts(selectedProducts);
   }
 
   generateSelectionId() {
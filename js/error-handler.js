@@ -418,20 +418,29 @@ export class ErrorHandler {
     }
   }
 
+  /**
+   * Storage key of the saved logs (`storage.keys.criticalLogs`). The configuration is
+   * read through `window.config`, as config-manager.js imports this module.
+   * @private
+   * @returns {string}
+   */
+  getLogStorageKey() {
+    return (window.config && window.config.get('storage.keys.criticalLogs')) || 'criticalLogs';
+  }
+
   /**
    * Attempt storage recovery
    * @private
    */
   recoverStorage() {
     try {
-      // Clear some non-essential items to free up space
-      const nonEssentialKeys = ['logs', 'cache', 'temp'];
-      nonEssentialKeys.forEach(key => {
-        if (localStorage.getItem(key)) {
-          localStorage.removeItem(key);
-          this.log(`Cleared ${key} from storage for recovery`, LogLevel.INFO);
-        }
-      });
+      // Saved logs are the only non-essential data kept in localStorage; larger
+      // clean-ups (old revisions, unused files) are offered in Settings → Storage
+      const key = this.getLogStorageKey();
+      if (localStorage.getItem(key)) {
+        localStorage.removeItem(key);
+        this.log(`Cleared ${key} from storage for recovery`, LogLevel.INFO);
+      }
     } catch (error) {
       this.log('Storage recovery failed', LogLevel.ERROR);
     }
@@ -460,7 +469,8 @@ export class ErrorHandler {
    */
   persistCriticalLog(logEntry) {
     try {
-      const criticalLogs = JSON.parse(localStorage.getItem('criticalLogs') || '[]');
+      const key = this.getLogStorageKey();
+      const criticalLogs = JSON.parse(localStorage.getItem(key) || '[]');
       criticalLogs.push(logEntry);
 
       // Keep only last 50 critical logs
@@ -468,7 +478,7 @@ export class ErrorHandler {
         criticalLogs.splice(0, criticalLogs.length - 50);
       }
 
-      localStorage.setItem('criticalLogs', JSON.stringify(criticalLogs));
+      localStorage.setItem(key, JSON.stringify(criticalLogs));
     } catch {
       // If we can't save logs, that's not critical enough to throw another error
     }
@@ -508,7 +518,7 @@ export class ErrorHandler {
   clearLogs() {
     this.logs = [];
     this.errorStats.clear();
-    localStorage.removeItem('criticalLogs');
+    localStorage.removeItem(this.getLogStorageKey());
     this.log('Logs cleared', LogLevel.INFO);
   }
 }
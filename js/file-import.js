@@ -1,6 +1,7 @@
 import { StorageManager } from './storage.js';
 import { CONFIG, dataLayer } from './modules.js';
 import { Utils } from './utils.js';
+import { selectionHistory } from './selection-history.js';
 
 export class FileImportManager {
   constructor() {
@@ -208,12 +209,15 @@ export class FileImportManager {
 
       console.log('Parsed data:', data);
 
-      if (this.importMode === 'override') {
-        StorageManager.clearAllSelections();
-        console.log('Cleared all existing data for override mode');
-      }
+      // The whole import is one undo step
+      await selectionHistory.group(`Import ${this.selectedFile.name}`, async () => {
+        if (this.importMode === 'override') {
+          StorageManager.clearAllSelections();
+          console.log('Cleared all existing data for override mode');
+        }
 
-      await this.processDataChunked(data);
+        await this.processDataChunked(data);
+      });
       this.showImportResults();
 
     } catch (error) {
@@ -403,7 +407,6 @@ export class FileImportManager {
     // Use catalog field naming conventions for consistency
     const productToAdd = {
       OrderCode: codeStr,
-      orderCode: codeStr,
       productName: productName || (catalogProduct ? catalogProduct.productName : 'Unknown Product'),
       'Product Name': productName || (catalogProduct ? catalogProduct['Product Name'] : 'Unknown Product'),
       Description: productName || (catalogProduct ? catalogProduct.Description : 'Unknown Product'),
@@ -419,10 +422,8 @@ export class FileImportManager {
       diagramUrl: catalogProduct ? (catalogProduct.Diagram_URL || catalogProduct.diagramUrl) : '',
       Datasheet_URL: catalogProduct ? (catalogProduct.Datasheet_URL || catalogProduct.datasheetUrl) : '',
       datasheetUrl: catalogProduct ? (catalogProduct.Datasheet_URL || catalogProduct.datasheetUrl) : '',
-      RRP_EXGST: price > 0 ? (price / 1.1).toFixed(2) : (catalogProduct ? (catalogProduct.RRP_EXGST || catalogProduct.rrpExGst) : '0.00'),
-      rrpExGst: price > 0 ? (price / 1.1).toFixed(2) : (catalogProduct ? (catalogProduct.RRP_EXGST || catalogProduct.rrpExGst) : '0.00'),
-      RRP_INCGST: price > 0 ? price.toFixed(2) : (catalogProduct ? (catalogProduct.RRP_INCGST || catalogProduct.rrpIncGst) : '0.00'),
-      rrpIncGst: price > 0 ? price.toFixed(2) : (catalogProduct ? (catalogProduct.RRP_INCGST || catalogProduct.rrpIncGst) : '0.00')
+      RRP_EX: price > 0 ? (price / 1.1).toFixed(2) : (catalogProduct ? catalogProduct.RRP_EX : '0.00'),
+      RRP_INCGST: price > 0 ? price.toFixed(2) : (catalogProduct ? catalogProduct.RRP_INCGST : '0.00')
     };
 
     if (catalogProduct) {
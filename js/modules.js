@@ -86,7 +86,7 @@ export class ModuleCoordinator {
     if (!this.modules.dataLayer.isLoaded) {
       await this.modules.dataLayer.init();
     }
-    return this.modules.dataLayer.searchProducts(query, limit);
+    return this.modules.dataLayer.searchProductsAsync(query, limit);
   }
 
   async findProductByCode(orderCode) {
@@ -2,12 +2,23 @@ import { StorageManager } from './storage.js';
 import { dataLayer } from './modules.js';
 import { config } from './config-manager.js';
 import { Utils } from './utils.js';
+import { CatalogBrowser } from './catalog-browser.js';
+import { recommendations } from './recommendations.js';
+import { selectionReconciler } from './selection-reconciler.js';
+import { priceTiers } from './price-tiers.js';
+import { findVariants, buildVariantMatrix, selectionOf, resolveVariant, renderVariantSelectors, readVariantSelection } from './variant-matrix.js';
 
 // Navigation and screen management
 export class NavigationManager {
   constructor() {
     this.currentScreen = 'welcome';
     this.currentSearchResults = [];
+    this.catalogBrowser = null;
+    this.browseScope = null;
+    this.splitSearchId = 0;
+    this.browseOnChange = null;
+    this.browseListenerAttached = false;
+    this.browseSearchReady = false;
   }
 
   async init() {
@@ -26,6 +37,19 @@ export class NavigationManager {
 
     // Retry version loading after a short delay in case of timing issues
     setTimeout(() => this.loadVersion(), 1000);
+
+    this.setupBrowseModal();
+
+    // Refresh the review table when lines are fixed in the reconciliation modal
+    window.addEventListener('selectionReconciled', () => this.renderReviewTable());
+    window.addEventListener('priceTierChanged', () => this.renderReviewTable());
+    window.addEventListener('projectChanged', () => this.renderReviewTable());
+    window.addEventListener('selectionRestored', () => this.renderReviewTable());
+    // Lines added or edited in another tab
+    window.addEventListener('storageSynced', () => {
+      this.renderReviewTable();
+      this.updateSelectionCount();
+    });
   }
 
 
@@ -132,7 +156,36 @@ export class NavigationManager {
     this.loadInitialSearchResults();
   }
 
-  setupSplitProductSearch() {
+  /**
+   * Wire the grid's Browse button: a modal with the search box and faceted browse
+   * panel. A clicked product is handed to the grid (`catalogProductPicked` event).
+   */
+  setupBrowseModal() {
+    const btn = document.getElementById('browse-catalog-btn');
+    const modal = document.getElementById('catalog-browse-modal');
+    if (!btn || !modal) {return;}
+
+    const close = () => {modal.style.display = 'none';};
+    btn.onclick = () => {
+      if (!this.browseSearchReady) {
+        this.setupSplitProductSearch((product) => {
+          window.dispatchEvent(new CustomEvent('catalogProductPicked', { detail: { product } }));
+          close();
+        });
+        this.browseSearchReady = true;
+      }
+      modal.style.display = 'flex';
+      this.loadInitialSearchResults();
+      document.getElementById('product-search-input')?.focus();
+    };
+    const closeBtn = document.getElementById('catalog-browse-close');
+    if (closeBtn) {closeBtn.onclick = close;}
+  }
+
+  /**
+   * @param {Function} [onSelect] - Called with a clicked product; defaults to the split-screen details panel
+   */
+  setupSplitProductSearch(onSelect = (product) => this.showSplitProductDetails(product)) {
     const input = document.getElementById('product-search-input');
     const resultsList = document.getElementById('search-results-list');
     const loadingState = document.getElementById('search-loading');
@@ -147,14 +200,26 @@ export class NavigationManager {
       this.performSplitProductSearch(query, resultsList, matches, loadingState, noResultsState);
     }, 200);
 
-    input.addEventListener('input', () => {
+    const refreshResults = () => {
       const query = input.value.trim();
       if (query) {
         debouncedSearch(query);
       } else {
         // Show all products when search is empty
+        matches.length = 0;
         this.loadInitialSearchResults();
       }
+    };
+
+    input.addEventListener('input', refreshResults);
+
+    this.setupBrowsePanel(resultsList, () => {
+      const query = input.value.trim();
+      if (query) {
+        this.performSplitProductSearch(query, resultsList, matches, loadingState, noResultsState);
+      } else {
+        refreshResults();
+      }
     });
 
     // Show product details when clicking on a result
@@ -166,12 +231,47 @@ export class NavigationManager {
       const currentResults = matches.length > 0 ? matches : (this.currentSearchResults || []);
 
       if (!isNaN(idx) && currentResults[idx]) {
-        this.showSplitProductDetails(currentResults[idx]);
+        onSelect(currentResults[idx]);
       }
     });
   }
 
-  performSplitProductSearch(query, resultsList, matches, loadingState, noResultsState) {
+  /**
+   * Add the faceted browse panel above the search results
+   * @param {HTMLElement} resultsList - Search results list
+   * @param {Function} onChange - Re-runs the current search when filters change
+   */
+  setupBrowsePanel(resultsList, onChange) {
+    let container = document.getElementById('catalog-browse-panel');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'catalog-browse-panel';
+      container.style.cssText = 'padding:8px 12px;border-bottom:1px solid #e5e7eb;background:#f9fafb;';
+      resultsList.parentNode.insertBefore(container, resultsList);
+    }
+
+    this.catalogBrowser = new CatalogBrowser(container, {
+      getProducts: () => this.browseScope || dataLayer.getAllProducts(),
+      onChange
+    });
+
+    if (dataLayer.isLoaded) {
+      this.catalogBrowser.setCatalog(dataLayer.getAllProducts());
+    }
+
+    // Ranges depend on the catalog, so rebuild them whenever it is (re)applied.
+    // Added once; a later setup only swaps the callback.
+    this.browseOnChange = onChange;
+    if (this.browseListenerAttached) {return;}
+    this.browseListenerAttached = true;
+    window.addEventListener('catalogUpdated', () => {
+      this.browseScope = null;
+      this.catalogBrowser.setCatalog(dataLayer.getAllProducts());
+      this.browseOnChange();
+    });
+  }
+
+  async performSplitProductSearch(query, resultsList, matches, loadingState, noResultsState) {
     if (!dataLayer.isLoaded) {
       loadingState.style.display = 'flex';
       noResultsState.style.display = 'none';
@@ -179,8 +279,19 @@ export class NavigationManager {
       return;
     }
 
+    // Ignore answers to searches that were superseded while the worker was busy
+    const searchId = ++this.splitSearchId;
+    const found = await dataLayer.searchProductsAsync(query);
+    if (searchId !== this.splitSearchId) {return;}
+
     matches.length = 0;
-    matches.push(...dataLayer.searchProducts(query));
+    if (this.catalogBrowser) {
+      this.browseScope = found;
+      matches.push(...this.catalogBrowser.apply(found));
+      this.catalogBrowser.render();
+    } else {
+      matches.push(...found);
+    }
 
     loadingState.style.display = 'none';
 
@@ -192,7 +303,7 @@ export class NavigationManager {
       resultsList.innerHTML = matches
         .map((p, i) => `
           <div class="result-item" data-idx="${i}">
-            <span class="result-code">${Utils.sanitizeInput(p.OrderCode || p.Code || '')}</span> - ${Utils.sanitizeInput(p.Description || p.ProductName || p['Product Name'] || '')}
+            <span class="result-code">${Utils.escapeHtml(p.OrderCode || '')}</span> - ${Utils.escapeHtml(p.Description || p.ProductName || p['Product Name'] || '')}
           </div>
         `)
         .join('');
@@ -216,16 +327,29 @@ export class NavigationManager {
       return;
     }
 
-    // Show first 50 products initially
-    const allProducts = dataLayer.getAllProducts().slice(0, 50);
+    this.splitSearchId++;
+
+    // Show first 50 products initially, or everything the browse filters allow
+    let allProducts = dataLayer.getAllProducts();
+    if (this.catalogBrowser) {
+      if (Object.keys(this.catalogBrowser.bounds).length === 0) {
+        this.catalogBrowser.setCatalog(allProducts);
+      }
+      this.browseScope = null;
+      const filtered = this.catalogBrowser.apply(allProducts);
+      allProducts = this.catalogBrowser.isActive() ? filtered : filtered.slice(0, 50);
+      this.catalogBrowser.render();
+    } else {
+      allProducts = allProducts.slice(0, 50);
+    }
 
     loadingState.style.display = 'none';
-    noResultsState.style.display = 'none';
+    noResultsState.style.display = allProducts.length === 0 ? 'flex' : 'none';
 
     resultsList.innerHTML = allProducts
       .map((p, i) => `
         <div class="result-item" data-idx="${i}">
-          <span class="result-code">${Utils.sanitizeInput(p.OrderCode || p.Code || '')}</span> - ${Utils.sanitizeInput(p.Description || p.ProductName || p['Product Name'] || '')}
+          <span class="result-code">${Utils.escapeHtml(p.OrderCode || '')}</span> - ${Utils.escapeHtml(p.Description || p.ProductName || p['Product Name'] || '')}
         </div>
       `)
       .join('');
@@ -260,11 +384,11 @@ export class NavigationManager {
     }
 
     if (productCode) {
-      productCode.textContent = product.OrderCode || product.Code || '';
+      productCode.textContent = product.OrderCode || '';
     }
 
     if (productPrice) {
-      const price = product.RRP_EX || product['RRP EX GST'] || product['RRP_EX'] || product.RRP_EXGST || product.rrpExGst || product.RRP_INCGST || product['RRP INC GST'] || 0;
+      const price = product.RRP_EX || product.RRP_INCGST || 0;
       productPrice.textContent = price ? `$${parseFloat(price).toFixed(2)}` : 'Price not available';
     }
 
@@ -329,7 +453,7 @@ export class NavigationManager {
     let price = '';
     let priceNum = NaN;
     // Check multiple possible price field names for better compatibility
-    const exGstPrice = product.RRP_EX || product['RRP EX GST'] || product['RRP_EX'] || product.RRP_EXGST || product.rrpExGst || product.RRP_INCGST || product['RRP INC GST'];
+    const exGstPrice = product.RRP_EX || product.RRP_INCGST;
     if (exGstPrice) {
       priceNum = parseFloat(exGstPrice.toString().replace(/,/g, ''));
     }
@@ -340,6 +464,7 @@ export class NavigationManager {
     }
     document.getElementById('product-price-inline').textContent = price;
     document.getElementById('product-description').textContent = product.LongDescription || '';
+    this.showPriceHistory(product);
 
     // Setup links like original
     this.setLink('datasheet-link', product.Datasheet_URL);
@@ -378,6 +503,36 @@ export class NavigationManager {
     }
   }
 
+  /**
+   * Show how the product's RRP has moved across stored catalog snapshots
+   * @param {Object} product
+   */
+  async showPriceHistory(product) {
+    const container = document.getElementById('product-price-history');
+    if (!container) {return;}
+    try {
+      const history = await dataLayer.getPriceHistory(product.OrderCode);
+      if (history.length < 2) {
+        container.style.display = 'none';
+        return;
+      }
+      container.innerHTML = `
+        <details>
+          <summary style="cursor:pointer;">Price history (${history.length - 1} price change${history.length === 2 ? '' : 's'})</summary>
+          <ul style="margin:6px 0 0 0;padding-left:20px;">
+            ${history.slice().reverse().map(entry => `
+              <li>${new Date(entry.date).toLocaleDateString('en-AU')}: ${Utils.formatPrice(entry.ex) || 'N/A'} ex GST</li>
+            `).join('')}
+          </ul>
+        </details>
+      `;
+      container.style.display = '';
+    } catch (error) {
+      console.warn('Failed to load price history:', error);
+      container.style.display = 'none';
+    }
+  }
+
   populateRoomSelect(roomSelect = null) {
     const select = roomSelect || document.getElementById('room-select');
     if (!select) {return;}
@@ -444,32 +599,19 @@ export class NavigationManager {
 
   setupVariantDropdown(product, options) {
     const variantRow = document.getElementById('variant-select-row');
-    const variantSelect = document.getElementById('variant-select');
-
-    if (variantRow && variantSelect) {
-      let productName = product.ProductName || product['Product Name'] || '';
-      if (typeof productName === 'string') {productName = productName.trim();}
-      let variants = [];
-
-      if (productName) {
-        variants = dataLayer.getAllProducts().filter(p => {
-          let pName = p.ProductName || p['Product Name'] || '';
-          if (typeof pName === 'string') {pName = pName.trim();}
-          return pName && pName === productName;
-        });
-      }
+    const container = document.getElementById('variant-selectors');
+
+    if (variantRow && container) {
+      const variants = findVariants(product, dataLayer.products);
 
       if (variants.length > 1) {
-        // Sort alphabetically by Description
-        variants.sort((a, b) => (a.Description || '').localeCompare(b.Description || ''));
+        const matrix = buildVariantMatrix(variants);
         variantRow.style.display = '';
-        variantSelect.innerHTML = variants.map(v =>
-          `<option value="${v.OrderCode}"${v.OrderCode === product.OrderCode ? ' selected' : ''}>${v.Description}</option>`
-        ).join('');
+        container.innerHTML = renderVariantSelectors(matrix, selectionOf(matrix, product));
 
-        variantSelect.onchange = () => {
-          const selectedCode = variantSelect.value;
-          const selected = variants.find(v => v.OrderCode === selectedCode);
+        container.onchange = (event) => {
+          const changedKey = event.target.dataset.dimension;
+          const selected = resolveVariant(matrix, readVariantSelection(container, matrix), changedKey);
           if (selected && selected.OrderCode !== product.OrderCode) {
             // Keep notes and quantity if present
             const notes = document.getElementById('product-annotation')?.value || options.notes || '';
@@ -537,6 +679,7 @@ export class NavigationManager {
     if (StorageManager.addProductToSelection(product, notes, room, quantity)) {
       // Show split interface table view after adding
       this.showProductLookupScreen();
+      this.suggestRelatedProducts(product, room);
     } else {
       alert('Failed to add product to selection');
     }
@@ -547,11 +690,26 @@ export class NavigationManager {
       // Update the review table in the split interface
       this.renderReviewTable();
       this.updateSelectionCount();
+      this.suggestRelatedProducts(product, room);
     } else {
       alert('Failed to add product to selection');
     }
   }
 
+  /**
+   * Offer matching accessories; accepted ones go into the same room with quantity 1
+   * @param {Object} product - Product just added
+   * @param {string} room
+   */
+  suggestRelatedProducts(product, room) {
+    recommendations.showFor(product, room, (suggestion, targetRoom) => {
+      if (StorageManager.addProductToSelection(suggestion, '', targetRoom, 1)) {
+        this.renderReviewTable();
+        this.updateSelectionCount();
+      }
+    });
+  }
+
   setupReviewTable() {
     // Setup event delegation for inline editing and removal
     const tableBody = document.getElementById('review-table-body');
@@ -607,7 +765,7 @@ export class NavigationManager {
       if (item.product.UserEditedPrice !== undefined && item.product.UserEditedPrice !== null && item.product.UserEditedPrice !== '') {
         price = parseFloat(item.product.UserEditedPrice.toString().replace(/,/g, '')) || 0;
       } else {
-        price = parseFloat((item.product.RRP_EX || item.product['RRP EX GST'] || item.product['RRP_EX'] || item.product.RRP_EXGST || 0).toString().replace(/,/g, '')) || 0;
+        price = parseFloat((priceTiers.getPrice(item.product) || 0).toString().replace(/,/g, '')) || 0;
       }
       
       if (price > 0) {
@@ -630,7 +788,7 @@ export class NavigationManager {
       if (product.UserEditedPrice !== undefined && product.UserEditedPrice !== null && product.UserEditedPrice !== '') {
         unitPrice = parseFloat(product.UserEditedPrice.toString().replace(/,/g, '')) || 0;
       } else {
-        unitPrice = parseFloat((product.RRP_EX || product['RRP EX GST'] || product['RRP_EX'] || product.RRP_EXGST || 0).toString().replace(/,/g, '')) || 0;
+        unitPrice = parseFloat((priceTiers.getPrice(product) || 0).toString().replace(/,/g, '')) || 0;
       }
       const lineTotal = unitPrice * item.quantity;
       const imageUrl = product.Image || product.Image_URL || product.imageUrl || 'assets/no-image.png';
@@ -643,7 +801,7 @@ export class NavigationManager {
           <div class="col-product">
             <div class="product-info">
               <div class="product-name">${Utils.sanitizeInput(product.Description || product.ProductName || product['Product Name'] || '')}</div>
-              <div class="product-code">${Utils.sanitizeInput(product.OrderCode || product.Code || '')}</div>
+              <div class="product-code">${Utils.sanitizeInput(product.OrderCode || '')}</div>
               ${item.notes ? `<div class="product-notes">${Utils.sanitizeInput(item.notes)}</div>` : ''}
             </div>
           </div>
@@ -696,7 +854,7 @@ export class NavigationManager {
     const selectedProducts = StorageManager.getSelectedProducts();
     if (selectedProducts[index]) {
       selectedProducts[index].quantity = newQuantity;
-      StorageManager.setSelectedProducts(selectedProducts);
+      StorageManager.setSelectedProducts(selectedProducts, 'Change quantity');
 
       // Re-render to update totals
       this.renderReviewTable();
@@ -744,7 +902,7 @@ export class NavigationManager {
     const selectedProducts = StorageManager.getSelectedProducts();
     if (selectedProducts[index]) {
       selectedProducts[index].room = newRoom;
-      StorageManager.setSelectedProducts(selectedProducts);
+      StorageManager.setSelectedProducts(selectedProducts, 'Move to room');
       this.updateSelectionCount();
     }
   }
@@ -756,7 +914,7 @@ export class NavigationManager {
     const selectedProducts = StorageManager.getSelectedProducts();
     if (selectedProducts[index]) {
       selectedProducts.splice(index, 1);
-      StorageManager.setSelectedProducts(selectedProducts);
+      StorageManager.setSelectedProducts(selectedProducts, 'Remove product');
 
       // Re-render table
       this.renderReviewTable();
@@ -828,9 +986,9 @@ export class NavigationManager {
     const product = item.product;
     // Handle different field naming conventions (catalog vs imported)
     const description = product.Description || product.description || product.productName || product['Product Name'] || 'Product';
-    const orderCode = product.OrderCode || product.orderCode || '';
+    const orderCode = product.OrderCode || '';
     const imageUrl = product.Image_URL || product.imageUrl || 'assets/no-image.png';
-    const rrpExGst = product.RRP_EX || product['RRP EX GST'] || product['RRP_EX'] || product.rrpExGst || product.RRP_EXGST || product.RRP_INCGST || product['RRP INC GST'] || '0';
+    const rrpExGst = product.RRP_EX || product.RRP_INCGST || '0';
 
     return `
           <div class="review-product-card" style="display: flex; flex-direction: column; align-items: stretch;">
@@ -936,22 +1094,23 @@ export class NavigationManager {
         };
       }
       if (form) {
-        form.onsubmit = (e) => {
+        form.onsubmit = async (e) => {
           e.preventDefault();
-          this.handleDownloadFormSubmit();
+          await this.handleDownloadFormSubmit();
           modal.style.display = 'none';
         };
       }
     }
   }
 
-  handleDownloadFormSubmit() {
+  async handleDownloadFormSubmit() {
     console.log('🎯 handleDownloadFormSubmit called');
     const form = document.getElementById('pdf-email-form');
     if (!form) {
       console.error('❌ Form not found!');
       return;
     }
+    if (!(await selectionReconciler.review('pdf'))) {return;}
     const formData = new FormData(form);
     const userDetails = {
       name: formData.get('user-name'),
@@ -965,6 +1124,12 @@ export class NavigationManager {
       includeGst: formData.get('include-gst') === 'on',
       exportCsv: true // Always true
     };
+    if (formData.get('price-as-of')) {
+      userDetails.catalogAsOf = await dataLayer.getCatalogAsOf(formData.get('price-as-of'));
+      if (!userDetails.catalogAsOf) {
+        alert('No catalog history is stored for that date yet. Current prices will be used.');
+      }
+    }
 
     console.log('📝 Navigation userDetails created:', userDetails);
     // Generate and download PDF and CSV
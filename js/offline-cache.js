@@ -0,0 +1,213 @@
+/**
+ * Offline Cache
+ * Registers the service worker (sw.js) and warms its caches so a showroom can work with
+ * no network: "Prepare for offline" downloads every product image of the catalog or of the
+ * current selection, both as shown in the grid and as the PDF loads it (through the image
+ * proxy), plus the tip/tail PDFs.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { dataLayer } from './data-layer.js';
+import { StorageManager } from './storage.js';
+import { IMAGE_PROXIES } from './pdf-generator.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
+
+// Keep in step with IMAGE_CACHE in sw.js
+export const IMAGE_CACHE = 'seima-images-v1';
+
+/**
+ * @private
+ */
+function imageOf(product) {
+  return (product?.Image_URL || product?.Image || product?.imageUrl || '').toString().trim();
+}
+
+/**
+ * Service worker registration and cache warming
+ * @class OfflineManager
+ */
+export class OfflineManager {
+  constructor() {
+    this.registration = null;
+    this.preparing = false;
+  }
+
+  /**
+   * Service workers need a secure context (https or localhost)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+      typeof caches !== 'undefined' && window.isSecureContext !== false;
+  }
+
+  /**
+   * Register the service worker. Failure only means no offline support.
+   * @async
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  async register() {
+    if (!config.get('offline.enabled', true) || !this.isSupported()) {return null;}
+    try {
+      this.registration = await navigator.serviceWorker.register(config.get('offline.serviceWorkerUrl', './sw.js'));
+      console.log('✅ Service worker registered for offline use');
+    } catch (error) {
+      errorHandler.handleError({
+        message: 'Service worker registration failed',
+        error,
+        category: ErrorCategory.COMPATIBILITY,
+        level: LogLevel.WARN,
+        context: 'offline-register'
+      });
+    }
+    return this.registration;
+  }
+
+  /**
+   * Whether pages are served by the service worker yet (it takes over after the first load)
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.isSupported() && !!navigator.serviceWorker.controller;
+  }
+
+  /**
+   * Unique image URLs of a list of products
+   * @param {Array<Object>} products
+   * @returns {string[]}
+   */
+  getImageUrls(products) {
+    const urls = new Set();
+    products.forEach(product => {
+      const url = imageOf(product);
+      if (/^https?:\/\//i.test(url)) {urls.add(url);}
+    });
+    return Array.from(urls);
+  }
+
+  /**
+   * Products to prepare
+   * @param {'catalog'|'selection'} scope
+   * @returns {Array<Object>}
+   */
+  getProducts(scope) {
+    if (scope === 'catalog') {return dataLayer.getAllProducts();}
+    return StorageManager.getSelectedProducts().map(item => item.product);
+  }
+
+  /**
+   * Cache one image for the grid (as an opaque response) and for the PDF (through the first
+   * proxy, with CORS so it can be drawn to a canvas)
+   * @private
+   * @param {Cache} cache
+   * @param {string} url
+   * @returns {Promise<boolean>} True if the PDF copy is cached
+   */
+  async cacheImage(cache, url) {
+    const proxied = IMAGE_PROXIES[0] + encodeURIComponent(url);
+    if (!(await cache.match(url))) {
+      try {
+        await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+      } catch (e) {
+        // The grid falls back to the placeholder image
+      }
+    }
+    if (await cache.match(proxied)) {return true;}
+    const response = await fetch(proxied, { mode: 'cors' });
+    if (!response.ok) {throw new Error(`HTTP ${response.status}`);}
+    await cache.put(proxied, response);
+    return true;
+  }
+
+  /**
+   * Tip/tail PDFs listed in assets-list.json, fetched through the service worker
+   * @private
+   */
+  async cacheAssets() {
+    try {
+      const response = await fetch('./assets-list.json');
+      const files = response.ok ? await response.json() : [];
+      await Promise.allSettled(files.map(file => fetch(`./assets/${encodeURIComponent(file)}`)));
+    } catch (e) {
+      console.warn('⚠️ Could not cache tip/tail PDFs:', e.message);
+    }
+  }
+
+  /**
+   * Download the images of the catalog or the current selection into the offline cache
+   * @async
+   * @param {'catalog'|'selection'} [scope='selection']
+   * @param {Function} [onProgress] - Called with ({done, total, failed})
+   * @returns {Promise<{total: number, cached: number, failed: number}>}
+   */
+  async prepare(scope = 'selection', onProgress = () => {}) {
+    if (!this.isSupported()) {
+      throw new Error('Offline mode is not supported in this browser');
+    }
+    if (this.preparing) {
+      throw new Error('Offline preparation is already running');
+    }
+    this.preparing = true;
+    try {
+      const urls = this.getImageUrls(this.getProducts(scope));
+      const cache = await caches.open(IMAGE_CACHE);
+      const concurrency = config.get('offline.prefetchConcurrency', 4);
+      let next = 0;
+      let done = 0;
+      let failed = 0;
+
+      const worker = async () => {
+        while (next < urls.length) {
+          const url = urls[next++];
+          try {
+            await this.cacheImage(cache, url);
+          } catch (e) {
+            failed++;
+          }
+          done++;
+          onProgress({ done, total: urls.length, failed });
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+      await this.cacheAssets();
+
+      console.log(`📦 Offline ${scope}: ${done - failed} of ${urls.length} images cached`);
+      return { total: urls.length, cached: done - failed, failed };
+    } finally {
+      this.preparing = false;
+    }
+  }
+
+  /**
+   * Offline readiness for the settings screen
+   * @async
+   * @returns {Promise<{supported: boolean, active: boolean, images: number}>}
+   */
+  async getStatus() {
+    if (!this.isSupported()) {
+      return { supported: false, active: false, images: 0 };
+    }
+    const cache = await caches.open(IMAGE_CACHE);
+    const keys = await cache.keys();
+    // Each image is cached twice: as shown and as loaded by the PDF
+    const proxied = keys.filter(request => IMAGE_PROXIES.some(proxy => request.url.startsWith(proxy))).length;
+    return { supported: true, active: this.isActive(), images: proxied };
+  }
+
+  /**
+   * Drop all cached product images
+   * @async
+   */
+  async clearImages() {
+    if (this.isSupported()) {
+      await caches.delete(IMAGE_CACHE);
+    }
+  }
+}
+
+// Global instance
+export const offlineManager = new OfflineManager();
@@ -1,6 +1,15 @@
-import { CONFIG } from './config.js';
 import { StorageManager } from './storage.js';
 import { Utils } from './utils.js';
+import { applyHistoricalProduct } from './catalog-history.js';
+import { priceTiers } from './price-tiers.js';
+import { persistentStore } from './persistent-store.js';
+import { revisionManager, diffRevisions } from './revisions.js';
+
+// CORS proxies used to load product images into the PDF, tried in order
+export const IMAGE_PROXIES = [
+  'https://api.codetabs.com/v1/proxy?quest=',
+  'https://corsproxy.io/?'
+];
 
 // Samsung Browser Compatibility Utilities
 export function isSamsungBrowser() {
@@ -136,7 +145,7 @@ if (document.readyState === 'loading') {
   showBrowserCompatibilityWarning();
 }
 
-export function showPdfFormScreen(userDetails) {
+export async function showPdfFormScreen(userDetails) {
   const spinner = document.getElementById('pdf-spinner');
   if (spinner) {spinner.style.display = 'flex';}
 
@@ -166,6 +175,14 @@ export function showPdfFormScreen(userDetails) {
     `;
   document.body.appendChild(processingNotification);
 
+  // The customer logo is stored as a file; read it before drawing starts
+  let customerLogo = null;
+  try {
+    customerLogo = await persistentStore.getDataUrl(persistentStore.getItem('customerLogo'));
+  } catch (e) {
+    console.warn('Failed to load customer logo:', e);
+  }
+
   loadImageAsDataURL('./assets/seima-logo.png', (coverLogoDataUrl, coverLogoNaturalW, coverLogoNaturalH) => {
     // Before PDF export, ensure window.seimaLogoImg is loaded
     function ensureSeimaLogoLoaded(cb) {
@@ -178,30 +195,25 @@ export function showPdfFormScreen(userDetails) {
       img.src = './assets/seima-logo.png';
     }
     // PDF export logic with improved layout and CORS proxy for images
-    const storedSelection = JSON.parse(localStorage.getItem('selection') || '[]');
-    const selectedProducts = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCTS) || '[]');
-
-    // Use new format if available, fallback to old format
-    let selection = [];
-    if (selectedProducts.length > 0) {
-      // New format: convert to old format for PDF generation
-      selection = selectedProducts.map(item => ({
-        ...item.product,
-        Room: item.room,
-        Notes: item.notes,
-        Quantity: item.quantity,
-        Timestamp: new Date(item.timestamp).toISOString()
-      }));
-    } else {
-      // Old format: use directly
-      selection = storedSelection;
-    }
+    // Flatten the line items for PDF generation
+    const selection = StorageManager.getSelectedProducts().map(item => ({
+      ...applyHistoricalProduct(item.product, userDetails.catalogAsOf, p => priceTiers.getPrice(p)),
+      Room: item.room,
+      Notes: item.notes,
+      Quantity: item.quantity,
+      Timestamp: new Date(item.timestamp).toISOString()
+    }));
 
     if (!selection.length) {
       alert('No products selected.');
       if (spinner) {spinner.style.display = 'none';}
       return;
     }
+    // Every PDF is kept as a quote revision (saved once the PDF is produced);
+    // optionally list what changed since an earlier one
+    const revision = revisionManager.prepare(userDetails);
+    const sinceRevision = userDetails.changesSince ? revisionManager.getRevision(userDetails.changesSince) : null;
+    const changes = sinceRevision && sinceRevision.number !== revision.number ? diffRevisions(sinceRevision, revision) : null;
     // Group by room
     const byRoom = {};
     selection.forEach(item => {
@@ -233,7 +245,6 @@ export function showPdfFormScreen(userDetails) {
     const logoBlockY = 70;
     doc.setFillColor(255, 255, 255);
     doc.rect(logoBlockX, logoBlockY, logoBlockW, logoBlockH, 'F');
-    const customerLogo = localStorage.getItem('customerLogo');
     if (customerLogo) {
       try {
         // Calculate proper aspect ratio for customer logo
@@ -423,10 +434,7 @@ export function showPdfFormScreen(userDetails) {
           let callbackCalled = false; // Prevent multiple callback calls
 
           // Load images with optimization for better compression
-          const proxies = [
-            'https://api.codetabs.com/v1/proxy?quest=',
-            'https://corsproxy.io/?'
-          ];
+          const proxies = IMAGE_PROXIES;
 
           let proxyIndex = 0;
 
@@ -657,6 +665,9 @@ export function showPdfFormScreen(userDetails) {
               doc.text('www.seima.com.au', pageWidth - 140, pageHeight - 10);
               doc.text(`Page ${i - 1} of ${pageCount}`, leftMargin, pageHeight - 10);
             }
+            if (changes) {
+              drawChangesPage(doc, changes, sinceRevision, revision, { pageWidth, pageHeight, leftMargin, footerHeight, userDetails });
+            }
             // --- PDF FILENAME LOGIC ---
             const now = new Date();
             const dd = String(now.getDate()).padStart(2, '0');
@@ -680,6 +691,7 @@ export function showPdfFormScreen(userDetails) {
             try {
               // PDF is already configured with compression in constructor
               const pdfBlob = doc.output('blob');
+              revisionManager.save(revision);
 
 
               // Debug: Analyze PDF structure - with proper null checks
@@ -898,8 +910,8 @@ export function showPdfFormScreen(userDetails) {
               if (row.item.UserEditedPrice !== undefined && row.item.UserEditedPrice !== null && row.item.UserEditedPrice !== '') {
                 pdfPriceNum = parseFloat(row.item.UserEditedPrice.toString().replace(/,/g, ''));
               } else {
-                // Priority 2: Original catalog price (ex-GST)
-                const exGstPrice = row.item.RRP_EX || row.item['RRP EX GST'] || row.item['RRP_EX'] || row.item.RRP_EXGST;
+                // Priority 2: Catalog price for the project's price tier (ex-GST)
+                const exGstPrice = priceTiers.getPrice(row.item);
                 if (exGstPrice) {
                   pdfPriceNum = parseFloat(exGstPrice.toString().replace(/,/g, ''));
                 }
@@ -1010,6 +1022,85 @@ export function drawPDFHeader(doc, pageWidth, colX, colW, leftMargin, footerHeig
   // If excludeQty is true, do not show price or qty columns
 }
 
+/**
+ * Append a "Changes since revision N" page (added, removed and changed lines, total delta)
+ * @param {jsPDF} doc
+ * @param {Object} changes - Result of diffRevisions
+ * @param {Object} fromRevision - Revision compared against
+ * @param {Object} toRevision - Revision of this PDF
+ * @param {{pageWidth: number, pageHeight: number, leftMargin: number, footerHeight: number, userDetails: Object}} layout
+ */
+export function drawChangesPage(doc, changes, fromRevision, toRevision, layout) {
+  const { pageWidth, pageHeight, leftMargin, footerHeight, userDetails } = layout;
+  const showQty = !userDetails.excludeQty;
+  const showPrices = showQty && !userDetails.excludePrice;
+  const gst = userDetails.includeGst ? 1.1 : 1;
+  const money = value => `$${((value || 0) * gst).toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const dateOf = revision => new Date(revision.createdAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+  const title = `Changes since revision ${fromRevision.number}`;
+  const bottom = pageHeight - footerHeight - 24;
+  const textWidth = pageWidth - leftMargin * 2;
+  let y;
+
+  const startPage = () => {
+    doc.addPage();
+    doc.setFillColor('#9B9184');
+    doc.rect(0, pageHeight - footerHeight, pageWidth, footerHeight, 'F');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    doc.setTextColor('#fff');
+    doc.text('www.seima.com.au', pageWidth - 140, pageHeight - 10);
+    doc.text(title, leftMargin, pageHeight - 10);
+    y = 48;
+  };
+  const write = (text, { size = 10, bold = false, color = '#222', indent = 0, gap = 4 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(text, textWidth - indent);
+    const height = lines.length * size * 1.2;
+    if (y + height > bottom) {startPage();}
+    doc.text(lines, leftMargin + indent, y);
+    y += height + gap;
+  };
+  const describe = line => {
+    const parts = [`${line.code}  ${line.description || ''}`, line.room || 'No room'];
+    if (showQty) {parts.push(`Qty ${line.quantity}`);}
+    if (showPrices && line.price !== null) {parts.push(`${money(line.price)} ea`);}
+    return parts.join('  ·  ');
+  };
+  const section = (heading, items, color, format) => {
+    if (!items.length) {return;}
+    write(`${heading} (${items.length})`, { size: 13, bold: true, color, gap: 6 });
+    items.forEach(item => write(format(item), { indent: 12 }));
+    y += 8;
+  };
+
+  startPage();
+  write(title, { size: 20, bold: true, color: '#111', gap: 6 });
+  write(`Revision ${fromRevision.number} (${dateOf(fromRevision)}) compared with this quote, revision ${toRevision.number} (${dateOf(toRevision)})`, { color: '#666', gap: 16 });
+
+  const changed = changes.changed.filter(change => change.room || (showQty && change.quantity) || (showPrices && change.price));
+  if (!changes.added.length && !changes.removed.length && !changed.length) {
+    write('No products were added, removed or changed.', { size: 12 });
+  }
+  section('Added', changes.added, '#15803d', describe);
+  section('Removed', changes.removed, '#b91c1c', describe);
+  section('Changed', changed, '#1d4ed8', ({ before, after, quantity, price, room }) => {
+    const moves = [];
+    if (showQty && quantity) {moves.push(`Qty ${before.quantity} -> ${after.quantity}`);}
+    if (showPrices && price) {moves.push(`Price ${before.price === null ? '-' : money(before.price)} -> ${after.price === null ? '-' : money(after.price)}`);}
+    if (room) {moves.push(`Room ${before.room || 'No room'} -> ${after.room || 'No room'}`);}
+    return `${after.code}  ${after.description || ''}:  ${moves.join(';  ')}`;
+  });
+
+  if (showPrices) {
+    const sign = changes.totalDelta > 0 ? '+' : changes.totalDelta < 0 ? '-' : '';
+    write(`Total${userDetails.includeGst ? ' (inc GST)' : ' (ex GST)'}: ${money(changes.totalBefore)} -> ${money(changes.totalAfter)}  (${sign}${money(Math.abs(changes.totalDelta))})`,
+      { size: 13, bold: true, color: '#111' });
+  }
+}
+
 // Helper to load an image as a base64 data URL
 export function loadImageAsDataURL(src, cb) {
   const img = new window.Image();
@@ -1097,23 +1188,14 @@ export async function generateCsvBlobAsync(userDetails, csvFilename) {
     // Break processing into chunks to avoid blocking main thread
 
     // Step 1: Load data (lightweight)
-    const storedSelection = JSON.parse(localStorage.getItem('selection') || '[]');
-    const selectedProducts = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCTS) || '[]');
-
-    let selection = [];
-    if (selectedProducts.length > 0) {
-      // New format: convert to old format for CSV generation
-      selection = selectedProducts.map(item => ({
-        ...item.product,
-        Room: item.room,
-        Notes: item.notes,
-        Quantity: item.quantity,
-        Timestamp: new Date(item.timestamp).toISOString()
-      }));
-    } else {
-      // Old format: use directly
-      selection = storedSelection;
-    }
+    // Flatten the line items for CSV generation
+    const selection = StorageManager.getSelectedProducts().map(item => ({
+      ...applyHistoricalProduct(item.product, userDetails.catalogAsOf, p => priceTiers.getPrice(p)),
+      Room: item.room,
+      Notes: item.notes,
+      Quantity: item.quantity,
+      Timestamp: new Date(item.timestamp).toISOString()
+    }));
 
     if (!selection.length) {
       resolve(null);
@@ -1131,8 +1213,8 @@ export async function generateCsvBlobAsync(userDetails, csvFilename) {
         if (item.UserEditedPrice !== undefined && item.UserEditedPrice !== null && item.UserEditedPrice !== '') {
           csvPriceNum = parseFloat(item.UserEditedPrice.toString().replace(/,/g, ''));
         } else {
-          // Fallback to catalog price (ex-GST)
-          const exGstPrice = item.RRP_EX || item['RRP EX GST'] || item['RRP_EX'] || item.RRP_EXGST || '';
+          // Fallback to catalog price for the project's price tier (ex-GST)
+          const exGstPrice = priceTiers.getPrice(item);
           csvPriceNum = parseFloat((exGstPrice || '0').toString().replace(/,/g, ''));
         }
         
@@ -2157,8 +2239,21 @@ const TIP_TAIL_STORAGE_KEY = 'tipTailSettings';
 
 // Add this function near the top-level (not inside another function)
 async function mergeWithTipTail(mainPdfBlob) {
-  const settings = JSON.parse(localStorage.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
-  const { tipAsset, tipUpload, tailAsset, tailUpload } = settings;
+  const settings = JSON.parse(persistentStore.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
+  const { tipAsset, tailAsset } = settings;
+  // Uploaded PDFs are stored as files; older saves hold them as base64 text
+  const readUpload = async (id, fileType) => {
+    try {
+      const blob = await persistentStore.getBlob(id);
+      if (!blob) {console.warn(`⚠️ Uploaded ${fileType} file is missing from storage`);}
+      return blob ? await blob.arrayBuffer() : null;
+    } catch (error) {
+      console.warn(`⚠️ Error reading uploaded ${fileType} file:`, error);
+      return null;
+    }
+  };
+  const tipUpload = settings.tipUploadId ? await readUpload(settings.tipUploadId, 'tip') : settings.tipUpload;
+  const tailUpload = settings.tailUploadId ? await readUpload(settings.tailUploadId, 'tail') : settings.tailUpload;
 
   // If no tip or tail files are selected, return the main PDF as-is
   if (!tipAsset && !tipUpload && !tailAsset && !tailUpload) {
@@ -5,7 +5,6 @@
 
 import { pdfCore } from './pdf-core.js';
 import { pdfLayouts } from './pdf-layouts.js';
-import { CONFIG } from './config.js';
 import { StorageManager } from './storage.js';
 
 export class UnifiedPDFGenerator {
@@ -135,22 +134,7 @@ export class UnifiedPDFGenerator {
   }
 
   getSelectedProducts() {
-    // Get products from both possible storage locations
-    const storedSelection = JSON.parse(localStorage.getItem('selection') || '[]');
-    const selectedProducts = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SELECTED_PRODUCTS) || '[]');
-
-    // Use the newer format if available
-    if (selectedProducts.length > 0) {
-      return selectedProducts;
-    }
-
-    // Convert old format to new format
-    return storedSelection.map(item => ({
-      product: item,
-      room: item.Room || '',
-      notes: item.Notes || '',
-      quantity: item.Quantity || 1
-    }));
+    return StorageManager.getSelectedProducts();
   }
 
   calculateTotalPrice(priceEa, quantity) {
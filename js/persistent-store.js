@@ -0,0 +1,615 @@
+/**
+ * Persistent Store
+ * IndexedDB-backed key/value storage for selections, projects, the catalog cache and
+ * uploads, replacing localStorage (about 5MB per site, which logos and tip/tail PDFs
+ * used to fill).
+ *
+ * Values are read from an in-memory copy loaded by `init()`, so reads stay synchronous;
+ * writes update that copy and go to IndexedDB in the background. Uploaded images and
+ * PDFs are kept as Blobs in their own object store and referenced by id. Without
+ * IndexedDB everything falls back to localStorage.
+ *
+ * Keys that must be readable before `init()` resolves (configuration, error logs, the
+ * compare tray) stay in localStorage.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
+
+const DB_NAME = 'seimaStorage';
+const DB_VERSION = 1;
+const KEYVAL_STORE = 'keyval';
+const BLOB_STORE = 'blobs';
+const MIGRATED_FLAG = '__migratedFromLocalStorage';
+// Saved projects (see js/projects.js)
+const PROJECT_KEY_PREFIX = 'project:';
+// Blobs kept in localStorage as data URLs when IndexedDB is unavailable
+const FALLBACK_BLOB_PREFIX = 'blob:';
+const CUSTOMER_LOGO_KEY = 'customerLogo';
+const TIP_TAIL_KEY = 'tipTailSettings';
+
+/**
+ * Promisify an IndexedDB request
+ * @private
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @private
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Whether an error means the browser's storage quota is used up
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22 || error.code === 1014);
+}
+
+/**
+ * Decode base64 (optionally a data URL) into a Blob
+ * @param {string} data - Base64 text or `data:<type>;base64,...`
+ * @param {string} [type='application/octet-stream'] - Type when `data` is not a data URL
+ * @returns {Blob}
+ */
+export function base64ToBlob(data, type = 'application/octet-stream') {
+  let base64 = data;
+  let mimeType = type;
+  const match = /^data:([^;,]*)(;base64)?,/.exec(data);
+  if (match) {
+    mimeType = match[1] || type;
+    base64 = data.slice(match[0].length);
+    if (!match[2]) {
+      return new Blob([decodeURIComponent(base64)], { type: mimeType });
+    }
+  }
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Key/value and Blob storage on IndexedDB with a localStorage fallback
+ * @class PersistentStore
+ */
+export class PersistentStore {
+  constructor() {
+    this.db = null;
+    this.values = new Map();
+    this.ready = false;
+    this.initPromise = null;
+    this.pendingWrites = Promise.resolve();
+    this.writeListeners = [];
+  }
+
+  /**
+   * Keys kept in IndexedDB (plus saved projects)
+   * @returns {string[]}
+   */
+  getManagedKeys() {
+    const keys = config.get('storage.keys', {});
+    return [
+      keys.selectedProducts || 'selectedProducts',
+      keys.customRooms || 'customRooms',
+      keys.priceTier || 'priceTier',
+      keys.projects || 'projects',
+      keys.activeProject || 'activeProjectId',
+      keys.schemaVersion || 'storageSchemaVersion',
+      keys.revisions || 'quoteRevisions',
+      keys.userPreferences || 'userPreferences',
+      keys.roomAssignments || 'roomAssignments',
+      keys.productCatalog || 'productCatalog',
+      'selection',
+      'pdfFormSettings',
+      CUSTOMER_LOGO_KEY,
+      TIP_TAIL_KEY,
+      'productCatalogCsv',
+      'catalogUploadCsv',
+      'catalogUploadName'
+    ];
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isManaged(key) {
+    return key.startsWith(PROJECT_KEY_PREFIX) || this.getManagedKeys().includes(key);
+  }
+
+  /**
+   * Whether IndexedDB is in use (false before `init()` or in fallback mode)
+   * @returns {boolean}
+   */
+  isUsingIndexedDb() {
+    return !!this.db;
+  }
+
+  /**
+   * Open the database, load stored values into memory and, the first time, move the
+   * existing localStorage data across. Safe to call more than once.
+   * @async
+   * @returns {Promise<boolean>} True if IndexedDB is in use
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.openAndLoad();
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * @private
+   * @async
+   * @returns {Promise<boolean>}
+   */
+  async openAndLoad() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('⚠️ IndexedDB not available, using localStorage');
+      this.ready = true;
+      return false;
+    }
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(KEYVAL_STORE)) {
+            db.createObjectStore(KEYVAL_STORE);
+          }
+          if (!db.objectStoreNames.contains(BLOB_STORE)) {
+            db.createObjectStore(BLOB_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Storage database is open in an older version of the app'));
+      });
+
+      const tx = this.db.transaction(KEYVAL_STORE, 'readonly');
+      const store = tx.objectStore(KEYVAL_STORE);
+      const [keys, values] = await Promise.all([
+        requestToPromise(store.getAllKeys()),
+        requestToPromise(store.getAll())
+      ]);
+      keys.forEach((key, i) => this.values.set(key, values[i]));
+
+      if (!this.values.has(MIGRATED_FLAG)) {
+        await this.migrateFromLocalStorage();
+      }
+      this.ready = true;
+      console.log(`✅ Persistent store ready (IndexedDB, ${this.values.size} keys)`);
+      return true;
+    } catch (error) {
+      errorHandler.handleError({
+        message: 'IndexedDB could not be opened, using localStorage',
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.WARN,
+        context: 'persistent-store-init',
+        showUser: false
+      });
+      this.db = null;
+      this.values.clear();
+      this.ready = true;
+      return false;
+    }
+  }
+
+  /**
+   * One-time move of the app's localStorage keys into IndexedDB. Logos and uploaded PDFs
+   * become Blobs. localStorage is only cleared once the copy has committed.
+   * @private
+   * @async
+   */
+  async migrateFromLocalStorage() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && this.isManaged(key)) {keys.push(key);}
+    }
+
+    const blobs = new Map();
+    const entries = keys.map(key => {
+      const raw = localStorage.getItem(key);
+      if (!key.startsWith(PROJECT_KEY_PREFIX)) {
+        return [key, this.extractBlobs(key, raw, blobs)];
+      }
+      // A saved project holds its own copy of every project key
+      try {
+        const record = JSON.parse(raw);
+        Object.keys(record).forEach(name => {
+          record[name] = this.extractBlobs(name, record[name], blobs);
+        });
+        return [key, JSON.stringify(record)];
+      } catch (e) {
+        return [key, raw];
+      }
+    });
+
+    const tx = this.db.transaction([KEYVAL_STORE, BLOB_STORE], 'readwrite');
+    blobs.forEach((blob, id) => tx.objectStore(BLOB_STORE).put(blob, id));
+    entries.forEach(([key, value]) => tx.objectStore(KEYVAL_STORE).put(value, key));
+    tx.objectStore(KEYVAL_STORE).put(new Date().toISOString(), MIGRATED_FLAG);
+    await transactionDone(tx);
+
+    entries.forEach(([key, value]) => this.values.set(key, value));
+    this.values.set(MIGRATED_FLAG, new Date().toISOString());
+    keys.forEach(key => localStorage.removeItem(key));
+    console.log(`📦 Moved ${keys.length} keys and ${blobs.size} files from localStorage to IndexedDB`);
+  }
+
+  /**
+   * Replace an inline logo or base64 PDF with a Blob reference
+   * @private
+   * @param {string} key
+   * @param {string|null} raw - Stored value
+   * @param {Map<string, Blob>} blobs - Collects the Blobs to store
+   * @returns {string|null} Value to store
+   */
+  extractBlobs(key, raw, blobs) {
+    if (!raw) {return raw;}
+    try {
+      if (key === CUSTOMER_LOGO_KEY && raw.startsWith('data:')) {
+        const id = this.createBlobId();
+        blobs.set(id, base64ToBlob(raw, 'image/png'));
+        return id;
+      }
+      if (key === TIP_TAIL_KEY) {
+        const settings = JSON.parse(raw);
+        ['tip', 'tail'].forEach(part => {
+          if (settings[`${part}Upload`]) {
+            const id = this.createBlobId();
+            blobs.set(id, base64ToBlob(settings[`${part}Upload`], 'application/pdf'));
+            settings[`${part}UploadId`] = id;
+            delete settings[`${part}Upload`];
+          }
+        });
+        return JSON.stringify(settings);
+      }
+    } catch (e) {
+      console.warn(`⚠️ Could not convert ${key} to a file, keeping it inline`, e);
+    }
+    return raw;
+  }
+
+  /**
+   * @private
+   * @returns {string}
+   */
+  createBlobId() {
+    return `file_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Read a stored string
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    if (this.db && this.isManaged(key)) {
+      return this.values.has(key) ? this.values.get(key) : null;
+    }
+    return localStorage.getItem(key);
+  }
+
+  /**
+   * Store a string. With IndexedDB the write completes in the background (see `flush()`);
+   * if it fails (storage full) the previous value is put back and `storageWriteFailed`
+   * is raised.
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<boolean>} Resolves to false if the value could not be stored
+   * @throws {Error} When localStorage is in use and full
+   */
+  setItem(key, value) {
+    if (!(this.db && this.isManaged(key))) {
+      localStorage.setItem(key, value);
+      return Promise.resolve(true);
+    }
+    const text = String(value);
+    const previous = this.values.has(key) ? this.values.get(key) : null;
+    this.values.set(key, text);
+    const written = this.queueWrite(key, store => store.put(text, key), text, previous);
+    this.notifyWrite(key, text, previous);
+    return written;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} Resolves to false if the value could not be removed
+   */
+  removeItem(key) {
+    if (!(this.db && this.isManaged(key))) {
+      localStorage.removeItem(key);
+      return Promise.resolve(true);
+    }
+    const previous = this.values.has(key) ? this.values.get(key) : null;
+    this.values.delete(key);
+    const written = this.queueWrite(key, store => store.delete(key), null, previous);
+    this.notifyWrite(key, null, previous);
+    return written;
+  }
+
+  /**
+   * Be told about writes to IndexedDB-backed keys (other tabs keep their own copy of the
+   * values, see tab-sync.js). localStorage writes raise `storage` events instead.
+   * @param {Function} listener - Receives (key, value, previousValue); value is null when removed
+   */
+  onWrite(listener) {
+    this.writeListeners.push(listener);
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @param {string|null} value
+   * @param {string|null} previous
+   */
+  notifyWrite(key, value, previous) {
+    this.writeListeners.forEach(listener => {
+      try {
+        listener(key, value, previous);
+      } catch (e) {
+        console.warn('⚠️ Storage write listener failed:', e);
+      }
+    });
+  }
+
+  /**
+   * Take a value another tab has already stored, without writing it again
+   * @param {string} key
+   * @param {string|null} value - Null when removed
+   */
+  applyRemoteChange(key, value) {
+    if (!(this.db && this.isManaged(key))) {return;}
+    if (value === null) {
+      this.values.delete(key);
+    } else {
+      this.values.set(key, value);
+    }
+  }
+
+  /**
+   * Stored keys (IndexedDB and localStorage), not counting files
+   * @returns {string[]}
+   */
+  keys() {
+    const keys = new Set(Array.from(this.values.keys()).filter(key => key !== MIGRATED_FLAG));
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(FALLBACK_BLOB_PREFIX)) {keys.add(key);}
+    }
+    return Array.from(keys);
+  }
+
+  /**
+   * Tell the user a save failed because storage is full (`storageQuotaExceeded` event)
+   * @param {string} key - What was being saved
+   * @param {Error} error
+   */
+  reportQuotaExceeded(key, error) {
+    errorHandler.handleError({
+      message: `Storage is full, ${key} was not saved`,
+      error,
+      category: ErrorCategory.STORAGE,
+      level: LogLevel.ERROR,
+      context: 'storage-quota',
+      showUser: false
+    });
+    window.dispatchEvent(new CustomEvent('storageQuotaExceeded', { detail: { key } }));
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @param {Function} operation - Receives the object store
+   * @param {string|null} value - Value the write stores (null when removing)
+   * @param {string|null} previous - Value to put back if the write fails
+   * @returns {Promise<boolean>} False if the write failed
+   */
+  queueWrite(key, operation, value, previous) {
+    const tx = this.db.transaction(KEYVAL_STORE, 'readwrite');
+    operation(tx.objectStore(KEYVAL_STORE));
+    const done = transactionDone(tx).then(() => true, error => {
+      this.rollBack(key, value, previous);
+      if (isQuotaError(error)) {
+        this.reportQuotaExceeded(key, error);
+        return false;
+      }
+      errorHandler.handleError({
+        message: `Failed to save ${key}`,
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'persistent-store-write'
+      });
+      return false;
+    });
+    this.pendingWrites = Promise.all([this.pendingWrites, done]);
+    return done;
+  }
+
+  /**
+   * Put back the value a failed write replaced, unless the key was written again since,
+   * so the in-memory copy matches what IndexedDB holds (`storageWriteFailed` event)
+   * @private
+   * @param {string} key
+   * @param {string|null} value - Value the failed write stored (null when removing)
+   * @param {string|null} previous
+   */
+  rollBack(key, value, previous) {
+    const current = this.values.has(key) ? this.values.get(key) : null;
+    if (current !== value) {return;}
+    if (previous === null) {
+      this.values.delete(key);
+    } else {
+      this.values.set(key, previous);
+    }
+    this.notifyWrite(key, previous, value);
+    window.dispatchEvent(new CustomEvent('storageWriteFailed', { detail: { key } }));
+  }
+
+  /**
+   * Wait for background writes (before a reload, for example)
+   * @async
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.pendingWrites;
+  }
+
+  /**
+   * Store a file
+   * @async
+   * @param {Blob} blob
+   * @returns {Promise<string>} Id to keep in the settings that use it
+   */
+  async putBlob(blob) {
+    await this.init();
+    const id = this.createBlobId();
+    try {
+      if (!this.db) {
+        localStorage.setItem(FALLBACK_BLOB_PREFIX + id, await blobToDataUrl(blob));
+        return id;
+      }
+      const tx = this.db.transaction(BLOB_STORE, 'readwrite');
+      tx.objectStore(BLOB_STORE).put(blob, id);
+      await transactionDone(tx);
+      return id;
+    } catch (error) {
+      if (!isQuotaError(error)) {throw error;}
+      this.reportQuotaExceeded('the file', error);
+      throw new Error('Storage is full. Free up space in Settings → Storage and try again.');
+    }
+  }
+
+  /**
+   * Stored files with their size
+   * @async
+   * @returns {Promise<Array<{id: string, size: number, type: string}>>}
+   */
+  async listFiles() {
+    await this.init();
+    if (!this.db) {
+      const files = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(FALLBACK_BLOB_PREFIX)) {
+          const dataUrl = localStorage.getItem(key);
+          files.push({
+            id: key.slice(FALLBACK_BLOB_PREFIX.length),
+            size: dataUrl.length,
+            type: (/^data:([^;,]*)/.exec(dataUrl) || [])[1] || ''
+          });
+        }
+      }
+      return files;
+    }
+    const files = [];
+    const tx = this.db.transaction(BLOB_STORE, 'readonly');
+    await new Promise((resolve, reject) => {
+      const request = tx.objectStore(BLOB_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        files.push({ id: cursor.key, size: cursor.value.size, type: cursor.value.type || '' });
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return files;
+  }
+
+  /**
+   * @async
+   * @param {string} id
+   * @returns {Promise<Blob|null>}
+   */
+  async getBlob(id) {
+    if (!id) {return null;}
+    await this.init();
+    if (!this.db) {
+      const dataUrl = localStorage.getItem(FALLBACK_BLOB_PREFIX + id);
+      return dataUrl ? base64ToBlob(dataUrl) : null;
+    }
+    const tx = this.db.transaction(BLOB_STORE, 'readonly');
+    return (await requestToPromise(tx.objectStore(BLOB_STORE).get(id))) || null;
+  }
+
+  /**
+   * Files are shared by id between projects, so they are only deleted once unused
+   * @async
+   * @param {string} id
+   */
+  async deleteBlob(id) {
+    await this.init();
+    if (!this.db) {
+      localStorage.removeItem(FALLBACK_BLOB_PREFIX + id);
+      return;
+    }
+    const tx = this.db.transaction(BLOB_STORE, 'readwrite');
+    tx.objectStore(BLOB_STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Data URL of a stored file. Values that are already data URLs (older saves) are
+   * returned unchanged.
+   * @async
+   * @param {string|null} ref - File id or data URL
+   * @returns {Promise<string|null>}
+   */
+  async getDataUrl(ref) {
+    if (!ref) {return null;}
+    if (ref.startsWith('data:')) {return ref;}
+    const blob = await this.getBlob(ref);
+    return blob ? blobToDataUrl(blob) : null;
+  }
+}
+
+// Global instance
+export const persistentStore = new PersistentStore();
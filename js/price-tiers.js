@@ -0,0 +1,177 @@
+/**
+ * Price Tiers
+ * Prices a line for the audience of the current project: Retail (RRP), Builder, Merchant,
+ * A&D or Volume Merchant. A tier takes its price from its own catalog column when the
+ * sheet has one, otherwise from a percentage off RRP (`pricing.tiers`). Lines still at the
+ * previous tier's price follow a tier change; prices typed into the grid are kept.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { StorageManager } from './storage.js';
+import { Utils } from './utils.js';
+
+/**
+ * Parse a catalog price ("1,234.50", "$99") to a number
+ * @private
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {return null;}
+  const num = parseFloat(value.toString().replace(/[^0-9.-]/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Catalog RRP ex GST of a product (catalog rows and stored lines both use RRP_EX)
+ * @param {Object} product
+ * @returns {string}
+ */
+export function getRrpExGst(product) {
+  return product?.RRP_EX || '';
+}
+
+/**
+ * Price of a product in a tier (ex GST)
+ * @param {Object} product
+ * @param {{columns?: string[], percentOffRrp?: number}} tier
+ * @returns {string} Price with two decimals, or the RRP as stored if no rule applies
+ */
+export function getTierPrice(product, tier) {
+  const rrp = getRrpExGst(product);
+  if (!tier) {return rrp;}
+
+  const column = (tier.columns || []).find(name => toNumber(product?.[name]) !== null);
+  if (column) {
+    return toNumber(product[column]).toFixed(2);
+  }
+
+  const rrpNum = toNumber(rrp);
+  const percent = Number(tier.percentOffRrp) || 0;
+  if (rrpNum === null || !percent) {return rrp;}
+  return (rrpNum * (1 - percent / 100)).toFixed(2);
+}
+
+/**
+ * Active tier and tier pricing
+ * @class PriceTierManager
+ */
+export class PriceTierManager {
+  /**
+   * Configured tiers
+   * @returns {Array<{id: string, label: string, columns: string[], percentOffRrp: number, tipPdf: string}>}
+   */
+  getTiers() {
+    return config.get('pricing.tiers', []);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getTier(id) {
+    return this.getTiers().find(tier => tier.id === id);
+  }
+
+  /**
+   * Tier chosen for the current project
+   * @returns {string}
+   */
+  getActiveTierId() {
+    const stored = Utils.getStorageItem(config.get('storage.keys.priceTier', 'priceTier'), null);
+    return this.getTier(stored) ? stored : config.get('pricing.defaultTier', 'retail');
+  }
+
+  /**
+   * @returns {Object|undefined}
+   */
+  getActiveTier() {
+    return this.getTier(this.getActiveTierId());
+  }
+
+  /**
+   * Price of a product in the active tier (or the given one)
+   * @param {Object} product
+   * @param {string} [tierId]
+   * @returns {string}
+   */
+  getPrice(product, tierId = this.getActiveTierId()) {
+    return getTierPrice(product, this.getTier(tierId));
+  }
+
+  /**
+   * Choose the tier for the current project and reprice the selection.
+   * Lines still at the old tier's price move to the new tier's price.
+   * @param {string} tierId
+   * @returns {number} Number of lines repriced
+   */
+  setActiveTier(tierId) {
+    const fromId = this.getActiveTierId();
+    if (!this.getTier(tierId) || tierId === fromId) {return 0;}
+    Utils.setStorageItem(config.get('storage.keys.priceTier', 'priceTier'), tierId);
+
+    const repriced = this.repriceSelection(p => this.getPrice(p, fromId), p => this.getPrice(p, tierId));
+    console.log(`💲 Price tier changed to ${tierId} (${repriced} lines repriced)`);
+    window.dispatchEvent(new CustomEvent('priceTierChanged', { detail: { from: fromId, to: tierId, repriced } }));
+    return repriced;
+  }
+
+  /**
+   * Move saved lines priced at the old price to the new one
+   * @private
+   * @param {Function} oldPriceOf - Product to previous price
+   * @param {Function} newPriceOf - Product to new price
+   * @returns {number} Lines repriced
+   */
+  repriceSelection(oldPriceOf, newPriceOf) {
+    let repriced = 0;
+    const items = StorageManager.getSelectedProducts();
+    items.forEach(item => {
+      const edited = item.product?.UserEditedPrice;
+      if (edited === undefined || edited === null || edited === '') {return;}
+      const newPrice = newPriceOf(item.product);
+      if (toNumber(edited) === toNumber(oldPriceOf(item.product)) && toNumber(edited) !== toNumber(newPrice)) {
+        item.product.UserEditedPrice = newPrice;
+        repriced++;
+      }
+    });
+    if (repriced) {
+      StorageManager.setSelectedProducts(items, 'Reprice for tier');
+    }
+    return repriced;
+  }
+
+  /**
+   * Update the percentage-off-RRP rule of a tier.
+   * If it is the active tier, lines at the old rule's price follow the new one.
+   * @param {string} tierId
+   * @param {number} percent - 0 to 100
+   */
+  setTierDiscount(tierId, percent) {
+    const before = this.getTier(tierId);
+    const value = Math.min(100, Math.max(0, Number(percent) || 0));
+    if (!before || (Number(before.percentOffRrp) || 0) === value) {return;}
+    config.set('pricing.tiers', this.getTiers().map(tier => (tier.id === tierId ? { ...tier, percentOffRrp: value } : tier)));
+
+    if (tierId === this.getActiveTierId()) {
+      const repriced = this.repriceSelection(p => getTierPrice(p, before), p => this.getPrice(p));
+      window.dispatchEvent(new CustomEvent('priceTierChanged', { detail: { from: tierId, to: tierId, repriced } }));
+    }
+  }
+
+  /**
+   * Tip PDF asset that matches a tier, if any
+   * @param {string} tierId
+   * @returns {string}
+   */
+  getTipPdf(tierId) {
+    return this.getTier(tierId)?.tipPdf || '';
+  }
+}
+
+// Global instance
+export const priceTiers = new PriceTierManager();
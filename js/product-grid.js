@@ -2,6 +2,22 @@ import { StorageManager } from './storage.js';
 import { dataLayer } from './modules.js';
 import { config } from './config-manager.js';
 import { Utils } from './utils.js';
+import { synonymDictionary, DEFAULT_SYNONYM_GROUPS } from './synonyms.js';
+import { catalogSources, CatalogSourceType } from './catalog-sources.js';
+import { CatalogQualityReport } from './catalog-quality.js';
+import { compareTray } from './compare-tray.js';
+import { recommendations } from './recommendations.js';
+import { selectionReconciler } from './selection-reconciler.js';
+import { priceTiers } from './price-tiers.js';
+import { offlineManager } from './offline-cache.js';
+import { barcodeScanner } from './barcode-scanner.js';
+import { projectManager } from './projects.js';
+import { selectionHistory } from './selection-history.js';
+import { projectBundle } from './project-bundle.js';
+import { revisionManager } from './revisions.js';
+import { persistentStore } from './persistent-store.js';
+import { storageMonitor, formatBytes } from './storage-monitor.js';
+import { findVariants, buildVariantMatrix, selectionOf, resolveVariant, renderVariantSelectors, readVariantSelection } from './variant-matrix.js';
 
 // --- DROPDOWN MANAGER (Reusable Component) ---
 class DropdownManager {
@@ -15,7 +31,14 @@ class DropdownManager {
     });
   }
 
-  showDropdown(targetInput, items, onSelect) {
+  /**
+   * Show search results under an input
+   * @param {HTMLElement} targetInput
+   * @param {Array<Object>} items - Products
+   * @param {Function} onSelect - Called with the clicked product
+   * @param {Function} [onCompare] - If given, each item gets an "add to compare" button
+   */
+  showDropdown(targetInput, items, onSelect, onCompare = null) {
     this.hideDropdown();
     const dropdown = document.createElement('ul');
     dropdown.className = 'global-search-dropdown';
@@ -80,7 +103,7 @@ class DropdownManager {
       dropdown.innerHTML = '<li style="padding: 12px 16px; color: #6b7280; font-style: italic; background: #fff;">No products found</li>';
     } else {
       dropdown.innerHTML = items.map(item => {
-        const orderCode = item.OrderCode || item.Code || '';
+        const orderCode = item.OrderCode || '';
         const description = item.Description || item.ProductName || item['Product Name'] || '';
         return `<li data-product='${JSON.stringify(item).replace(/'/g, '&apos;')}'
                      style="padding: 12px 16px; cursor: pointer; border-bottom: 1px solid #f3f4f6; 
@@ -90,6 +113,7 @@ class DropdownManager {
           <span style="font-weight: 600; color: #2563eb;">${Utils.sanitizeInput(orderCode)}</span>
           <span style="color: #6b7280; margin: 0 8px;">—</span>
           <span style="color: #374151;">${Utils.sanitizeInput(description)}</span>
+          ${onCompare ? `<button type="button" class="dropdown-compare-btn${compareTray.has(item) ? ' in-compare' : ''}" title="Add to compare">⇄</button>` : ''}
         </li>`;
       }).join('');
     }
@@ -100,9 +124,14 @@ class DropdownManager {
       li.addEventListener('mouseleave', () => {
         li.classList.remove('hover');
       });
-      li.onclick = () => {
+      li.onclick = (event) => {
         try {
           const product = JSON.parse(li.getAttribute('data-product'));
+          const compareBtn = event.target.closest('.dropdown-compare-btn');
+          if (compareBtn) {
+            compareBtn.classList.toggle('in-compare', onCompare(product));
+            return;
+          }
           onSelect(product);
           this.hideDropdown();
         } catch (error) {
@@ -175,6 +204,13 @@ export class ProductGridManager {
     this.searchCache = new Map();
     this.searchTimeout = null;
     this.dropdownManager = new DropdownManager();
+    this.catalogListenerAttached = false;
+    this.compareListenerAttached = false;
+    this.scanResults = [];
+    this.wedgeBuffer = '';
+    this.wedgeLastKeyTime = 0;
+    this.wedgeListenerAttached = false;
+    this.lastScanRoom = null;
   }
 
   /**
@@ -196,6 +232,13 @@ export class ProductGridManager {
     }
 
     this.setupEventListeners();
+    this.setupCatalogListener();
+    this.setupCompareTray();
+    this.setupProjects();
+    this.setupUndoRedo();
+    this.setupRevisions();
+    this.setupTabSync();
+    this.setupStorageWarnings();
     this.updateAllRoomDropdowns();
     this.loadExistingProducts();
     this.updateTotals();
@@ -204,6 +247,17 @@ export class ProductGridManager {
     this.ensureAtLeastOneEmptyRow();
     // Initialize sorting (default to room)
     this.handleSortChange();
+    this.reviewSavedSelection();
+  }
+
+  /**
+   * Checks saved lines against the catalog once it is available and offers fixes.
+   */
+  reviewSavedSelection() {
+    // Otherwise refreshProductsFromCatalog reviews once the catalog arrives
+    if (dataLayer.isLoaded) {
+      selectionReconciler.review('load');
+    }
   }
 
   /**
@@ -217,6 +271,7 @@ export class ProductGridManager {
     const clearAllBtn = document.getElementById('clear-all-btn');
     const settingsBtn = document.getElementById('settings-btn');
     const addRowBtn = document.getElementById('add-row-btn');
+    const scanBtn = document.getElementById('scan-barcode-btn');
 
     if (backBtn) {
       backBtn.onclick = () => location.reload();
@@ -242,6 +297,12 @@ export class ProductGridManager {
       addRowBtn.onclick = () => this.addEmptyRow();
     }
 
+    if (scanBtn) {
+      scanBtn.onclick = () => this.showScanModal();
+    }
+    this.setupScanModal();
+    this.setupScanMode();
+
     // Clear All modal events
     const clearAllCancel = document.getElementById('clear-all-cancel');
     const clearAllConfirm = document.getElementById('clear-all-confirm');
@@ -298,6 +359,7 @@ export class ProductGridManager {
     if (sortRefreshBtn) {
       sortRefreshBtn.onclick = () => this.handleSortChange();
     }
+    this.setupPriceTierSelector();
 
     // Grid event delegation
     const gridBody = document.getElementById('grid-body');
@@ -379,8 +441,18 @@ export class ProductGridManager {
           includeGst: pdfForm['include-gst'].checked
         });
       });
-      pdfForm.onsubmit = (e) => {
+      const quoteDateBtn = document.getElementById('price-as-of-quote-date');
+      if (quoteDateBtn) {
+        quoteDateBtn.onclick = () => {
+          const timestamps = StorageManager.getSelectedProducts().map(item => item.timestamp).filter(Boolean);
+          if (timestamps.length && pdfForm['price-as-of']) {
+            pdfForm['price-as-of'].value = new Date(Math.min(...timestamps)).toISOString().slice(0, 10);
+          }
+        };
+      }
+      pdfForm.onsubmit = async (e) => {
         e.preventDefault();
+        if (!(await selectionReconciler.review('pdf'))) {return;}
         Utils.setStorageItem(PDF_FORM_KEY, {
           name: pdfForm['user-name'].value,
           project: pdfForm['user-project'].value,
@@ -404,8 +476,16 @@ export class ProductGridManager {
           excludeQty: pdfForm['exclude-qty']?.checked || false,
           excludeLongDescription: pdfForm['exclude-long-description']?.checked || false,
           includeGst: pdfForm['include-gst']?.checked || false,
+          changesSince: Number(pdfForm['pdf-changes-since']?.value) || null,
           exportCsv: true // Always export CSV
         };
+        const priceAsOf = pdfForm['price-as-of']?.value;
+        if (priceAsOf) {
+          userDetails.catalogAsOf = await dataLayer.getCatalogAsOf(priceAsOf);
+          if (!userDetails.catalogAsOf) {
+            alert('No catalog history is stored for that date yet. Current prices will be used.');
+          }
+        }
         console.log('DEBUG: userDetails created for PDF:', userDetails);
         if (window.showPdfFormScreen) {
           window.showPdfFormScreen(userDetails);
@@ -417,6 +497,836 @@ export class ProductGridManager {
     }
   }
 
+  /**
+   * Listens for the data layer swapping in a refreshed catalog (once per page).
+   */
+  setupCatalogListener() {
+    if (this.catalogListenerAttached) {return;}
+    this.catalogListenerAttached = true;
+    window.addEventListener('catalogUpdated', () => this.refreshProductsFromCatalog());
+    // Product clicked in the Browse modal
+    window.addEventListener('catalogProductPicked', (event) => this.placeScannedProduct(event.detail.product));
+    // Lines fixed in the reconciliation modal or repriced for a new tier: reload them from storage
+    const reloadRows = () => {
+      this.loadExistingProducts();
+      this.ensureAtLeastOneEmptyRow();
+      this.handleSortChange();
+      this.updateTotals();
+    };
+    window.addEventListener('selectionReconciled', reloadRows);
+    window.addEventListener('priceTierChanged', reloadRows);
+  }
+
+  /**
+   * Populates the project's price tier selector in the grid header.
+   */
+  setupPriceTierSelector() {
+    const select = document.getElementById('price-tier-select');
+    if (!select) {return;}
+    select.innerHTML = priceTiers.getTiers()
+      .map(tier => `<option value="${Utils.escapeHtml(tier.id)}">${Utils.escapeHtml(tier.label)}</option>`)
+      .join('');
+    select.value = priceTiers.getActiveTierId();
+    select.onchange = () => this.changePriceTier(select.value);
+  }
+
+  /**
+   * Switches the project to another price tier and, if enabled, picks the matching tip PDF.
+   * An uploaded tip PDF is kept, and so is the current one when the tier has none.
+   * @param {string} tierId
+   */
+  changePriceTier(tierId) {
+    priceTiers.setActiveTier(tierId);
+    const tipPdf = priceTiers.getTipPdf(tierId);
+    if (!tipPdf || !config.get('pricing.preselectTipPdf', true)) {return;}
+    const settings = JSON.parse(persistentStore.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
+    if (settings.tipUploadId || settings.tipUpload) {return;}
+    this.saveTipTailSettings({ tipAsset: tipPdf });
+    const tipSelect = document.getElementById('tip-pdf-select');
+    if (tipSelect) {tipSelect.value = tipPdf;}
+  }
+
+  /**
+   * Renders the per-tier discount inputs in settings.
+   */
+  loadPriceTierSettings() {
+    const container = document.getElementById('price-tier-settings');
+    const preselect = document.getElementById('price-tier-preselect-tip');
+    if (container) {
+      container.innerHTML = priceTiers.getTiers().map(tier => `
+        <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
+          <span style="flex: 1;">${Utils.escapeHtml(tier.label)}</span>
+          <input type="number" data-tier-id="${Utils.escapeHtml(tier.id)}" value="${Number(tier.percentOffRrp) || 0}" min="0" max="100" step="0.5" style="width: 80px; padding: 6px; border-radius: 6px; border: 1.5px solid #e0e0e0;">
+          <span style="color: #666;">% off RRP</span>
+        </label>
+      `).join('');
+    }
+    if (preselect) {preselect.checked = config.get('pricing.preselectTipPdf', true);}
+  }
+
+  /**
+   * Shows offline readiness in settings and wires the "Prepare for offline" buttons.
+   */
+  async loadOfflineSettings() {
+    const status = document.getElementById('offline-status');
+    const progress = document.getElementById('offline-progress');
+    const [selectionBtn, catalogBtn, clearBtn] = ['offline-prepare-selection', 'offline-prepare-catalog', 'offline-clear-images']
+      .map(id => document.getElementById(id));
+    const buttons = [selectionBtn, catalogBtn, clearBtn].filter(Boolean);
+
+    const showStatus = async () => {
+      if (!status) {return;}
+      const { supported, active, images } = await offlineManager.getStatus();
+      if (!supported) {
+        status.textContent = 'Offline mode needs a secure (https) connection in a current browser.';
+      } else if (!active) {
+        status.textContent = 'Offline support is installing. Reload the page once to finish.';
+      } else {
+        status.textContent = `Ready for offline use. ${images} product image${images === 1 ? '' : 's'} cached.`;
+      }
+      buttons.forEach(btn => { btn.disabled = !supported || offlineManager.preparing; });
+    };
+
+    const prepare = async (scope) => {
+      buttons.forEach(btn => { btn.disabled = true; });
+      try {
+        const result = await offlineManager.prepare(scope, ({ done, total }) => {
+          if (progress) {progress.textContent = `Downloading images… ${done} of ${total}`;}
+        });
+        if (progress) {
+          progress.textContent = result.total
+            ? `✅ ${result.cached} of ${result.total} images ready offline${result.failed ? ` (${result.failed} could not be downloaded)` : ''}`
+            : 'No product images to download.';
+        }
+      } catch (error) {
+        if (progress) {progress.textContent = `⚠️ ${error.message}`;}
+      }
+      await showStatus();
+    };
+
+    if (selectionBtn) {selectionBtn.onclick = () => prepare('selection');}
+    if (catalogBtn) {catalogBtn.onclick = () => prepare('catalog');}
+    if (clearBtn) {
+      clearBtn.onclick = async () => {
+        await offlineManager.clearImages();
+        if (progress) {progress.textContent = 'Cached product images removed.';}
+        await showStatus();
+      };
+    }
+    if (progress && !offlineManager.preparing) {progress.textContent = '';}
+    await showStatus();
+  }
+
+  /**
+   * Shows storage use by category and the largest items, and wires the clean-up buttons.
+   */
+  async loadStorageSettings() {
+    const summary = document.getElementById('storage-summary');
+    const details = document.getElementById('storage-details');
+    const progress = document.getElementById('storage-progress');
+    const buttons = {
+      compact: document.getElementById('storage-compact-revisions'),
+      drop: document.getElementById('storage-drop-revisions'),
+      purge: document.getElementById('storage-purge-files'),
+      history: document.getElementById('storage-trim-history'),
+      logs: document.getElementById('storage-clear-logs')
+    };
+    const keep = config.get('storage.keepRevisions', 10);
+
+    const showUsage = async () => {
+      if (!summary) {return;}
+      summary.textContent = 'Checking storage…';
+      try {
+        const usage = await storageMonitor.getUsage();
+        const warnAt = config.get('storage.warnAtPercent', 80);
+        const color = usage.percent !== null && usage.percent >= warnAt ? '#dc2626' : '#2563eb';
+        summary.innerHTML = `
+          <div style="margin-bottom: 6px;">${formatBytes(usage.used)}${usage.quota ? ` of ${formatBytes(usage.quota)} (${usage.percent}%)` : ''} used</div>
+          ${usage.quota ? `
+            <div style="height: 8px; background: #e5e7eb; border-radius: 4px; overflow: hidden; margin-bottom: 8px;">
+              <div style="height: 100%; width: ${Math.min(usage.percent, 100)}%; background: ${color};"></div>
+            </div>
+          ` : ''}
+          <table style="width: 100%; font-size: 0.85rem; border-collapse: collapse;">
+            ${usage.categories.filter(category => category.bytes).map(category => `
+              <tr><td style="padding: 2px 0;">${category.label}</td><td style="text-align: right;">${formatBytes(category.bytes)}</td></tr>
+            `).join('')}
+          </table>
+        `;
+        if (details) {
+          details.innerHTML = usage.items.filter(item => item.bytes).slice(0, 20).map(item => `
+            <div style="display: flex; justify-content: space-between; gap: 8px; padding: 2px 0;">
+              <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${Utils.escapeHtml(item.name)}${item.unused ? ' <em style="color: #b45309;">(unused)</em>' : ''}</span>
+              <span>${formatBytes(item.bytes)}</span>
+            </div>
+          `).join('');
+        }
+      } catch (error) {
+        console.error('Error reading storage usage:', error);
+        summary.textContent = 'Storage usage is not available in this browser.';
+      }
+    };
+
+    const run = async (label, action) => {
+      Object.values(buttons).filter(Boolean).forEach(btn => { btn.disabled = true; });
+      try {
+        const message = await action();
+        if (progress) {progress.textContent = `✅ ${message}`;}
+      } catch (error) {
+        console.error(`Error during ${label}:`, error);
+        if (progress) {progress.textContent = `⚠️ Could not ${label}: ${error.message}`;}
+      }
+      Object.values(buttons).filter(Boolean).forEach(btn => { btn.disabled = false; });
+      await showUsage();
+    };
+
+    if (buttons.compact) {
+      buttons.compact.onclick = () => run('compact revisions', () =>
+        `Older revisions compacted, ${formatBytes(storageMonitor.compactRevisions(keep))} freed.`);
+    }
+    if (buttons.drop) {
+      buttons.drop.onclick = () => {
+        if (!confirm(`Delete all but the latest ${keep} revisions of every project? They cannot be compared afterwards.`)) {return;}
+        run('delete old revisions', () =>
+          `Old revisions deleted, ${formatBytes(storageMonitor.dropOldRevisions(keep))} freed.`);
+      };
+    }
+    if (buttons.purge) {
+      buttons.purge.onclick = () => run('remove unused files', async () => {
+        const { count, bytes } = await storageMonitor.purgeUnusedFiles();
+        return `${count} unused file${count === 1 ? '' : 's'} removed, ${formatBytes(bytes)} freed.`;
+      });
+    }
+    if (buttons.history) {
+      buttons.history.onclick = () => {
+        const answer = prompt('Catalog snapshots to keep (used for "prices as of" PDFs):', '3');
+        const count = parseInt(answer, 10);
+        if (!answer || isNaN(count) || count < 1) {return;}
+        run('trim the catalog history', async () =>
+          `${await storageMonitor.trimCatalogHistory(count)} catalog snapshots removed.`);
+      };
+    }
+    if (buttons.logs) {
+      buttons.logs.onclick = () => run('clear logs', () =>
+        `Logs cleared, ${formatBytes(storageMonitor.clearLogs())} freed.`);
+    }
+    if (progress) {progress.textContent = '';}
+    await showUsage();
+  }
+
+  /**
+   * Wires the project list and reloads the grid when another project is opened.
+   */
+  setupProjects() {
+    projectManager.init();
+    const projectsBtn = document.getElementById('projects-btn');
+    const projectName = document.getElementById('current-project-name');
+    const newBtn = document.getElementById('projects-new');
+    const closeBtn = document.getElementById('projects-close');
+    const search = document.getElementById('projects-search');
+    const sort = document.getElementById('projects-sort');
+    const showArchived = document.getElementById('projects-show-archived');
+    const list = document.getElementById('projects-list');
+
+    if (projectsBtn) {projectsBtn.onclick = () => this.showProjectsModal();}
+    if (projectName) {projectName.onclick = () => this.showProjectsModal();}
+    if (closeBtn) {closeBtn.onclick = () => this.hideProjectsModal();}
+    if (newBtn) {
+      newBtn.onclick = () => {
+        const name = prompt('Name of the new project:');
+        if (name && name.trim() && projectManager.create(name)) {
+          this.hideProjectsModal();
+        }
+      };
+    }
+    if (search) {search.oninput = () => this.renderProjectList();}
+    if (sort) {sort.onchange = () => this.renderProjectList();}
+    if (showArchived) {showArchived.onchange = () => this.renderProjectList();}
+    if (list) {list.onclick = (e) => this.handleProjectAction(e);}
+    const openFileBtn = document.getElementById('projects-open-file');
+    const fileInput = document.getElementById('projects-file-input');
+    if (openFileBtn && fileInput) {
+      openFileBtn.onclick = () => fileInput.click();
+      fileInput.onchange = () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (file) {this.openProjectFile(file);}
+      };
+    }
+    this.updateProjectName();
+
+    if (this.projectListenerAttached) {return;}
+    this.projectListenerAttached = true;
+    window.addEventListener('projectChanged', () => this.reloadProject());
+    window.addEventListener('projectsUpdated', () => {
+      this.updateProjectName();
+      this.renderProjectList();
+    });
+  }
+
+  /**
+   * Wires the Undo/Redo buttons and shortcuts (Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y).
+   */
+  setupUndoRedo() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) {undoBtn.onclick = () => selectionHistory.undo();}
+    if (redoBtn) {redoBtn.onclick = () => selectionHistory.redo();}
+    this.updateUndoButtons();
+
+    if (this.historyListenerAttached) {return;}
+    this.historyListenerAttached = true;
+    window.addEventListener('selectionHistoryChanged', () => this.updateUndoButtons());
+    window.addEventListener('selectionRestored', () => {
+      this.hideAllDropdowns();
+      this.loadExistingProducts();
+      this.updateAllRoomDropdowns();
+      this.ensureAtLeastOneEmptyRow();
+      this.handleSortChange();
+      this.updateTotals();
+    });
+    document.addEventListener('keydown', (e) => this.handleUndoKeydown(e));
+  }
+
+  /**
+   * Follows changes made to the selection in other tabs (see tab-sync.js).
+   */
+  setupTabSync() {
+    if (this.syncListenerAttached) {return;}
+    this.syncListenerAttached = true;
+    window.addEventListener('storageSynced', (event) => {
+      const { key, conflicts } = event.detail;
+      if (key === config.get('storage.keys.priceTier', 'priceTier')) {
+        this.setupPriceTierSelector();
+      }
+      if (key !== config.get('storage.keys.selectedProducts', 'selectedProducts') &&
+        key !== config.get('storage.keys.customRooms', 'customRooms')) {return;}
+      this.mergeStoredRows();
+      if (conflicts.length) {this.showSyncConflicts(conflicts);}
+    });
+  }
+
+  /**
+   * Brings the grid in line with the stored selection without a full reload: rows keep
+   * their place and focus, and empty rows being typed into stay.
+   */
+  mergeStoredRows() {
+    const items = new Map(StorageManager.getSelectedProducts().map(item => [item.id, item]));
+    const rows = [];
+    this.gridRows.forEach(row => {
+      if (!row.storageId) {
+        rows.push(row);
+        return;
+      }
+      const item = items.get(row.storageId);
+      if (item) {
+        rows.push(this.createRowFromItem(item, row.id));
+        items.delete(row.storageId);
+      }
+    });
+    items.forEach(item => rows.push(this.createRowFromItem(item)));
+    this.gridRows = rows;
+
+    const sortSelect = document.getElementById('sort-by');
+    this.sortGridRows(sortSelect ? sortSelect.value : 'room');
+    this.ensureAtLeastOneEmptyRow();
+    this.renderGridPreservingInput();
+    this.updateAllRoomDropdowns();
+    this.updateTotals();
+  }
+
+  /**
+   * Tells the user their edit to a line was replaced by a later edit in another tab,
+   * with the option to put theirs back.
+   * @param {Array<{id: string, mine: Object|null, theirs: Object|null}>} conflicts
+   */
+  showSyncConflicts(conflicts) {
+    const names = conflicts.map(conflict => {
+      const product = (conflict.mine || conflict.theirs).product || {};
+      return Utils.escapeHtml(product.OrderCode || product.Description || 'A line');
+    });
+    const keepMine = () => {
+      const mine = new Map(conflicts.map(conflict => [conflict.id, conflict.mine]));
+      const items = StorageManager.getSelectedProducts()
+        .map(item => (mine.has(item.id) ? mine.get(item.id) : item))
+        .filter(Boolean);
+      mine.forEach((item, id) => {
+        if (item && !items.some(existing => existing.id === id)) {items.push(item);}
+      });
+      StorageManager.setSelectedProducts(items, 'Keep my change');
+      this.mergeStoredRows();
+    };
+    this.showNoticeBanner('sync-conflict-banner', {
+      title: 'Changed in another tab',
+      text: `${names.join(', ')} ${names.length === 1 ? 'was' : 'were'} also edited in another tab; that change was kept.`,
+      actions: [{ label: 'Keep mine', onClick: keepMine }, { label: 'Dismiss' }]
+    });
+  }
+
+  /**
+   * Shows a warning banner at the bottom of the page (one per id). Every action closes it.
+   * The title and text are HTML: escape stored values with Utils.escapeHtml.
+   * @param {string} id - Element id; a banner with the same id is replaced
+   * @param {{title: string, text: string, actions: Array<{label: string, onClick?: Function}>}} notice - The first action is the main one
+   */
+  showNoticeBanner(id, { title, text, actions }) {
+    document.getElementById(id)?.remove();
+
+    const banner = document.createElement('div');
+    banner.id = id;
+    banner.style.cssText = `
+      position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: 9998;
+      background: #fffbeb; border: 1px solid #d97706; border-radius: 8px;
+      padding: 10px 16px; box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      font-size: 14px; line-height: 1.4; display: flex; align-items: center; gap: 12px;
+    `;
+    banner.innerHTML = `
+      <span style="font-size: 18px;">⚠️</span>
+      <div>
+        <strong style="color: #92400e;">${title}</strong>
+        <div style="color: #b45309; font-size: 13px;">${text}</div>
+      </div>
+      ${actions.map((action, i) => `
+        <button data-action="${i}" style="
+          padding: 4px 10px; border: ${i === 0 ? 'none' : '1px solid #d97706'}; background: ${i === 0 ? '#d97706' : 'transparent'};
+          color: ${i === 0 ? 'white' : '#d97706'}; border-radius: 3px; cursor: pointer; font-size: 12px;
+        ">${action.label}</button>
+      `).join('')}
+    `;
+
+    actions.forEach((action, i) => {
+      banner.querySelector(`[data-action="${i}"]`).onclick = () => {
+        banner.remove();
+        if (action.onClick) {action.onClick();}
+      };
+    });
+
+    document.body.appendChild(banner);
+  }
+
+  /**
+   * Warns when storage is nearly full or a save failed for lack of space, with a link
+   * to the storage section of settings.
+   */
+  setupStorageWarnings() {
+    if (this.storageListenerAttached) {return;}
+    this.storageListenerAttached = true;
+    const manage = { label: 'Manage storage', onClick: () => this.showSettingsModal('storage-settings') };
+    window.addEventListener('storageLow', (event) => {
+      const { percent, used, quota } = event.detail;
+      this.showNoticeBanner('storage-warning-banner', {
+        title: `Storage is ${percent}% full`,
+        text: `${formatBytes(used)} of ${formatBytes(quota)} used. Free up space before saves start to fail.`,
+        actions: [manage, { label: 'Later' }]
+      });
+    });
+    window.addEventListener('storageQuotaExceeded', (event) => {
+      this.showNoticeBanner('storage-warning-banner', {
+        title: 'Storage is full',
+        text: `${Utils.escapeHtml(event.detail.key)} could not be saved. Free up space, then try again.`,
+        actions: [manage, { label: 'Dismiss' }]
+      });
+    });
+  }
+
+  /**
+   * Undo/redo from the keyboard while the grid is open. Text fields outside the grid
+   * rows (and the search box) keep the browser's own undo.
+   * @param {KeyboardEvent} e
+   */
+  handleUndoKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) {return;}
+    const key = e.key.toLowerCase();
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    const isUndo = key === 'z' && !e.shiftKey;
+    if (!isUndo && !isRedo) {return;}
+
+    if ([...document.querySelectorAll('.modal')].some(modal => modal.style.display === 'flex')) {return;}
+    const target = e.target;
+    const editable = target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    if (editable && (!target.closest('.grid-row') || target.classList.contains('grid-search-input'))) {return;}
+
+    e.preventDefault();
+    if (isRedo) {
+      selectionHistory.redo();
+    } else {
+      selectionHistory.undo();
+    }
+  }
+
+  /**
+   * Enables the Undo/Redo buttons and names the step they would change.
+   */
+  updateUndoButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) {
+      undoBtn.disabled = !selectionHistory.canUndo();
+      undoBtn.title = undoBtn.disabled ? 'Nothing to undo' : `Undo ${selectionHistory.getUndoLabel()} (Ctrl+Z)`;
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !selectionHistory.canRedo();
+      redoBtn.title = redoBtn.disabled ? 'Nothing to redo' : `Redo ${selectionHistory.getRedoLabel()} (Ctrl+Shift+Z)`;
+    }
+  }
+
+  /**
+   * Rebuilds the grid from the project that was just opened.
+   */
+  reloadProject() {
+    this.currentSearchRow = null;
+    this.lastScanRoom = null;
+    this.hideAllDropdowns();
+    this.loadExistingProducts();
+    this.updateAllRoomDropdowns();
+    this.setupPriceTierSelector();
+    this.ensureAtLeastOneEmptyRow();
+    this.handleSortChange();
+    this.updateTotals();
+    this.updateProjectName();
+    this.renderProjectList();
+    this.reviewSavedSelection();
+  }
+
+  /**
+   * Shows the active project's name in the grid header.
+   */
+  updateProjectName() {
+    const label = document.getElementById('current-project-name');
+    const project = projectManager.getActiveProject();
+    if (label) {
+      label.textContent = project ? `📁 ${project.name}` : '';
+    }
+  }
+
+  /**
+   * Shows the project list.
+   */
+  showProjectsModal() {
+    const modal = document.getElementById('projects-modal');
+    if (!modal) {return;}
+    // Refresh the active project's item count and customer in the list
+    projectManager.saveActive();
+    const search = document.getElementById('projects-search');
+    if (search) {search.value = '';}
+    modal.style.display = 'flex';
+    this.renderProjectList();
+    if (search) {search.focus();}
+  }
+
+  /**
+   * Hides the project list.
+   */
+  hideProjectsModal() {
+    const modal = document.getElementById('projects-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Renders the project list with the current search, sort and archive filter.
+   */
+  renderProjectList() {
+    const modal = document.getElementById('projects-modal');
+    const list = document.getElementById('projects-list');
+    if (!modal || !list || modal.style.display === 'none') {return;}
+
+    const projects = projectManager.getProjects({
+      query: document.getElementById('projects-search')?.value || '',
+      sortBy: document.getElementById('projects-sort')?.value || 'modified',
+      includeArchived: !!document.getElementById('projects-show-archived')?.checked
+    });
+    const activeId = projectManager.getActiveProjectId();
+    if (!projects.length) {
+      list.innerHTML = '<p style="color: #666; text-align: center; padding: 24px 0;">No projects found.</p>';
+      return;
+    }
+
+    const buttonStyle = 'padding: 4px 10px; font-size: 0.85rem;';
+    list.innerHTML = projects.map(project => {
+      const active = project.id === activeId;
+      const modified = new Date(project.modifiedAt).toLocaleString('en-AU', { dateStyle: 'medium', timeStyle: 'short' });
+      return `
+      <div style="display: flex; align-items: center; gap: 12px; padding: 10px 8px; border-bottom: 1px solid #f3f4f6;${active ? ' background: #eff6ff;' : ''}${project.archived ? ' opacity: 0.6;' : ''}">
+        <div style="flex: 1; min-width: 0;">
+          <div><strong>${Utils.escapeHtml(project.name)}</strong>${active ? ' <span style="color: #2563eb; font-size: 0.8em;">● Open</span>' : ''}${project.archived ? ' <span style="color: #9ca3af; font-size: 0.8em;">Archived</span>' : ''}</div>
+          <div style="color: #666; font-size: 0.85em;">${project.customerName ? `${Utils.escapeHtml(project.customerName)} · ` : ''}${project.itemCount || 0} item${project.itemCount === 1 ? '' : 's'} · Modified ${modified}</div>
+        </div>
+        ${active ? '' : `<button type="button" class="primary-btn" data-project-action="open" data-project-id="${project.id}" style="${buttonStyle}">Open</button>`}
+        <button type="button" class="secondary-btn" data-project-action="rename" data-project-id="${project.id}" style="${buttonStyle}">Rename</button>
+        <button type="button" class="secondary-btn" data-project-action="duplicate" data-project-id="${project.id}" style="${buttonStyle}">Duplicate</button>
+        <button type="button" class="secondary-btn" data-project-action="save-file" data-project-id="${project.id}" style="${buttonStyle}" title="Save to a file to open on another device">Save File</button>
+        <button type="button" class="secondary-btn" data-project-action="${project.archived ? 'restore' : 'archive'}" data-project-id="${project.id}" style="${buttonStyle}">${project.archived ? 'Restore' : 'Archive'}</button>
+      </div>`;
+    }).join('');
+  }
+
+  /**
+   * Handles the buttons of a project in the project list.
+   * @param {MouseEvent} e
+   */
+  handleProjectAction(e) {
+    const btn = e.target.closest('[data-project-action]');
+    if (!btn) {return;}
+    const id = btn.dataset.projectId;
+    const project = projectManager.getProject(id);
+    if (!project) {return;}
+
+    switch (btn.dataset.projectAction) {
+    case 'open':
+      if (projectManager.switchTo(id)) {this.hideProjectsModal();}
+      break;
+    case 'rename': {
+      const name = prompt('Rename project:', project.name);
+      if (name && name.trim()) {projectManager.rename(id, name);}
+      break;
+    }
+    case 'duplicate':
+      projectManager.duplicate(id);
+      break;
+    case 'save-file':
+      projectBundle.save(id).catch(error => {
+        console.error('Project file save failed:', error);
+        alert(`Could not save a file for ${project.name}: ${error.message}`);
+      });
+      break;
+    case 'archive':
+      if (confirm(`Archive "${project.name}"? It can be restored from the project list.`)) {
+        projectManager.setArchived(id, true);
+      }
+      break;
+    case 'restore':
+      projectManager.setArchived(id, false);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Wires the quote revision browser.
+   */
+  setupRevisions() {
+    const revisionsBtn = document.getElementById('revisions-btn');
+    const closeBtn = document.getElementById('revisions-close');
+    const from = document.getElementById('revisions-from');
+    const to = document.getElementById('revisions-to');
+    if (revisionsBtn) {revisionsBtn.onclick = () => this.showRevisionsModal();}
+    if (closeBtn) {closeBtn.onclick = () => this.hideRevisionsModal();}
+    if (from) {from.onchange = () => this.renderRevisionDiff();}
+    if (to) {to.onchange = () => this.renderRevisionDiff();}
+  }
+
+  /**
+   * Shows the revisions of the open project, comparing the latest with the current selection.
+   */
+  showRevisionsModal() {
+    const modal = document.getElementById('revisions-modal');
+    const list = document.getElementById('revisions-list');
+    const from = document.getElementById('revisions-from');
+    const to = document.getElementById('revisions-to');
+    if (!modal || !list || !from || !to) {return;}
+
+    const revisions = revisionManager.getRevisions().slice().reverse();
+    if (!revisions.length) {
+      list.innerHTML = '<p style="color: #666; text-align: center; padding: 24px 0;">No revisions yet. One is saved each time you create a PDF.</p>';
+    } else {
+      list.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+          <thead><tr style="text-align: left; color: #666; border-bottom: 1px solid #e5e7eb;">
+            <th style="padding: 6px;">Revision</th><th style="padding: 6px;">Created</th><th style="padding: 6px;">Customer</th>
+            <th style="padding: 6px; text-align: right;">Lines</th><th style="padding: 6px; text-align: right;">Total ex GST</th>
+          </tr></thead>
+          <tbody>${revisions.map(revision => `
+            <tr style="border-bottom: 1px solid #f3f4f6;">
+              <td style="padding: 6px;"><strong>${revision.number}</strong></td>
+              <td style="padding: 6px;">${this.formatRevisionDate(revision, true)}</td>
+              <td style="padding: 6px;">${Utils.escapeHtml(revision.customerName)}</td>
+              <td style="padding: 6px; text-align: right;">${revision.lines.length}</td>
+              <td style="padding: 6px; text-align: right;">${Utils.formatPrice(revision.total) || '$0.00'}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+    }
+
+    const options = revisions.map(revision => `<option value="${revision.number}">Revision ${revision.number} (${this.formatRevisionDate(revision)})</option>`).join('');
+    from.innerHTML = options;
+    to.innerHTML = `<option value="">Current selection</option>${options}`;
+    from.disabled = to.disabled = !revisions.length;
+    this.renderRevisionDiff();
+    modal.style.display = 'flex';
+  }
+
+  /**
+   * Hides the revision browser.
+   */
+  hideRevisionsModal() {
+    const modal = document.getElementById('revisions-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Shows what changed between the two revisions picked in the revision browser.
+   */
+  renderRevisionDiff() {
+    const output = document.getElementById('revisions-diff');
+    const fromNumber = Number(document.getElementById('revisions-from')?.value);
+    const toNumber = Number(document.getElementById('revisions-to')?.value) || null;
+    if (!output) {return;}
+    const diff = fromNumber ? revisionManager.compare(fromNumber, toNumber) : null;
+    if (!diff) {
+      output.innerHTML = '';
+      return;
+    }
+
+    const describe = line => `${Utils.escapeHtml(line.code)} ${Utils.escapeHtml(line.description)} · ${Utils.escapeHtml(line.room || 'No room')} · Qty ${line.quantity}${line.price !== null ? ` · ${Utils.formatPrice(line.price)} ea` : ''}`;
+    const section = (heading, items, color, format) => (items.length ? `
+      <h4 style="margin: 12px 0 6px 0; color: ${color};">${heading} (${items.length})</h4>
+      <ul style="margin: 0; padding-left: 20px; font-size: 0.9rem;">${items.map(item => `<li>${format(item)}</li>`).join('')}</ul>` : '');
+    const changed = ({ before, after, quantity, price, room }) => {
+      const moves = [];
+      if (quantity) {moves.push(`Qty ${before.quantity} → ${after.quantity}`);}
+      if (price) {moves.push(`Price ${Utils.formatPrice(before.price) || '-'} → ${Utils.formatPrice(after.price) || '-'}`);}
+      if (room) {moves.push(`Room ${Utils.escapeHtml(before.room || 'No room')} → ${Utils.escapeHtml(after.room || 'No room')}`);}
+      return `${Utils.escapeHtml(after.code)} ${Utils.escapeHtml(after.description)}: ${moves.join('; ')}`;
+    };
+    const deltaColor = diff.totalDelta > 0 ? '#15803d' : diff.totalDelta < 0 ? '#b91c1c' : '#666';
+    const sign = diff.totalDelta > 0 ? '+' : diff.totalDelta < 0 ? '-' : '';
+    const empty = !diff.added.length && !diff.removed.length && !diff.changed.length;
+
+    output.innerHTML = `
+      ${empty ? '<p style="color: #666;">No products were added, removed or changed.</p>' : ''}
+      ${section('Added', diff.added, '#15803d', describe)}
+      ${section('Removed', diff.removed, '#b91c1c', describe)}
+      ${section('Changed', diff.changed, '#1d4ed8', changed)}
+      <p style="margin-top: 14px; font-weight: 600;">
+        Total ex GST: ${Utils.formatPrice(diff.totalBefore) || '$0.00'} → ${Utils.formatPrice(diff.totalAfter) || '$0.00'}
+        <span style="color: ${deltaColor};">(${sign}${Utils.formatPrice(Math.abs(diff.totalDelta)) || '$0.00'})</span>
+      </p>`;
+  }
+
+  /**
+   * @param {Object} revision
+   * @param {boolean} [withTime=false]
+   * @returns {string}
+   */
+  formatRevisionDate(revision, withTime = false) {
+    return new Date(revision.createdAt).toLocaleString('en-AU', withTime ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' });
+  }
+
+  /**
+   * Opens a project file (.zip or .json) as a new project.
+   * @param {File} file
+   */
+  async openProjectFile(file) {
+    try {
+      const result = await projectBundle.open(file);
+      this.hideProjectsModal();
+      const current = StorageManager.getUserSettings();
+      const staff = result.staff;
+      if (staff && staff.staffName && staff.staffName !== current.staffName &&
+        confirm(`"${result.name}" was saved by ${staff.staffName}. Use their contact details on your PDFs?`)) {
+        StorageManager.saveUserSettings({ ...current, ...staff });
+      }
+    } catch (error) {
+      console.error('Project file open failed:', error);
+      alert(`Could not open ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shows the compare tray and keeps the grid's compare buttons in step with it (once per page).
+   */
+  setupCompareTray() {
+    compareTray.mount();
+    if (this.compareListenerAttached) {return;}
+    this.compareListenerAttached = true;
+    window.addEventListener('compareTrayChanged', (event) => {
+      const codes = event.detail.codes;
+      document.querySelectorAll('.grid-compare-btn').forEach(btn => {
+        btn.classList.toggle('in-compare', codes.includes(btn.dataset.code));
+      });
+    });
+  }
+
+  /**
+   * Re-resolves every product row against the live catalog without reloading the page.
+   * Prices are not changed here: the reconciliation review lists changed prices for the
+   * user to accept.
+   * @returns {number} Number of rows that were updated
+   */
+  refreshProductsFromCatalog() {
+    // Prices and release notes stay as saved; the reconciliation review offers the new ones
+    const keptFields = ['RRP_EX', 'RRP_INCGST', 'Release Note', ...priceTiers.getTiers().flatMap(tier => tier.columns || [])];
+    const merge = (saved, latest) => {
+      const merged = { ...saved, ...latest };
+      keptFields.forEach(field => {
+        if (field in saved) {
+          merged[field] = saved[field];
+        } else {
+          delete merged[field];
+        }
+      });
+      return merged;
+    };
+    const resolve = product => {
+      const code = product?.OrderCode;
+      return code ? dataLayer.findProductByCode(String(code)) : null;
+    };
+
+    let updated = 0;
+    this.gridRows.forEach(row => {
+      const latest = resolve(row.product);
+      if (!latest) {return;}
+      row.product = { ...merge(row.product, latest), UserEditedPrice: row.price };
+      updated++;
+    });
+
+    const selectedProducts = StorageManager.getSelectedProducts();
+    selectedProducts.forEach(item => {
+      const latest = resolve(item.product);
+      if (!latest) {return;}
+      item.product = { ...merge(item.product, latest), UserEditedPrice: item.product.UserEditedPrice };
+    });
+    StorageManager.setSelectedProducts(selectedProducts, 'Update from catalog');
+
+    this.searchCache.clear();
+    this.renderGridPreservingInput();
+    this.updateTotals();
+    console.log(`🔄 Re-resolved ${updated} grid rows against the refreshed catalog`);
+    selectionReconciler.review('load');
+    return updated;
+  }
+
+  /**
+   * Re-renders the grid while keeping half-typed search text and the focused field.
+   */
+  renderGridPreservingInput() {
+    const pending = new Map();
+    document.querySelectorAll('.grid-row[data-row-id] .grid-search-input').forEach(input => {
+      if (input.value) {
+        pending.set(input.closest('.grid-row').dataset.rowId, input.value);
+      }
+    });
+    const active = document.activeElement;
+    const focusedRowId = active?.closest?.('.grid-row[data-row-id]')?.dataset.rowId || null;
+    const focusedSelector = active?.classList.contains('grid-search-input') ? '.grid-search-input'
+      : (active?.name ? `[name="${active.name}"]` : null);
+
+    this.renderGrid();
+
+    pending.forEach((value, rowId) => {
+      const input = document.querySelector(`[data-row-id="${rowId}"] .grid-search-input`);
+      if (input) {input.value = value;}
+    });
+    if (focusedRowId && focusedSelector) {
+      document.querySelector(`[data-row-id="${focusedRowId}"] ${focusedSelector}`)?.focus();
+    }
+  }
+
   /**
    * Adds an empty row to the grid for new product entry.
    */
@@ -552,25 +1462,16 @@ export class ProductGridManager {
       });
     }
 
-    const allProducts = dataLayer.getAllProducts();
-    const searchTerm = query.toLowerCase();
-
-    return allProducts.filter(product => {
-      const orderCode = (product.OrderCode || product.Code || '').toString().toLowerCase();
-      const description = (product.Description || product.ProductName || product['Product Name'] || '').toLowerCase();
-      const longDescription = (product.LongDescription || '').toLowerCase();
-
-      return orderCode.includes(searchTerm) ||
-             description.includes(searchTerm) ||
-             longDescription.includes(searchTerm);
-    }); // Removed .slice(0, 10) to show all results
+    // Ranked results (codes first, then names, then descriptions); no limit so all matches show
+    return dataLayer.searchProductsAsync(query);
   }
 
   showSearchResults(searchInput, products, query) {
     this.dropdownManager.showDropdown(
       searchInput,
       products,
-      (product) => this.selectProduct(searchInput, product)
+      (product) => this.selectProduct(searchInput, product),
+      (product) => compareTray.toggle(product)
     );
   }
 
@@ -598,39 +1499,84 @@ export class ProductGridManager {
 
     if (!row) {return;}
 
-    // Update row data
-    row.product = product;
-    // Set default price
-    // More comprehensive price fallback - check all possible field names
-    const defaultPrice = product.RRP_EX || 
-                         product['RRP EX GST'] || 
-                         product['RRP_EX'] ||
-                         product.RRP_EXGST || 
-                         product.rrpExGst || 
-                         product['RRP_INCGST'] ||  // fallback to inc GST if ex GST not available
-                         product.RRP_INCGST ||
-                         product['RRP INC GST'] ||
-                         product.rrpIncGst ||
-                         '';
-    row.price = defaultPrice;
-
     // Update the price input field in the DOM immediately
     const priceInput = rowElement.querySelector('input[name="price"]');
     if (priceInput) {
-      priceInput.value = defaultPrice;
+      priceInput.value = this.getDefaultPrice(product);
     }
 
-    // Clear search input
-    searchInput.value = '';
+    // Clear search input
+    searchInput.value = '';
+
+    this.fillRow(row, product);
+  }
+
+  /**
+   * Puts a product into an empty row, saves it and moves on to the next row.
+   * @param {Object} row
+   * @param {Object} product
+   */
+  fillRow(row, product) {
+    // Update row data
+    row.product = product;
+    // Set default price
+    row.price = this.getDefaultPrice(product);
+
+    // Render the grid to show product details
+    this.renderGrid();
+
+    // Save to storage
+    this.saveRowToStorage(row);
+
+    // Focus next row or create new row
+    this.focusNextRowOrCreate(row.id);
+
+    // Offer matching accessories for the same room
+    recommendations.showFor(product, row.room, (suggestion, room) => this.addProductRow(suggestion, room, row.id));
+  }
+
+  /**
+   * Catalog price used when a product is first added to a row, in the project's price tier.
+   * @param {Object} product
+   * @returns {string}
+   */
+  getDefaultPrice(product) {
+    // Price for the project's tier (RRP ex GST for Retail), then inc GST if ex GST not available.
+    // Catalog cells can carry stray spaces, so blank values fall through.
+    const price = [priceTiers.getPrice(product), product.RRP_INCGST]
+      .map(value => (value ?? '').toString().trim())
+      .find(Boolean);
+    return price || '';
+  }
+
+  /**
+   * Adds a populated row (e.g. an accepted suggestion) after another row and saves it.
+   * @param {Object} product
+   * @param {string} room
+   * @param {string} [afterRowId] - Row to insert after; appended if not found
+   * @returns {Object} The new row
+   */
+  addProductRow(product, room, afterRowId = null) {
+    const row = {
+      id: `row_${this.nextRowId++}`,
+      product,
+      room: room || 'Blank',
+      quantity: 1,
+      price: this.getDefaultPrice(product),
+      notes: ''
+    };
 
-    // Render the grid to show product details
-    this.renderGrid();
+    const index = this.gridRows.findIndex(r => r.id === afterRowId);
+    if (index === -1) {
+      this.gridRows.push(row);
+    } else {
+      this.gridRows.splice(index + 1, 0, row);
+    }
 
-    // Save to storage
     this.saveRowToStorage(row);
-
-    // Focus next row or create new row
-    this.focusNextRowOrCreate(rowId);
+    this.renderGrid();
+    this.updateTotals();
+    return row;
   }
 
   /**
@@ -640,29 +1586,81 @@ export class ProductGridManager {
   saveRowToStorage(row) {
     if (!row.product) {return;}
 
-    const productData = {
+    const storageId = StorageManager.addProductToSelection(
+      this.buildStoredProduct(row),
+      row.notes,
+      row.room,
+      row.quantity
+    );
+
+    if (storageId) {
+      // addProductToSelection only reports success; the new entry is the last one
+      const entries = StorageManager.getSelectedProducts();
+      row.storageId = entries[entries.length - 1].id;
+      this.updateTotals();
+    }
+  }
+
+  /**
+   * Product data as stored in the selection for a row.
+   * @param {Object} row
+   * @returns {Object}
+   */
+  buildStoredProduct(row) {
+    return {
       ...row.product,
       // Ensure consistent field naming
-      OrderCode: row.product.OrderCode || row.product.Code || '',
+      OrderCode: row.product.OrderCode || '',
       Description: row.product.Description || row.product.ProductName || row.product['Product Name'] || '',
       // Store user-edited price separately and preserve original RRP values
       UserEditedPrice: row.price, // User's grid price (always ex-GST)
-      RRP_EX: row.product.RRP_EX || row.product['RRP EX GST'] || row.product['RRP_EX'] || row.product.RRP_EXGST || row.product.rrpExGst || '0',
-      RRP_INCGST: row.product.RRP_INCGST || row.product['RRP INC GST'] || row.product.rrpIncGst || '0',
+      RRP_EX: row.product.RRP_EX || '0',
+      RRP_INCGST: row.product.RRP_INCGST || '0',
       Image_URL: row.product.Image_URL || row.product.imageUrl || row.product.Image || 'assets/no-image.png'
     };
+  }
 
-    const storageId = StorageManager.addProductToSelection(
-      productData,
-      row.notes,
-      row.room,
-      row.quantity
-    );
+  /**
+   * Swaps a row to the variant picked in its inline finish/size selectors.
+   * Rows still at the catalog price take the new variant's price; edited prices are kept.
+   * @param {HTMLSelectElement} select - The selector that changed
+   */
+  swapRowVariant(select) {
+    const rowElement = select.closest('.grid-row');
+    const row = this.gridRows.find(r => r.id === rowElement.dataset.rowId);
+    if (!row || !row.product) {return;}
+
+    const matrix = buildVariantMatrix(findVariants(row.product, dataLayer.products));
+    const selection = readVariantSelection(select.closest('.grid-variant-selectors'), matrix);
+    const selected = resolveVariant(matrix, selection, select.dataset.dimension);
+    if (!selected || selected.OrderCode === row.product.OrderCode) {
+      this.renderGrid();
+      return;
+    }
 
-    if (storageId) {
-      row.storageId = storageId;
-      this.updateTotals();
+    if (String(row.price) === String(this.getDefaultPrice(row.product))) {
+      row.price = this.getDefaultPrice(selected);
     }
+    row.product = selected;
+    if (row.storageId) {
+      StorageManager.updateProduct(row.storageId, this.buildStoredProduct(row));
+    }
+    this.renderGrid();
+    this.updateTotals();
+  }
+
+  /**
+   * Inline variant selectors for a row, or '' if the product has no variants.
+   * @param {Object} product
+   * @returns {string}
+   */
+  renderRowVariantSelectors(product) {
+    const variants = findVariants(product, dataLayer.products);
+    if (variants.length < 2) {return '';}
+    const matrix = buildVariantMatrix(variants);
+    const selection = selectionOf(matrix, product);
+    if (!Object.keys(selection).length) {return '';}
+    return `<div class="grid-variant-selectors">${renderVariantSelectors(matrix, selection, { className: 'grid-variant-select', compact: true })}</div>`;
   }
 
   /**
@@ -712,7 +1710,9 @@ export class ProductGridManager {
    */
   handleGridChange(event) {
     const target = event.target;
-    if (
+    if (target.classList.contains('grid-variant-select')) {
+      this.swapRowVariant(target);
+    } else if (
       target.classList.contains('grid-select') ||
       target.classList.contains('grid-input') ||
       target.classList.contains('grid-textarea')
@@ -728,7 +1728,12 @@ export class ProductGridManager {
   handleGridClick(event) {
     const target = event.target;
 
-    if (target.classList.contains('grid-remove-btn')) {
+    if (target.classList.contains('grid-compare-btn')) {
+      const row = this.gridRows.find(r => r.id === target.closest('.grid-row').dataset.rowId);
+      if (row && row.product) {
+        compareTray.toggle(row.product);
+      }
+    } else if (target.classList.contains('grid-remove-btn')) {
       const rowElement = target.closest('.grid-row');
       const rowId = rowElement.dataset.rowId;
       this.removeRow(rowId);
@@ -813,7 +1818,13 @@ export class ProductGridManager {
    * Handles focusin events in the grid (delegated).
    * @param {Event} event
    */
-  handleGridFocusIn(event) {}
+  handleGridFocusIn(event) {
+    // Remembered so a scanned product lands in the row (or room) being worked on
+    const rowElement = event.target.closest('.grid-row');
+    if (rowElement) {
+      this.currentSearchRow = rowElement.dataset.rowId;
+    }
+  }
 
   /**
    * Handles focusout events in the grid (delegated).
@@ -867,6 +1878,8 @@ export class ProductGridManager {
     // Move row
     const [movedRow] = this.gridRows.splice(fromIdx, 1);
     this.gridRows.splice(toIdx, 0, movedRow);
+    // Keep the new order in storage (and in the undo history)
+    StorageManager.reorderProducts(this.gridRows.filter(r => r.storageId).map(r => r.storageId));
     this.renderGrid();
   }
 
@@ -884,6 +1897,272 @@ export class ProductGridManager {
     this.hideGlobalDropdown();
   }
 
+  /**
+   * Wires the barcode scan modal.
+   */
+  setupScanModal() {
+    const cameraInput = document.getElementById('scan-camera-input');
+    const fileInput = document.getElementById('scan-file-input');
+    const takePhoto = document.getElementById('scan-take-photo');
+    const uploadPhoto = document.getElementById('scan-upload-photo');
+    const closeBtn = document.getElementById('scan-close');
+    const results = document.getElementById('scan-results');
+
+    if (takePhoto && cameraInput) {takePhoto.onclick = () => cameraInput.click();}
+    if (uploadPhoto && fileInput) {uploadPhoto.onclick = () => fileInput.click();}
+    [cameraInput, fileInput].filter(Boolean).forEach(input => {
+      input.onchange = () => {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (file) {this.scanBarcodeImage(file);}
+      };
+    });
+    if (closeBtn) {closeBtn.onclick = () => this.hideScanModal();}
+    if (results) {
+      results.onclick = (e) => {
+        const addBtn = e.target.closest('[data-scan-index]');
+        const result = addBtn && this.scanResults[Number(addBtn.dataset.scanIndex)];
+        if (result && result.product && !addBtn.disabled) {
+          this.placeScannedProduct(result.product);
+          addBtn.disabled = true;
+          addBtn.textContent = 'Added ✓';
+        }
+      };
+    }
+  }
+
+  /**
+   * Shows the barcode scan modal.
+   */
+  showScanModal() {
+    const modal = document.getElementById('scan-modal');
+    if (!modal) {return;}
+    this.scanResults = [];
+    document.getElementById('scan-status').textContent = '';
+    document.getElementById('scan-results').innerHTML = '';
+    modal.style.display = 'flex';
+  }
+
+  /**
+   * Hides the barcode scan modal.
+   */
+  hideScanModal() {
+    const modal = document.getElementById('scan-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Decodes a barcode photo. A single catalog match is added straight away; otherwise the
+   * codes found are listed so the right one can be picked.
+   * @param {File} file
+   */
+  async scanBarcodeImage(file) {
+    const status = document.getElementById('scan-status');
+    const list = document.getElementById('scan-results');
+    status.textContent = 'Reading barcode…';
+    list.innerHTML = '';
+
+    let results;
+    try {
+      results = await barcodeScanner.scanFile(file);
+    } catch (error) {
+      status.textContent = `⚠️ ${error.message}`;
+      return;
+    }
+    this.scanResults = results;
+
+    if (!results.length) {
+      status.textContent = 'No barcode found. Try again closer, with the barcode straight and in focus.';
+      return;
+    }
+    if (results.length === 1 && results[0].product) {
+      barcodeScanner.feedback(true);
+      this.placeScannedProduct(results[0].product);
+      this.hideScanModal();
+      return;
+    }
+
+    status.textContent = results.length === 1
+      ? `Barcode ${results[0].text} is not in the catalog.`
+      : `${results.length} barcodes found. Choose the product to add:`;
+    list.innerHTML = results.map((result, index) => `
+      <div style="display: flex; align-items: center; gap: 8px; padding: 8px 0; border-bottom: 1px solid #f3f4f6;">
+        <div style="flex: 1; min-width: 0;">
+          <div><strong>${Utils.escapeHtml(result.text)}</strong> <span style="color: #9ca3af; font-size: 0.85em;">${Utils.escapeHtml(result.format)}</span></div>
+          <div style="color: #666; font-size: 0.9em;">${result.product
+    ? `${Utils.escapeHtml(result.product.OrderCode || '')} ${Utils.escapeHtml(result.product.Description || '')}`
+    : 'Not in the catalog'}</div>
+        </div>
+        ${result.product ? `<button type="button" class="primary-btn" data-scan-index="${index}" style="padding: 6px 12px;">+ Add</button>` : ''}
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Adds a scanned or browsed product to the row being worked on: into it if empty, otherwise just
+   * after it in the same room. Without a current row the first empty row is used.
+   * @param {Object} product
+   */
+  placeScannedProduct(product) {
+    const current = this.gridRows.find(r => r.id === this.currentSearchRow);
+    if (current && current.product) {
+      this.addProductRow(product, current.room, current.id);
+      return;
+    }
+    const target = current || this.gridRows.find(r => !r.product);
+    if (target) {
+      this.fillRow(target, product);
+    } else {
+      this.addProductRow(product, 'Blank');
+    }
+  }
+
+  /**
+   * Wires the scan mode toggle and the page-wide listener for keyboard-wedge scanners.
+   */
+  setupScanMode() {
+    const btn = document.getElementById('scan-mode-btn');
+    if (btn) {
+      btn.onclick = () => this.setScanMode(!config.get('scanner.wedgeMode', false));
+    }
+    this.updateScanModeButton();
+    if (!this.wedgeListenerAttached) {
+      // Capture phase, so a burst is seen before the grid's own key handling
+      document.addEventListener('keydown', (e) => this.handleWedgeKeydown(e), true);
+      this.wedgeListenerAttached = true;
+    }
+  }
+
+  /**
+   * Turns scan mode on or off (remembered between visits).
+   * @param {boolean} enabled
+   */
+  setScanMode(enabled) {
+    config.set('scanner.wedgeMode', enabled);
+    this.wedgeBuffer = '';
+    this.updateScanModeButton();
+  }
+
+  /**
+   * Shows scan mode state, or briefly the result of the last scan.
+   * @param {string} [message] - Temporary label
+   * @param {boolean} [isError=false]
+   */
+  updateScanModeButton(message = '', isError = false) {
+    const btn = document.getElementById('scan-mode-btn');
+    if (!btn) {return;}
+    const enabled = config.get('scanner.wedgeMode', false);
+    clearTimeout(this.scanModeLabelTimeout);
+    btn.textContent = message || `⌨️ Scanner: ${enabled ? 'On' : 'Off'}`;
+    btn.classList.toggle('scan-mode-active', enabled && !isError);
+    btn.classList.toggle('scan-mode-error', isError);
+    if (message) {
+      this.scanModeLabelTimeout = setTimeout(() => this.updateScanModeButton(), 2000);
+    }
+  }
+
+  /**
+   * Collects keys typed faster than a person can type; Enter at the end of such a burst is
+   * a scan. Slower typing passes through untouched.
+   * @param {KeyboardEvent} event
+   */
+  handleWedgeKeydown(event) {
+    if (!config.get('scanner.wedgeMode', false) || event.ctrlKey || event.metaKey || event.altKey) {return;}
+    const now = event.timeStamp || Date.now();
+    const fast = now - this.wedgeLastKeyTime <= config.get('scanner.wedgeMaxKeyInterval', 50);
+    this.wedgeLastKeyTime = now;
+
+    if (event.key === 'Enter') {
+      const code = this.wedgeBuffer;
+      this.wedgeBuffer = '';
+      if (fast && code.length >= config.get('scanner.wedgeMinLength', 4)) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.removeTypedScan(event.target, code);
+        this.handleWedgeScan(code);
+      }
+      return;
+    }
+    // Shift and other modifiers keep the burst going without adding to it
+    if (event.key.length !== 1) {return;}
+    this.wedgeBuffer = fast ? this.wedgeBuffer + event.key : event.key;
+  }
+
+  /**
+   * Takes a scanned code back out of the field that had focus while it was typed.
+   * @param {EventTarget} target
+   * @param {string} code
+   */
+  removeTypedScan(target, code) {
+    if (!target || !('value' in target) || !String(target.value).endsWith(code)) {return;}
+    target.value = target.value.slice(0, -code.length);
+    if (target.classList.contains('grid-search-input')) {
+      clearTimeout(this.searchTimeout);
+      this.hideGlobalDropdown();
+    }
+    target.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Room scans go to: the current row's room, or the last scanned room while the cursor
+   * sits on a new, unassigned row.
+   * @returns {string}
+   */
+  getActiveRoom() {
+    const current = this.gridRows.find(r => r.id === this.currentSearchRow);
+    if (current && (current.product || current.room !== 'Blank')) {return current.room;}
+    return this.lastScanRoom || (current ? current.room : 'Blank');
+  }
+
+  /**
+   * Adds a product scanned with a keyboard-wedge scanner. Scanning a product already in the
+   * active room adds one to its quantity instead of a new line.
+   * @param {string} code - Barcode or order code
+   */
+  handleWedgeScan(code) {
+    const product = barcodeScanner.findProduct(code.trim());
+    if (!product) {
+      barcodeScanner.feedback(false);
+      this.updateScanModeButton(`✗ ${code} not found`, true);
+      return;
+    }
+
+    const room = this.getActiveRoom();
+    const existing = this.gridRows.find(r => r.product && r.room === room && r.product.OrderCode === product.OrderCode);
+    let row;
+    if (existing) {
+      existing.quantity = (parseInt(existing.quantity) || 0) + 1;
+      if (existing.storageId) {
+        StorageManager.updateProductQuantity(existing.storageId, existing.quantity);
+      }
+      this.renderGrid();
+      this.updateTotals();
+      row = existing;
+    } else {
+      const current = this.gridRows.find(r => r.id === this.currentSearchRow);
+      if (current && !current.product) {
+        current.room = room;
+        this.fillRow(current, product);
+        row = current;
+      } else {
+        row = this.addProductRow(product, room, current ? current.id : null);
+      }
+    }
+    this.lastScanRoom = room;
+
+    barcodeScanner.feedback(true);
+    this.updateScanModeButton(`✓ ${product.OrderCode}${existing ? ` ×${row.quantity}` : ''}`);
+    const rowElement = document.querySelector(`[data-row-id="${row.id}"]`);
+    if (rowElement) {
+      rowElement.classList.remove('scan-confirm');
+      // Restart the highlight animation
+      void rowElement.offsetWidth;
+      rowElement.classList.add('scan-confirm');
+    }
+  }
+
   /**
    * Shows the modal to confirm clearing all selections.
    */
@@ -906,8 +2185,9 @@ export class ProductGridManager {
 
   /**
    * Shows the settings modal.
+   * @param {string} [sectionId] - Section to scroll to (e.g. 'storage-settings')
    */
-  async showSettingsModal() {
+  async showSettingsModal(sectionId) {
     const modal = document.getElementById('settings-modal');
     if (modal) {
       modal.style.display = 'flex';
@@ -925,6 +2205,12 @@ export class ProductGridManager {
           if (staffEmailInput) {staffEmailInput.value = userSettings.staffEmail || '';}
           if (staffPhoneInput) {staffPhoneInput.value = userSettings.staffPhone || '';}
         }
+        this.loadSynonymSettings();
+        this.loadPriceTierSettings();
+        this.loadCatalogSourceSettings();
+        this.loadOfflineSettings();
+        this.loadStorageSettings();
+        if (sectionId) {document.getElementById(sectionId)?.scrollIntoView({ behavior: 'smooth' });}
         const versionSpan = document.getElementById('settings-version-info');
         if (versionSpan) {
           try {
@@ -942,8 +2228,22 @@ export class ProductGridManager {
         const refreshBtn = document.getElementById('refresh-catalog-btn');
         if (refreshBtn) {
           refreshBtn.onclick = () => {
-            localStorage.removeItem('productCatalogCsv');
-            window.location.reload();
+            // A refreshed catalog is already waiting: apply it in place
+            if (dataLayer.hasPendingCatalog()) {
+              dataLayer.applyPendingCatalog();
+              document.getElementById('catalog-update-banner')?.remove();
+              this.hideSettingsModal();
+              return;
+            }
+            persistentStore.removeItem('productCatalogCsv');
+            persistentStore.flush().then(() => window.location.reload());
+          };
+        }
+        const qualityBtn = document.getElementById('catalog-quality-btn');
+        if (qualityBtn) {
+          qualityBtn.onclick = () => {
+            this.hideSettingsModal();
+            this.showCatalogQualityReport();
           };
         }
         // Add manual refresh for PDF files
@@ -974,9 +2274,100 @@ export class ProductGridManager {
     }
   }
 
-  loadCustomerLogoPreview() {
+  /**
+   * Populates the synonym editor and wires up file loading and reset.
+   */
+  loadSynonymSettings() {
+    const textarea = document.getElementById('search-synonyms');
+    const fileInput = document.getElementById('search-synonyms-file');
+    const resetBtn = document.getElementById('search-synonyms-reset');
+    if (!textarea) {return;}
+
+    textarea.value = synonymDictionary.toText();
+
+    if (fileInput) {
+      fileInput.value = '';
+      fileInput.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) {return;}
+        try {
+          const groups = await synonymDictionary.readFile(file);
+          textarea.value = synonymDictionary.toText(groups);
+        } catch (error) {
+          console.error('Failed to read synonym file:', error);
+          alert(`Could not read synonym file: ${error.message}`);
+        }
+      };
+    }
+
+    if (resetBtn) {
+      resetBtn.onclick = () => {
+        textarea.value = synonymDictionary.toText(DEFAULT_SYNONYM_GROUPS);
+      };
+    }
+  }
+
+  /**
+   * Populates the catalog source selector and wires up catalog file upload.
+   */
+  loadCatalogSourceSettings() {
+    const select = document.getElementById('catalog-source');
+    const fileInput = document.getElementById('catalog-source-file');
+    const status = document.getElementById('catalog-source-status');
+    if (!select) {return;}
+
+    const environmentDefault = config.get('api.catalogSourceByEnvironment', {})[config.getEnvironment()];
+    const defaultLabel = catalogSources.get(environmentDefault)?.label || 'Google Sheets';
+    select.innerHTML = [
+      `<option value="">Default for ${config.getEnvironment()} (${defaultLabel})</option>`,
+      ...catalogSources.list().map(source => `<option value="${source.type}">${source.label}</option>`)
+    ].join('');
+    select.value = config.get('api.catalogSource', '');
+
+    const uploadSource = catalogSources.get(CatalogSourceType.UPLOAD);
+    const showStatus = () => {
+      if (status) {
+        const fileName = uploadSource.getFileName();
+        status.textContent = `Active: ${catalogSources.getActive().label}${fileName ? ` · Uploaded file: ${fileName}` : ''}`;
+      }
+    };
+    showStatus();
+
+    if (fileInput) {
+      fileInput.value = '';
+      fileInput.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) {return;}
+        try {
+          await uploadSource.storeFile(file);
+          select.value = CatalogSourceType.UPLOAD;
+          showStatus();
+        } catch (error) {
+          console.error('Failed to read catalog file:', error);
+          alert(`Could not read catalog file: ${error.message}`);
+        }
+      };
+    }
+  }
+
+  /**
+   * Switch the catalog source and load the catalog from it.
+   * @param {string} sourceType - CatalogSourceType value, or '' for the environment default
+   */
+  async applyCatalogSource(sourceType) {
+    config.set('api.catalogSource', sourceType);
+    try {
+      const diff = await dataLayer.reloadFromSource();
+      console.log(`✅ Catalog reloaded from ${catalogSources.getActive().label} (${diff.total} changes)`);
+    } catch (error) {
+      console.error('Failed to load catalog from new source:', error);
+      alert(`Could not load the catalog from ${catalogSources.getActive().label}: ${error.message}`);
+    }
+  }
+
+  async loadCustomerLogoPreview() {
     const preview = document.getElementById('customer-logo-preview');
-    const logoData = localStorage.getItem(CUSTOMER_LOGO_KEY);
+    const logoData = await persistentStore.getDataUrl(persistentStore.getItem(CUSTOMER_LOGO_KEY)).catch(() => null);
     if (preview) {
       preview.innerHTML = logoData ? `<img src="${logoData}" style="max-height:100px;max-width:180px;width:auto;height:auto;object-fit:contain;">` : '';
     }
@@ -986,19 +2377,20 @@ export class ProductGridManager {
     const upload = document.getElementById('customer-logo-upload');
     const clear = document.getElementById('customer-logo-clear');
     const preview = document.getElementById('customer-logo-preview');
-    upload.onchange = (e) => {
+    upload.onchange = async (e) => {
       const file = e.target.files[0];
       if (file) {
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-          localStorage.setItem(CUSTOMER_LOGO_KEY, ev.target.result);
-          if (preview) {preview.innerHTML = `<img src="${ev.target.result}" style="max-height:100px;max-width:180px;width:auto;height:auto;object-fit:contain;">`;}
-        };
-        reader.readAsDataURL(file);
+        try {
+          // Stored as a file; the setting keeps its id
+          persistentStore.setItem(CUSTOMER_LOGO_KEY, await persistentStore.putBlob(file));
+          this.loadCustomerLogoPreview();
+        } catch (error) {
+          alert(`Could not save the logo: ${error.message}`);
+        }
       }
     };
     clear.onclick = () => {
-      localStorage.removeItem(CUSTOMER_LOGO_KEY);
+      persistentStore.removeItem(CUSTOMER_LOGO_KEY);
       if (preview) {preview.innerHTML = '';}
       if (upload) {upload.value = '';}
     };
@@ -1091,7 +2483,7 @@ export class ProductGridManager {
   }
 
   loadTipTailSelections() {
-    const settings = JSON.parse(localStorage.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
+    const settings = JSON.parse(persistentStore.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
     const tipSelect = document.getElementById('tip-pdf-select');
     const tailSelect = document.getElementById('tail-pdf-select');
     const tipUpload = document.getElementById('tip-pdf-upload');
@@ -1099,7 +2491,7 @@ export class ProductGridManager {
 
     // Handle tip selection
     if (tipSelect) {
-      if (settings.tipUpload) {
+      if (settings.tipUploadId || settings.tipUpload) {
         // Custom file uploaded - show "Custom file selected"
         tipSelect.innerHTML = '<option value="">Custom file selected</option>';
         tipSelect.value = '';
@@ -1115,7 +2507,7 @@ export class ProductGridManager {
 
     // Handle tail selection
     if (tailSelect) {
-      if (settings.tailUpload) {
+      if (settings.tailUploadId || settings.tailUpload) {
         // Custom file uploaded - show "Custom file selected"
         tailSelect.innerHTML = '<option value="">Custom file selected</option>';
         tailSelect.value = '';
@@ -1141,69 +2533,57 @@ export class ProductGridManager {
     const tailSelected = document.getElementById('tail-pdf-selected');
 
     tipSelect.onchange = () => {
-      this.saveTipTailSettings({ tipAsset: tipSelect.value, tipUpload: null, tipUploadName: '' });
+      this.saveTipTailSettings({ tipAsset: tipSelect.value, tipUpload: null, tipUploadId: null, tipUploadName: '' });
       if (tipSelected) {tipSelected.textContent = '';}
     };
     tailSelect.onchange = () => {
-      this.saveTipTailSettings({ tailAsset: tailSelect.value, tailUpload: null, tailUploadName: '' });
+      this.saveTipTailSettings({ tailAsset: tailSelect.value, tailUpload: null, tailUploadId: null, tailUploadName: '' });
       if (tailSelected) {tailSelected.textContent = '';}
     };
-    tipUpload.onchange = (e) => {
+    tipUpload.onchange = async (e) => {
       const file = e.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-          // Convert ArrayBuffer to base64 string for localStorage storage
-          const arrayBuffer = ev.target.result;
-          const uint8Array = new Uint8Array(arrayBuffer);
-          let binaryString = '';
-          for (let i = 0; i < uint8Array.length; i++) {
-            binaryString += String.fromCharCode(uint8Array[i]);
-          }
-          const base64String = btoa(binaryString);
-          this.saveTipTailSettings({ tipAsset: '', tipUpload: base64String, tipUploadName: file.name });
-          if (tipSelect) {
-            tipSelect.value = '';
-            tipSelect.innerHTML = '<option value="">Custom file selected</option>';
-          }
-          // Make the file input filename bold blue
-          if (tipUpload) {
-            tipUpload.style.fontWeight = 'bold';
-            tipUpload.style.color = '#2563eb';
-          }
-        };
-        reader.readAsArrayBuffer(file);
+      if (!file) {return;}
+      try {
+        // Stored as a file; the settings keep its id
+        const fileId = await persistentStore.putBlob(file);
+        this.saveTipTailSettings({ tipAsset: '', tipUploadId: fileId, tipUpload: null, tipUploadName: file.name });
+      } catch (error) {
+        alert(`Could not save the tip PDF: ${error.message}`);
+        return;
+      }
+      if (tipSelect) {
+        tipSelect.value = '';
+        tipSelect.innerHTML = '<option value="">Custom file selected</option>';
+      }
+      // Make the file input filename bold blue
+      if (tipUpload) {
+        tipUpload.style.fontWeight = 'bold';
+        tipUpload.style.color = '#2563eb';
       }
     };
-    tailUpload.onchange = (e) => {
+    tailUpload.onchange = async (e) => {
       const file = e.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (ev) => {
-          // Convert ArrayBuffer to base64 string for localStorage storage
-          const arrayBuffer = ev.target.result;
-          const uint8Array = new Uint8Array(arrayBuffer);
-          let binaryString = '';
-          for (let i = 0; i < uint8Array.length; i++) {
-            binaryString += String.fromCharCode(uint8Array[i]);
-          }
-          const base64String = btoa(binaryString);
-          this.saveTipTailSettings({ tailAsset: '', tailUpload: base64String, tailUploadName: file.name });
-          if (tailSelect) {
-            tailSelect.value = '';
-            tailSelect.innerHTML = '<option value="">Custom file selected</option>';
-          }
-          // Make the file input filename bold blue
-          if (tailUpload) {
-            tailUpload.style.fontWeight = 'bold';
-            tailUpload.style.color = '#2563eb';
-          }
-        };
-        reader.readAsArrayBuffer(file);
+      if (!file) {return;}
+      try {
+        // Stored as a file; the settings keep its id
+        const fileId = await persistentStore.putBlob(file);
+        this.saveTipTailSettings({ tailAsset: '', tailUploadId: fileId, tailUpload: null, tailUploadName: file.name });
+      } catch (error) {
+        alert(`Could not save the tail PDF: ${error.message}`);
+        return;
+      }
+      if (tailSelect) {
+        tailSelect.value = '';
+        tailSelect.innerHTML = '<option value="">Custom file selected</option>';
+      }
+      // Make the file input filename bold blue
+      if (tailUpload) {
+        tailUpload.style.fontWeight = 'bold';
+        tailUpload.style.color = '#2563eb';
       }
     };
     tipClear.onclick = async () => {
-      this.saveTipTailSettings({ tipAsset: '', tipUpload: null, tipUploadName: '' });
+      this.saveTipTailSettings({ tipAsset: '', tipUpload: null, tipUploadId: null, tipUploadName: '' });
       if (tipSelect) {
         tipSelect.value = '';
         // Restore original dropdown options for tip only
@@ -1222,7 +2602,7 @@ export class ProductGridManager {
       }
     };
     tailClear.onclick = async () => {
-      this.saveTipTailSettings({ tailAsset: '', tailUpload: null, tailUploadName: '' });
+      this.saveTipTailSettings({ tailAsset: '', tailUpload: null, tailUploadId: null, tailUploadName: '' });
       if (tailSelect) {
         tailSelect.value = '';
         // Restore original dropdown options for tail only
@@ -1243,9 +2623,9 @@ export class ProductGridManager {
   }
 
   saveTipTailSettings(partial) {
-    const settings = JSON.parse(localStorage.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
+    const settings = JSON.parse(persistentStore.getItem(TIP_TAIL_STORAGE_KEY) || '{}');
     const newSettings = { ...settings, ...partial };
-    localStorage.setItem(TIP_TAIL_STORAGE_KEY, JSON.stringify(newSettings));
+    persistentStore.setItem(TIP_TAIL_STORAGE_KEY, JSON.stringify(newSettings));
   }
 
   /**
@@ -1258,6 +2638,29 @@ export class ProductGridManager {
     }
   }
 
+  /**
+   * Audits the loaded catalog and shows the data-quality report.
+   */
+  showCatalogQualityReport() {
+    const modal = document.getElementById('catalog-quality-modal');
+    if (!modal) {return;}
+
+    if (!this.qualityReport) {
+      this.qualityReport = new CatalogQualityReport(
+        document.getElementById('catalog-quality-report'),
+        () => dataLayer.getAllProducts(),
+        () => dataLayer.getParseReport()
+      );
+    }
+    this.qualityReport.refresh();
+    modal.style.display = 'flex';
+
+    const closeBtn = document.getElementById('catalog-quality-close');
+    if (closeBtn) {
+      closeBtn.onclick = () => {modal.style.display = 'none';};
+    }
+  }
+
   saveSettings() {
     const staffName = document.getElementById('staff-name')?.value || '';
     const staffPosition = document.getElementById('staff-position')?.value || '';
@@ -1274,6 +2677,26 @@ export class ProductGridManager {
     // Save to storage
     StorageManager.saveUserSettings(settings);
 
+    const synonymsInput = document.getElementById('search-synonyms');
+    if (synonymsInput) {
+      synonymDictionary.setGroups(synonymDictionary.parseText(synonymsInput.value));
+      this.searchCache.clear();
+    }
+
+    document.querySelectorAll('#price-tier-settings input[data-tier-id]').forEach(input => {
+      priceTiers.setTierDiscount(input.dataset.tierId, input.value);
+    });
+    const preselectTip = document.getElementById('price-tier-preselect-tip');
+    if (preselectTip) {
+      config.set('pricing.preselectTipPdf', preselectTip.checked);
+    }
+
+    const catalogSourceSelect = document.getElementById('catalog-source');
+    const uploadChosen = catalogSourceSelect?.value === CatalogSourceType.UPLOAD && document.getElementById('catalog-source-file')?.value;
+    if (catalogSourceSelect && (catalogSourceSelect.value !== config.get('api.catalogSource', '') || uploadChosen)) {
+      this.applyCatalogSource(catalogSourceSelect.value);
+    }
+
     // Hide the modal
     this.hideSettingsModal();
 
@@ -1393,29 +2816,37 @@ export class ProductGridManager {
     this.gridRows = [];
     this.nextRowId = 1;
     selectedProducts.forEach(item => {
-      const rowId = `row_${this.nextRowId++}`;
-      // Use the user-edited price if available, otherwise fallback to catalog price
-      let price = '';
-      if (item.product?.UserEditedPrice !== undefined && item.product?.UserEditedPrice !== null && item.product?.UserEditedPrice !== '') {
-        price = item.product.UserEditedPrice;
-      } else {
-        price = item.product?.RRP_EX || item.product?.['RRP EX GST'] || item.product?.['RRP_EX'] || item.product?.rrpExGst || item.product?.RRP_EXGST || item.product?.RRP_INCGST || item.product?.['RRP INC GST'] || '';
-      }
-      
-      const row = {
-        id: rowId,
-        product: item.product,
-        room: item.room || 'Blank',
-        quantity: item.quantity || 1,
-        price: price,
-        notes: item.notes || '',
-        storageId: item.id
-      };
-      this.gridRows.push(row);
+      this.gridRows.push(this.createRowFromItem(item));
     });
     this.renderGrid();
   }
 
+  /**
+   * Builds a grid row for a stored selection line.
+   * @param {Object} item - Stored line
+   * @param {string} [rowId] - Keeps an existing row's id
+   * @returns {Object}
+   */
+  createRowFromItem(item, rowId = `row_${this.nextRowId++}`) {
+    // Use the user-edited price if available, otherwise fallback to catalog price
+    let price = '';
+    if (item.product?.UserEditedPrice !== undefined && item.product?.UserEditedPrice !== null && item.product?.UserEditedPrice !== '') {
+      price = item.product.UserEditedPrice;
+    } else {
+      price = this.getDefaultPrice(item.product || {});
+    }
+
+    return {
+      id: rowId,
+      product: item.product,
+      room: item.room || 'Blank',
+      quantity: item.quantity || 1,
+      price: price,
+      notes: item.notes || '',
+      storageId: item.id
+    };
+  }
+
   /**
    * Renders the entire grid based on the current state.
    */
@@ -1483,11 +2914,11 @@ export class ProductGridManager {
     const product = row.product;
     const imageUrl = product ? (product.Image_URL || product.imageUrl || product.Image || 'assets/no-image.png') : 'assets/no-image.png';
     const productName = product ? (product.Description || product.ProductName || product['Product Name'] || '') : '';
-    const productCode = product ? (product.OrderCode || product.Code || '') : '';
+    const productCode = product ? (product.OrderCode || '') : '';
     // Ensure order code is shown as a plain integer (no decimals, no commas)
     const displayOrderCode = productCode ? String(parseInt(productCode, 10)) : '';
     // Show user-edited price first, then fallback to product's catalog price
-    const displayPrice = row.price || (product ? (product.RRP_EX || product['RRP EX GST'] || product['RRP_EX'] || product.rrpExGst || product.RRP_EXGST || product.RRP_INCGST || product['RRP INC GST'] || '') : '');
+    const displayPrice = row.price || (product ? (product.RRP_EX || product.RRP_INCGST || '') : '');
 
     // Calculate total price
     const unitPrice = parseFloat((displayPrice || '').toString().replace(/,/g, '')) || 0;
@@ -1508,6 +2939,7 @@ export class ProductGridManager {
               <div class="grid-product-name">
                 <strong>${Utils.sanitizeInput(displayOrderCode)}</strong> ${Utils.sanitizeInput(productName)}
               </div>
+              ${this.renderRowVariantSelectors(product)}
             </div>
           ` : `
             <input type="text" 
@@ -1538,6 +2970,7 @@ export class ProductGridManager {
             <button class="grid-move-btn grid-move-up" title="Move up" data-direction="up">↑</button>
             <button class="grid-move-btn grid-move-down" title="Move down" data-direction="down">↓</button>
             <div class="grid-drag-handle" title="Drag to reorder" draggable="true">⋮⋮</div>
+            ${product ? `<button class="grid-compare-btn${compareTray.has(product) ? ' in-compare' : ''}" title="Add to compare" data-code="${Utils.escapeHtml(productCode)}">⇄</button>` : ''}
             <button class="grid-remove-btn" title="Remove row">×</button>
           </div>
         </div>
@@ -1573,8 +3006,8 @@ export class ProductGridManager {
 
     case 'code':
       this.gridRows.sort((a, b) => {
-        const codeA = a.product ? (a.product.OrderCode || a.product.Code || '') : '';
-        const codeB = b.product ? (b.product.OrderCode || b.product.Code || '') : '';
+        const codeA = a.product ? (a.product.OrderCode || '') : '';
+        const codeB = b.product ? (b.product.OrderCode || '') : '';
         return codeA.localeCompare(codeB);
       });
       break;
@@ -1750,9 +3183,24 @@ export class ProductGridManager {
       await this.populateTipTailDropdowns();
       this.loadTipTailSelections();
       this.setupTipTailHandlers();
+      this.populateChangesSinceOptions();
     }
   }
 
+  /**
+   * Lists earlier revisions for the optional "Changes since revision N" PDF page.
+   */
+  populateChangesSinceOptions() {
+    const select = document.getElementById('pdf-changes-since');
+    if (!select) {return;}
+    const revisions = revisionManager.getRevisions().slice().reverse();
+    const options = revisions
+      .map(revision => `<option value="${revision.number}">Changes since revision ${revision.number} (${this.formatRevisionDate(revision)})</option>`)
+      .join('');
+    select.innerHTML = `<option value="">No changes page</option>${options}`;
+    select.disabled = !revisions.length;
+  }
+
   /**
    * Refreshes the grid UI and event listeners after major data changes (e.g., import).
    */
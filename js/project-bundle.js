@@ -0,0 +1,324 @@
+/**
+ * Project Bundle
+ * Saves a project to one self-contained file and opens it again, so a quote can move
+ * between devices. A bundle holds the selection, custom rooms, customer details
+ * (`pdfFormSettings`), price tier, customer logo, uploaded tip/tail PDFs, the staff
+ * contact details and a snapshot of the catalog rows the selection uses.
+ *
+ * Two file types:
+ * - `.zip`: `project.json` plus the files under `files/` (smaller; needs JSZip)
+ * - `.json`: everything in one JSON file, files inline as data URLs
+ *
+ * Bundles carry a format version and the storage schema version. Older bundles are
+ * migrated on open (see storage-schema.js); newer ones are refused.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { StorageManager } from './storage.js';
+import { dataLayer } from './modules.js';
+import { persistentStore, base64ToBlob, blobToDataUrl } from './persistent-store.js';
+import { projectManager, getProjectStorageKeys } from './projects.js';
+import { SCHEMA_VERSION, migrateValues } from './storage-schema.js';
+
+export const BUNDLE_FORMAT = 'seima-project';
+export const BUNDLE_VERSION = 1;
+
+const JSZIP_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
+const MANIFEST_NAME = 'project.json';
+const LOGO_KEY = 'customerLogo';
+const TIP_TAIL_KEY = 'tipTailSettings';
+const TIP_TAIL_PARTS = ['tip', 'tail'];
+
+/**
+ * @private
+ * @param {string|null} raw
+ * @returns {*}
+ */
+function parse(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean} True for a plain object (not null or an array)
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Saving and opening project files
+ * @class ProjectBundle
+ */
+export class ProjectBundle {
+  /**
+   * Build the bundle of a project (files as Blobs)
+   * @async
+   * @param {string} [projectId] - Defaults to the active project
+   * @returns {Promise<{manifest: Object, files: Map<string, Blob>}>}
+   */
+  async build(projectId = projectManager.getActiveProjectId()) {
+    const project = projectManager.getProject(projectId);
+    if (!project) {throw new Error('Project not found');}
+    const record = projectManager.getProjectData(projectId);
+    const files = new Map();
+    const fileInfo = {};
+
+    const addFile = async (ref, name, type) => {
+      if (!ref) {return null;}
+      const blob = ref.startsWith('data:') ? base64ToBlob(ref, type) : await persistentStore.getBlob(ref);
+      if (!blob) {return null;}
+      const id = `file${files.size + 1}`;
+      files.set(id, blob);
+      fileInfo[id] = { name: name || id, type: blob.type || type, size: blob.size };
+      return id;
+    };
+
+    const data = {};
+    getProjectStorageKeys()
+      .filter(key => key !== LOGO_KEY)
+      .forEach(key => {
+        data[key] = parse(record[key]);
+      });
+
+    const tipTail = data[TIP_TAIL_KEY];
+    if (tipTail) {
+      for (const part of TIP_TAIL_PARTS) {
+        const ref = tipTail[`${part}UploadId`] || tipTail[`${part}Upload`];
+        tipTail[`${part}UploadId`] = await addFile(ref, tipTail[`${part}UploadName`], 'application/pdf');
+        delete tipTail[`${part}Upload`];
+      }
+    }
+
+    const items = data[config.get('storage.keys.selectedProducts', 'selectedProducts')] || [];
+    const { staffName = '', staffPosition = '', staffEmail = '', staffPhone = '' } = StorageManager.getUserSettings();
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      bundleVersion: BUNDLE_VERSION,
+      schemaVersion: SCHEMA_VERSION,
+      appVersion: config.get('app.version'),
+      savedAt: new Date().toISOString(),
+      project: { name: project.name, customerName: project.customerName || '' },
+      data,
+      logo: await addFile(record[LOGO_KEY], 'logo', 'image/png'),
+      staff: { staffName, staffPosition, staffEmail, staffPhone },
+      catalog: this.snapshotCatalog(items),
+      files: fileInfo
+    };
+    return { manifest, files };
+  }
+
+  /**
+   * Current catalog rows of the products in the selection (the saved line when the
+   * product is no longer in the catalog)
+   * @private
+   * @param {Array<Object>} items
+   * @returns {Array<Object>}
+   */
+  snapshotCatalog(items) {
+    const byCode = new Map();
+    items.forEach(item => {
+      const code = item.product?.OrderCode;
+      if (!code || byCode.has(code)) {return;}
+      const current = dataLayer.isLoaded ? dataLayer.findProductByCode(code) : null;
+      const snapshot = { ...(current || item.product) };
+      delete snapshot.UserEditedPrice;
+      byCode.set(code, snapshot);
+    });
+    return [...byCode.values()];
+  }
+
+  /**
+   * Save a project to a file on this device
+   * @async
+   * @param {string} [projectId] - Defaults to the active project
+   * @returns {Promise<string>} File name
+   */
+  async save(projectId) {
+    const { manifest, files } = await this.build(projectId);
+    const baseName = (manifest.project.name.replace(/[^\w\- ]+/g, '').trim() || 'project').replace(/\s+/g, '-');
+
+    if (config.get('projects.fileFormat', 'zip') === 'zip') {
+      try {
+        const JSZip = await this.loadJsZip();
+        const zip = new JSZip();
+        zip.file(MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+        files.forEach((blob, id) => zip.file(`files/${id}`, blob));
+        const fileName = `${baseName}.seima.zip`;
+        Utils.downloadBlob(await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), fileName);
+        console.log(`💾 Project saved to ${fileName}`);
+        return fileName;
+      } catch (error) {
+        console.warn('⚠️ Could not create a .zip project file, saving as .json instead:', error);
+      }
+    }
+
+    for (const [id, blob] of files) {
+      manifest.files[id].data = await blobToDataUrl(blob);
+    }
+    const fileName = `${baseName}.seima.json`;
+    Utils.downloadBlob(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), fileName);
+    console.log(`💾 Project saved to ${fileName}`);
+    return fileName;
+  }
+
+  /**
+   * @private
+   * @async
+   * @returns {Promise<Function>} JSZip constructor
+   */
+  async loadJsZip() {
+    if (!window.JSZip) {
+      await Utils.loadScript(JSZIP_SCRIPT_URL);
+    }
+    return window.JSZip;
+  }
+
+  /**
+   * Read a project file into its manifest and files
+   * @async
+   * @param {File} file - `.zip` or `.json`
+   * @returns {Promise<{manifest: Object, files: Map<string, Blob>}>}
+   * @throws {Error} If the file is not a project file
+   */
+  async read(file) {
+    const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    const files = new Map();
+    let manifest;
+
+    if (head[0] === 0x50 && head[1] === 0x4b) { // "PK": a zip
+      const JSZip = await this.loadJsZip();
+      const zip = await JSZip.loadAsync(file);
+      const entry = zip.file(MANIFEST_NAME);
+      if (!entry) {throw new Error(`This .zip has no ${MANIFEST_NAME}, so it is not a project file`);}
+      manifest = parse(await entry.async('string'));
+      if (manifest && manifest.files) {
+        for (const [id, info] of Object.entries(manifest.files)) {
+          const content = zip.file(`files/${id}`);
+          if (content) {
+            files.set(id, new Blob([await content.async('arraybuffer')], { type: info.type || '' }));
+          }
+        }
+      }
+    } else {
+      manifest = parse(await file.text());
+      Object.entries((manifest && manifest.files) || {}).forEach(([id, info]) => {
+        if (info.data) {files.set(id, base64ToBlob(info.data, info.type));}
+      });
+    }
+
+    return { manifest: this.validate(manifest), files };
+  }
+
+  /**
+   * Check a manifest can be opened by this version of the app and has the expected shape.
+   * Selection exports from earlier versions (`{ selection: [...] }`) are accepted as a
+   * bundle with only lines.
+   * @param {Object|null} manifest
+   * @returns {Object} Manifest to open
+   * @throws {Error} With a message for the user
+   */
+  validate(manifest) {
+    const selectionKey = config.get('storage.keys.selectedProducts', 'selectedProducts');
+    if (isObject(manifest) && manifest.format !== BUNDLE_FORMAT && 'selection' in manifest) {
+      manifest = {
+        format: BUNDLE_FORMAT,
+        bundleVersion: BUNDLE_VERSION,
+        schemaVersion: 2,
+        project: { name: 'Imported selection' },
+        data: { [selectionKey]: manifest.selection },
+        catalog: [],
+        files: {}
+      };
+    }
+    if (!isObject(manifest) || manifest.format !== BUNDLE_FORMAT) {
+      throw new Error('This is not a Seima project file');
+    }
+    const newer = manifest.bundleVersion > BUNDLE_VERSION || manifest.schemaVersion > SCHEMA_VERSION;
+    if (newer) {
+      throw new Error(`This project file was saved by a newer version of the app (${manifest.appVersion || 'unknown'}). Update the app to open it.`);
+    }
+
+    const damaged = what => new Error(`This project file is damaged: ${what}. It cannot be opened.`);
+    const data = manifest.data ?? {};
+    if (!isObject(data)) {throw damaged('its project data is missing');}
+    const lines = data[selectionKey] ?? [];
+    if (!Array.isArray(lines)) {throw damaged('the selection is not a list of lines');}
+    if (!lines.every(line => isObject(line) && (line.product === undefined || isObject(line.product)))) {
+      throw damaged('some selection lines are not products');
+    }
+    if (data[TIP_TAIL_KEY] !== undefined && data[TIP_TAIL_KEY] !== null && !isObject(data[TIP_TAIL_KEY])) {
+      throw damaged('the tip/tail settings are unreadable');
+    }
+    if (manifest.catalog !== undefined && !(Array.isArray(manifest.catalog) && manifest.catalog.every(isObject))) {
+      throw damaged('the catalog snapshot is unreadable');
+    }
+    return manifest;
+  }
+
+  /**
+   * Open a project file as a new project and switch to it
+   * @async
+   * @param {File} file
+   * @returns {Promise<{projectId: string, name: string, itemCount: number, staff: Object|null}>}
+   * @throws {Error} If the file cannot be opened
+   */
+  async open(file) {
+    const { manifest, files } = await this.read(file);
+
+    // Files get new ids here; the ids in the bundle are only local to it
+    const fileIds = {};
+    for (const [id, blob] of files) {
+      fileIds[id] = await persistentStore.putBlob(blob);
+    }
+
+    const data = { ...manifest.data };
+    const tipTail = data[TIP_TAIL_KEY];
+    if (tipTail) {
+      TIP_TAIL_PARTS.forEach(part => {
+        tipTail[`${part}UploadId`] = fileIds[tipTail[`${part}UploadId`]] || null;
+      });
+    }
+
+    // Fill in catalog fields missing from lines saved by older versions
+    const selectionKey = config.get('storage.keys.selectedProducts', 'selectedProducts');
+    const catalog = new Map((manifest.catalog || []).map(product => [product.OrderCode, product]));
+    data[selectionKey] = (data[selectionKey] || []).map(item => ({
+      ...item,
+      product: { ...(catalog.get(item.product?.OrderCode) || {}), ...item.product }
+    }));
+
+    const raw = {};
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {raw[key] = JSON.stringify(value);}
+    });
+    if (fileIds[manifest.logo]) {raw[LOGO_KEY] = fileIds[manifest.logo];}
+
+    const { values } = migrateValues(raw, manifest.schemaVersion || 1);
+    Object.keys(values).forEach(key => {
+      if (values[key] === null) {delete values[key];}
+    });
+
+    const name = manifest.project?.name || file.name.replace(/\.seima\.(zip|json)$|\.(zip|json)$/i, '');
+    const projectId = projectManager.create(name, values);
+    if (!projectId) {throw new Error('Could not create a project for this file');}
+
+    const itemCount = parse(values[selectionKey])?.length || 0;
+    console.log(`📂 Opened project file "${file.name}" as "${name}" (${itemCount} lines)`);
+    return { projectId, name, itemCount, staff: manifest.staff || null };
+  }
+}
+
+// Global instance
+export const projectBundle = new ProjectBundle();
@@ -0,0 +1,424 @@
+/**
+ * Projects
+ * Keeps several named projects (one per customer or quote) instead of a single global
+ * selection. Each project has its own selection, custom rooms, customer details, logo,
+ * tip/tail choices, price tier and quote revisions.
+ *
+ * The active project lives in the usual storage keys, so the rest of the app reads and
+ * writes it as before. Switching saves those keys into the project's record
+ * (`project:<id>`) and loads the other project's keys in their place.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { persistentStore } from './persistent-store.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
+
+const PROJECT_DATA_PREFIX = 'project:';
+const NAME_MAX_LENGTH = 80;
+const PDF_FORM_KEY = 'pdfFormSettings';
+
+/**
+ * Storage keys that belong to a project
+ * @returns {string[]}
+ */
+export function getProjectStorageKeys() {
+  return [
+    config.get('storage.keys.selectedProducts', 'selectedProducts'),
+    config.get('storage.keys.customRooms', 'customRooms'),
+    PDF_FORM_KEY,
+    'customerLogo',
+    'tipTailSettings',
+    config.get('storage.keys.priceTier', 'priceTier'),
+    config.get('storage.keys.revisions', 'quoteRevisions')
+  ];
+}
+
+/**
+ * @private
+ * @param {string|null} raw
+ * @param {*} fallback
+ */
+function parse(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Project list and switching
+ * @class ProjectManager
+ */
+export class ProjectManager {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Create the project list on first use (the existing selection becomes the first
+   * project) and track changes to the active project
+   */
+  init() {
+    if (this.initialized) {return;}
+    this.initialized = true;
+
+    const projects = this.getIndex();
+    if (!projects.length || !this.getProject(this.getActiveProjectId())) {
+      const active = projects.find(project => !project.archived);
+      if (active) {
+        // Open it, so the live keys hold that project's data rather than a stale selection
+        this.setActiveProjectId(active.id);
+        this.writeLive(this.loadRecord(active.id));
+      } else {
+        const form = parse(persistentStore.getItem(PDF_FORM_KEY), {});
+        const entry = this.createEntry(form.project || 'My Project');
+        this.saveIndex([...projects, entry]);
+        this.setActiveProjectId(entry.id);
+        this.saveActive();
+        console.log(`📁 Current selection saved as project "${entry.name}"`);
+      }
+    }
+
+    window.addEventListener('selectionChanged', () => this.touch());
+  }
+
+  /**
+   * @private
+   * @returns {Array<Object>}
+   */
+  getIndex() {
+    return Utils.getStorageItem(config.get('storage.keys.projects', 'projects'), []);
+  }
+
+  /**
+   * @private
+   * @param {Array<Object>} projects
+   */
+  saveIndex(projects) {
+    Utils.setStorageItem(config.get('storage.keys.projects', 'projects'), projects);
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @param {Object} changes
+   */
+  updateEntry(id, changes) {
+    this.saveIndex(this.getIndex().map(project => (project.id === id ? { ...project, ...changes } : project)));
+  }
+
+  /**
+   * @private
+   * @param {string} name
+   * @returns {Object}
+   */
+  createEntry(name) {
+    const now = Date.now();
+    return {
+      id: Utils.generateId(),
+      name: Utils.sanitizeInput(name, NAME_MAX_LENGTH) || 'Untitled Project',
+      createdAt: now,
+      modifiedAt: now,
+      archived: false,
+      itemCount: 0,
+      customerName: ''
+    };
+  }
+
+  /**
+   * Projects for the project list
+   * @param {Object} [options]
+   * @param {string} [options.query] - Matches project or customer name
+   * @param {'modified'|'name'|'created'} [options.sortBy='modified']
+   * @param {boolean} [options.includeArchived=false]
+   * @returns {Array<{id: string, name: string, createdAt: number, modifiedAt: number, archived: boolean, itemCount: number, customerName: string}>}
+   */
+  getProjects({ query = '', sortBy = 'modified', includeArchived = false } = {}) {
+    const term = query.trim().toLowerCase();
+    const projects = this.getIndex().filter(project =>
+      (includeArchived || !project.archived) &&
+      (!term || `${project.name} ${project.customerName || ''}`.toLowerCase().includes(term)));
+
+    if (sortBy === 'name') {
+      return projects.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    const field = sortBy === 'created' ? 'createdAt' : 'modifiedAt';
+    return projects.sort((a, b) => (b[field] || 0) - (a[field] || 0));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getProject(id) {
+    return this.getIndex().find(project => project.id === id);
+  }
+
+  /**
+   * @returns {string|null}
+   */
+  getActiveProjectId() {
+    return persistentStore.getItem(config.get('storage.keys.activeProject', 'activeProjectId'));
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   */
+  setActiveProjectId(id) {
+    persistentStore.setItem(config.get('storage.keys.activeProject', 'activeProjectId'), id);
+  }
+
+  /**
+   * @returns {Object|undefined}
+   */
+  getActiveProject() {
+    return this.getProject(this.getActiveProjectId());
+  }
+
+  /**
+   * Raw values of the project keys as currently stored
+   * @private
+   * @returns {Object<string, string|null>}
+   */
+  readLive() {
+    const data = {};
+    getProjectStorageKeys().forEach(key => {
+      data[key] = persistentStore.getItem(key);
+    });
+    return data;
+  }
+
+  /**
+   * Put a project's values into the project keys
+   * @private
+   * @param {Object<string, string|null>} data
+   */
+  writeLive(data) {
+    getProjectStorageKeys().forEach(key => {
+      if (data[key] === undefined || data[key] === null) {
+        persistentStore.removeItem(key);
+      } else {
+        persistentStore.setItem(key, data[key]);
+      }
+    });
+  }
+
+  /**
+   * Item count and customer name shown in the project list
+   * @private
+   * @param {Object<string, string|null>} data
+   * @returns {{itemCount: number, customerName: string}}
+   */
+  summarize(data) {
+    const items = parse(data[config.get('storage.keys.selectedProducts', 'selectedProducts')], []);
+    const form = parse(data[PDF_FORM_KEY], {});
+    return {
+      itemCount: Array.isArray(items) ? items.length : 0,
+      customerName: form.name || ''
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @returns {Object<string, string|null>}
+   */
+  loadRecord(id) {
+    return parse(persistentStore.getItem(PROJECT_DATA_PREFIX + id), {});
+  }
+
+  /**
+   * @private
+   * @param {string} id
+   * @param {Object<string, string|null>} data
+   */
+  saveRecord(id, data) {
+    persistentStore.setItem(PROJECT_DATA_PREFIX + id, JSON.stringify(data));
+  }
+
+  /**
+   * Save the active project's keys into its record
+   * @returns {boolean} True if saved
+   */
+  saveActive() {
+    const id = this.getActiveProjectId();
+    if (!id || !this.getProject(id)) {return false;}
+    try {
+      const data = this.readLive();
+      this.saveRecord(id, data);
+      this.updateEntry(id, this.summarize(data));
+      return true;
+    } catch (error) {
+      errorHandler.handleError({
+        message: 'Could not save the current project',
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'project-save'
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Raw stored values of a project's keys (the active project is saved first)
+   * @param {string} id
+   * @returns {Object<string, string|null>}
+   */
+  getProjectData(id) {
+    if (id === this.getActiveProjectId()) {
+      this.saveActive();
+    }
+    return this.loadRecord(id);
+  }
+
+  /**
+   * Mark the active project as modified now
+   */
+  touch() {
+    const id = this.getActiveProjectId();
+    if (!id || !this.getProject(id)) {return;}
+    this.updateEntry(id, { ...this.summarize(this.readLive()), modifiedAt: Date.now() });
+  }
+
+  /**
+   * Make another project the active one
+   * @param {string} id
+   * @returns {boolean} True if switched
+   */
+  switchTo(id) {
+    const from = this.getActiveProjectId();
+    const project = this.getProject(id);
+    if (!project) {return false;}
+    if (id === from) {return true;}
+    if (from && !this.saveActive()) {return false;}
+
+    try {
+      this.writeLive(this.loadRecord(id));
+    } catch (error) {
+      // Put the previous project back rather than leave a mix of both
+      this.writeLive(this.loadRecord(from));
+      errorHandler.handleError({
+        message: `Could not open project ${project.name}`,
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'project-switch'
+      });
+      return false;
+    }
+    this.setActiveProjectId(id);
+    if (project.archived) {
+      this.updateEntry(id, { archived: false });
+    }
+
+    console.log(`📁 Switched to project "${project.name}"`);
+    window.dispatchEvent(new CustomEvent('projectChanged', { detail: { from, to: id } }));
+    return true;
+  }
+
+  /**
+   * Start a new project and switch to it
+   * @param {string} name
+   * @param {Object<string, string>} [data] - Raw values of the project keys (e.g. from a
+   *   project file); a new project is empty
+   * @returns {string|null} Id of the new project
+   */
+  create(name, data = null) {
+    const entry = this.createEntry(name);
+    if (data) {
+      Object.assign(entry, this.summarize(data));
+    } else {
+      data = { [PDF_FORM_KEY]: JSON.stringify({ project: entry.name }) };
+    }
+    try {
+      this.saveRecord(entry.id, data);
+    } catch (error) {
+      errorHandler.handleError({
+        message: 'Could not create project',
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'project-create'
+      });
+      return null;
+    }
+    this.saveIndex([...this.getIndex(), entry]);
+    return this.switchTo(entry.id) ? entry.id : null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} name
+   * @returns {boolean} True if renamed
+   */
+  rename(id, name) {
+    const clean = Utils.sanitizeInput(name, NAME_MAX_LENGTH);
+    if (!clean || !this.getProject(id)) {return false;}
+    this.updateEntry(id, { name: clean, modifiedAt: Date.now() });
+    window.dispatchEvent(new CustomEvent('projectsUpdated', { detail: { id } }));
+    return true;
+  }
+
+  /**
+   * Copy a project (for a variation of a quote). The copy is not opened.
+   * @param {string} id
+   * @returns {string|null} Id of the copy
+   */
+  duplicate(id) {
+    const source = this.getProject(id);
+    if (!source) {return null;}
+    if (id === this.getActiveProjectId()) {
+      this.saveActive();
+    }
+    const data = this.loadRecord(id);
+    const entry = {
+      ...this.createEntry(`${source.name} (copy)`),
+      ...this.summarize(data)
+    };
+    try {
+      this.saveRecord(entry.id, data);
+    } catch (error) {
+      errorHandler.handleError({
+        message: `Could not duplicate project ${source.name}`,
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'project-duplicate'
+      });
+      return null;
+    }
+    this.saveIndex([...this.getIndex(), entry]);
+    window.dispatchEvent(new CustomEvent('projectsUpdated', { detail: { id: entry.id } }));
+    return entry.id;
+  }
+
+  /**
+   * Archive or restore a project. Archiving the active project opens the most
+   * recently modified other project, or a new one if there is none.
+   * @param {string} id
+   * @param {boolean} archived
+   * @returns {boolean} True if changed
+   */
+  setArchived(id, archived) {
+    if (!this.getProject(id)) {return false;}
+    if (archived && id === this.getActiveProjectId()) {
+      const next = this.getProjects().find(project => project.id !== id);
+      const switched = next ? this.switchTo(next.id) : !!this.create('New Project');
+      if (!switched) {return false;}
+    }
+    this.updateEntry(id, { archived });
+    window.dispatchEvent(new CustomEvent('projectsUpdated', { detail: { id } }));
+    return true;
+  }
+}
+
+// Global instance
+export const projectManager = new ProjectManager();
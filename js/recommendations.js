@@ -0,0 +1,247 @@
+/**
+ * Related Product Suggestions
+ * Suggests accessories and companion products (wastes, spouts, rough-in bodies...) when a
+ * product is added to a selection, and offers one-click add into the same room.
+ *
+ * Suggestions come from two places:
+ * - the catalog: products in the same range (`Product Name`) but a different `Group`
+ * - an optional "goes with" mapping file (`api.goesWithUrl`), shaped like
+ *   `{ "codes": { "<OrderCode>": ["<OrderCode>", ...] }, "groups": { "<Group>": ["<Group>", ...] } }`
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { dataLayer } from './data-layer.js';
+import { StorageManager } from './storage.js';
+import { Utils } from './utils.js';
+
+const SCORE_MAPPED_CODE = 100;
+const SCORE_SAME_RANGE = 50;
+const SCORE_MAPPED_GROUP_SAME_RANGE = 40;
+const SCORE_MAPPED_GROUP = 10;
+
+// The mapping file (or its absence) is remembered for a day, so a missing file is not requested on every visit
+const MAPPING_CACHE_KEY = 'goesWithMapping';
+const MAPPING_CACHE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalise a catalog text value for comparison
+ * @private
+ */
+function normalize(value) {
+  return (value ?? '').toString().trim().toLowerCase();
+}
+
+/**
+ * @private
+ */
+function codeOf(product) {
+  return (product?.OrderCode || '').toString().trim();
+}
+
+/**
+ * @private
+ */
+function rangeOf(product) {
+  return normalize(product?.['Product Name'] || product?.ProductName);
+}
+
+/**
+ * Suggests related products
+ * @class RecommendationEngine
+ */
+export class RecommendationEngine {
+  constructor() {
+    this.mapping = { codes: {}, groups: {} };
+    this.mappingPromise = null;
+  }
+
+  /**
+   * Load the optional "goes with" mapping file once. A missing file is not an error.
+   * The result, including a missing file, is cached in storage for a day.
+   * @async
+   * @returns {Promise<{codes: Object, groups: Object}>}
+   */
+  loadMapping() {
+    if (!this.mappingPromise) {
+      this.mappingPromise = (async () => {
+        const url = config.get('api.goesWithUrl', 'goes-with.json');
+        if (!url) {return this.mapping;}
+        const cached = Utils.getStorageItem(MAPPING_CACHE_KEY, null);
+        if (cached && cached.url === url && Date.now() - cached.checkedAt < MAPPING_CACHE_MS) {
+          if (cached.mapping) {this.setMapping(cached.mapping);}
+          return this.mapping;
+        }
+        try {
+          const response = await fetch(url, { cache: 'no-cache' });
+          const mapping = response.ok ? await response.json() : null;
+          if (mapping) {
+            this.setMapping(mapping);
+            console.log('✅ Loaded "goes with" product mapping');
+          }
+          Utils.setStorageItem(MAPPING_CACHE_KEY, { url, checkedAt: Date.now(), mapping });
+        } catch (error) {
+          console.warn('⚠️ Could not load "goes with" mapping:', error.message);
+        }
+        return this.mapping;
+      })();
+    }
+    return this.mappingPromise;
+  }
+
+  /**
+   * Replace the mapping. Group names are matched case-insensitively.
+   * @param {{codes?: Object<string, string[]>, groups?: Object<string, string[]>}} mapping
+   */
+  setMapping(mapping = {}) {
+    const groups = {};
+    Object.entries(mapping.groups || {}).forEach(([group, related]) => {
+      groups[normalize(group)] = (related || []).map(normalize);
+    });
+    const codes = {};
+    Object.entries(mapping.codes || {}).forEach(([code, related]) => {
+      codes[code.trim()] = (related || []).map(c => c.toString().trim());
+    });
+    this.mapping = { codes, groups };
+  }
+
+  /**
+   * Related products for a product, best first
+   * @param {Object} product - Product just added
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.products] - Catalog to draw from (defaults to the loaded catalog)
+   * @param {Array<string>} [options.exclude] - Order codes to leave out (e.g. already in the room)
+   * @param {number} [options.limit] - Defaults to `ui.maxSuggestions`
+   * @returns {Array<{product: Object, score: number, reason: string}>}
+   */
+  suggest(product, { products = dataLayer.getAllProducts(), exclude = [], limit = config.get('ui.maxSuggestions', 5) } = {}) {
+    const code = codeOf(product);
+    const range = rangeOf(product);
+    const group = normalize(product?.Group);
+    const mappedCodes = new Set(this.mapping.codes[code] || []);
+    const mappedGroups = new Set(this.mapping.groups[group] || []);
+    const excluded = new Set([code, ...exclude.map(c => c.toString().trim())]);
+    const results = [];
+
+    products.forEach(candidate => {
+      const candidateCode = codeOf(candidate);
+      if (!candidateCode || excluded.has(candidateCode)) {return;}
+      const candidateGroup = normalize(candidate.Group);
+      const sameRange = !!range && rangeOf(candidate) === range;
+
+      let score = 0;
+      let reason = '';
+      if (mappedCodes.has(candidateCode)) {
+        score = SCORE_MAPPED_CODE;
+        reason = 'Goes with';
+      } else if (sameRange && candidateGroup !== group) {
+        // Same range in another group is a companion piece; same group would just be a variant
+        score = SCORE_SAME_RANGE + (mappedGroups.has(candidateGroup) ? SCORE_MAPPED_GROUP_SAME_RANGE : 0);
+        reason = 'Same range';
+      } else if (mappedGroups.has(candidateGroup)) {
+        score = SCORE_MAPPED_GROUP;
+        reason = candidate.Group;
+      }
+      if (score) {
+        results.push({ product: candidate, score, reason });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || (a.product.Description || '').localeCompare(b.product.Description || ''))
+      .slice(0, limit);
+  }
+
+  /**
+   * Order codes already selected in a room
+   * @param {string} room
+   * @returns {string[]}
+   */
+  getCodesInRoom(room) {
+    return StorageManager.getSelectedProducts()
+      .filter(item => (item.room || 'Blank') === (room || 'Blank'))
+      .map(item => codeOf(item.product));
+  }
+
+  /**
+   * Show suggestions for a newly added product
+   * @async
+   * @param {Object} product - Product just added
+   * @param {string} room - Room it was added to
+   * @param {Function} onAdd - Called with (product, room) when a suggestion is added
+   */
+  async showFor(product, room, onAdd) {
+    if (!config.get('ui.suggestionsEnabled', true) || !product) {return;}
+    await this.loadMapping();
+    const suggestions = this.suggest(product, { exclude: this.getCodesInRoom(room) });
+    if (suggestions.length) {
+      this.renderPanel(product, room, suggestions, onAdd);
+    } else {
+      this.hidePanel();
+    }
+  }
+
+  hidePanel() {
+    document.getElementById('suggestion-panel')?.remove();
+  }
+
+  /**
+   * @private
+   */
+  renderPanel(product, room, suggestions, onAdd) {
+    this.hidePanel();
+    const panel = document.createElement('div');
+    panel.id = 'suggestion-panel';
+    panel.style.cssText = `
+      position: fixed; top: 80px; right: 16px; z-index: 9996; width: 340px; max-width: calc(100vw - 32px);
+      max-height: calc(100vh - 160px); overflow-y: auto;
+      background: #fff; border: 1px solid #d1d5db; border-radius: 8px;
+      box-shadow: 0 10px 25px -5px rgba(0,0,0,0.15); font-size: 13px;
+    `;
+    const roomLabel = room && room !== 'Blank' ? room : 'the same room';
+    panel.innerHTML = `
+      <div style="display: flex; align-items: flex-start; gap: 8px; padding: 10px 12px; border-bottom: 1px solid #f3f4f6;">
+        <div style="flex: 1;">
+          <strong style="color: #1e3a8a;">Goes well with</strong>
+          <div style="color: #6b7280;">${Utils.escapeHtml(codeOf(product))} ${Utils.escapeHtml(product.Description || '')}</div>
+        </div>
+        <button type="button" data-action="dismiss" title="Dismiss" style="border: none; background: transparent; font-size: 18px; line-height: 1; color: #6b7280; cursor: pointer;">×</button>
+      </div>
+      ${suggestions.map(({ product: suggestion, reason }, index) => `
+        <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #f3f4f6;">
+          <img src="${Utils.escapeHtml(suggestion.Image_URL || 'assets/no-image.png')}" alt="" style="width: 40px; height: 40px; object-fit: contain;" onerror="this.src='assets/no-image.png';">
+          <div style="flex: 1; min-width: 0;">
+            <div><strong>${Utils.escapeHtml(codeOf(suggestion))}</strong> ${Utils.escapeHtml(suggestion.Description || '')}</div>
+            <div style="color: #9ca3af; font-size: 12px;">${Utils.escapeHtml(reason)}${suggestion.RRP_EX ? ` · $${Utils.escapeHtml(suggestion.RRP_EX)}` : ''}</div>
+          </div>
+          <button type="button" data-add="${index}" title="Add to ${Utils.escapeHtml(roomLabel)}" style="
+            padding: 4px 10px; border: none; background: #2563eb; color: white;
+            border-radius: 3px; cursor: pointer; font-size: 12px; white-space: nowrap;
+          ">+ Add</button>
+        </div>
+      `).join('')}
+    `;
+
+    panel.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="dismiss"]')) {
+        this.hidePanel();
+        return;
+      }
+      const addBtn = e.target.closest('[data-add]');
+      if (addBtn && !addBtn.disabled) {
+        onAdd(suggestions[Number(addBtn.dataset.add)].product, room);
+        addBtn.disabled = true;
+        addBtn.textContent = 'Added ✓';
+        addBtn.style.background = '#059669';
+      }
+    });
+
+    document.body.appendChild(panel);
+  }
+}
+
+// Global instance
+export const recommendations = new RecommendationEngine();
@@ -0,0 +1,202 @@
+/**
+ * Quote Revisions
+ * Every PDF generated saves a revision of the project: a numbered, read-only snapshot
+ * of the lines as they were quoted (code, description, room, quantity and the unit price
+ * used in the PDF). Any two revisions, or a revision and the current selection, can be
+ * compared to see what changed between meetings.
+ *
+ * Revisions belong to the project (see getProjectStorageKeys in projects.js). A PDF made
+ * without changes since the last one does not add a revision.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { StorageManager } from './storage.js';
+import { priceTiers } from './price-tiers.js';
+import { applyHistoricalProduct } from './catalog-history.js';
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') {return null;}
+  const num = parseFloat(value.toString().replace(/[^\d.-]/g, ''));
+  return isNaN(num) ? null : Math.round(num * 100) / 100;
+}
+
+/**
+ * @private
+ * @param {Array<{price: number|null, quantity: number}>} lines
+ * @returns {number}
+ */
+function totalOf(lines) {
+  return Math.round(lines.reduce((sum, line) => sum + (line.price || 0) * line.quantity, 0) * 100) / 100;
+}
+
+/**
+ * Compare two revisions. Lines are matched by line id, then by order code, so a line
+ * that was removed and added again counts as unchanged (or moved).
+ * @param {{lines: Array<Object>, total: number}} from - Older revision
+ * @param {{lines: Array<Object>, total: number}} to - Newer revision (or the current selection)
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<{before: Object, after: Object, quantity: boolean, price: boolean, room: boolean}>, totalBefore: number, totalAfter: number, totalDelta: number}}
+ */
+export function diffRevisions(from, to) {
+  const unmatched = [...from.lines];
+  const pairs = [];
+  const added = [];
+
+  const take = predicate => {
+    const index = unmatched.findIndex(predicate);
+    return index === -1 ? null : unmatched.splice(index, 1)[0];
+  };
+  const newer = to.lines.filter(line => {
+    const before = take(old => old.id === line.id);
+    if (before) {pairs.push([before, line]);}
+    return !before;
+  });
+  newer.forEach(line => {
+    const before = take(old => old.code && old.code === line.code && old.room === line.room) ||
+      take(old => old.code && old.code === line.code);
+    if (before) {
+      pairs.push([before, line]);
+    } else {
+      added.push(line);
+    }
+  });
+
+  const changed = pairs
+    .map(([before, after]) => ({
+      before,
+      after,
+      quantity: before.quantity !== after.quantity,
+      price: before.price !== after.price,
+      room: before.room !== after.room
+    }))
+    .filter(change => change.quantity || change.price || change.room);
+
+  return {
+    added,
+    removed: unmatched,
+    changed,
+    totalBefore: from.total,
+    totalAfter: to.total,
+    totalDelta: Math.round((to.total - from.total) * 100) / 100
+  };
+}
+
+/**
+ * Revision history of the active project
+ * @class RevisionManager
+ */
+export class RevisionManager {
+  /**
+   * @private
+   * @returns {string}
+   */
+  getStorageKey() {
+    return config.get('storage.keys.revisions', 'quoteRevisions');
+  }
+
+  /**
+   * All revisions, oldest first
+   * @returns {Array<Object>}
+   */
+  getRevisions() {
+    return Utils.getStorageItem(this.getStorageKey(), []);
+  }
+
+  /**
+   * @param {number} number
+   * @returns {Object|undefined}
+   */
+  getRevision(number) {
+    return this.getRevisions().find(revision => revision.number === Number(number));
+  }
+
+  /**
+   * @returns {Object|undefined}
+   */
+  getLatest() {
+    const revisions = this.getRevisions();
+    return revisions[revisions.length - 1];
+  }
+
+  /**
+   * The selection as it would be quoted now, in revision form (not saved)
+   * @param {Object} [options]
+   * @param {Map<string, Object>} [options.catalogAsOf] - Historical catalog the PDF is priced from
+   * @returns {{lines: Array<Object>, total: number, priceTier: string}}
+   */
+  capture({ catalogAsOf = null } = {}) {
+    const priceOf = product => priceTiers.getPrice(product);
+    const lines = StorageManager.getSelectedProducts().map(item => {
+      const product = applyHistoricalProduct(item.product, catalogAsOf, priceOf);
+      const edited = product.UserEditedPrice;
+      return {
+        id: item.id,
+        code: product.OrderCode || '',
+        description: product.Description || product.ProductName || '',
+        room: item.room || '',
+        quantity: item.quantity,
+        price: toPrice(edited !== undefined && edited !== null && edited !== '' ? edited : priceOf(product))
+      };
+    });
+    return { lines, total: totalOf(lines), priceTier: priceTiers.getActiveTierId() };
+  }
+
+  /**
+   * The revision a PDF being generated will be saved as. Not saved until `save()`, so a
+   * PDF that fails does not leave a revision behind.
+   * @param {Object} userDetails - PDF form details (customer name, price date)
+   * @returns {Object} A new revision, or the latest one if nothing changed since
+   */
+  prepare(userDetails = {}) {
+    const current = this.capture({ catalogAsOf: userDetails.catalogAsOf });
+    const latest = this.getLatest();
+    if (latest && JSON.stringify(latest.lines) === JSON.stringify(current.lines) && latest.priceTier === current.priceTier) {
+      return latest;
+    }
+    return {
+      number: latest ? latest.number + 1 : 1,
+      createdAt: Date.now(),
+      customerName: userDetails.name || '',
+      ...current
+    };
+  }
+
+  /**
+   * Save a prepared revision once its PDF has been produced
+   * @param {Object} revision - From `prepare()`
+   * @returns {boolean} False if it could not be saved
+   */
+  save(revision) {
+    if (this.getRevision(revision.number)) {return true;}
+    if (!Utils.setStorageItem(this.getStorageKey(), [...this.getRevisions(), revision])) {
+      console.warn('⚠️ Could not save quote revision');
+      return false;
+    }
+    console.log(`🕘 Saved revision ${revision.number} (${revision.lines.length} lines)`);
+    return true;
+  }
+
+  /**
+   * Compare two revisions by number; `to` defaults to the current selection
+   * @param {number} fromNumber
+   * @param {number|null} [toNumber]
+   * @returns {Object|null} See diffRevisions; null if a revision is missing
+   */
+  compare(fromNumber, toNumber = null) {
+    const from = this.getRevision(fromNumber);
+    const to = toNumber ? this.getRevision(toNumber) : this.capture();
+    return from && to ? diffRevisions(from, to) : null;
+  }
+}
+
+// Global instance
+export const revisionManager = new RevisionManager();
@@ -0,0 +1,257 @@
+/**
+ * Ranked Product Search Engine
+ * Token index over the catalog with AND-matching, prefix and typo tolerance,
+ * and field weighting (code > name > description)
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+/**
+ * Searchable fields and their weights
+ * @readonly
+ */
+const FIELD_WEIGHTS = {
+  code: 10,
+  name: 6,
+  description: 3,
+  longDescription: 1
+};
+
+/**
+ * How good a token match is, applied on top of the field weight
+ * @readonly
+ */
+const MATCH_QUALITY = {
+  EXACT: 1,
+  PREFIX: 0.75,
+  TYPO: 0.5
+};
+
+/**
+ * Split text into lower-case alphanumeric tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) {return [];}
+  return text.toString().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance with an early exit once `max` is exceeded
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+export function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {return max + 1;}
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {return max + 1;}
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Smallest edit distance between a query token and the token or any prefix of it,
+ * so "basn" matches "basin" and "chrme" matches "chromed"
+ * @param {string} queryToken
+ * @param {string} token
+ * @param {number} max - Largest distance of interest
+ * @returns {number}
+ */
+function typoDistance(queryToken, token, max) {
+  let best = max + 1;
+  const longest = Math.min(token.length, queryToken.length + max);
+  for (let length = Math.max(1, queryToken.length - max); length <= longest; length++) {
+    best = Math.min(best, boundedEditDistance(queryToken, token.slice(0, length), max));
+    if (best === 0) {break;}
+  }
+  return best;
+}
+
+/**
+ * Number of typos tolerated for a query token. Tokens containing digits are codes,
+ * where a "typo" is a different product, so they must match exactly or by prefix.
+ * @param {string} token
+ * @returns {number}
+ */
+function allowedTypos(token) {
+  if (/\d/.test(token)) {return 0;}
+  if (token.length >= 8) {return 2;}
+  if (token.length >= 4) {return 1;}
+  return 0;
+}
+
+/**
+ * Scored search over a product list
+ * @class SearchEngine
+ */
+export class SearchEngine {
+  /**
+   * @param {Array<Object>} products - Parsed catalog
+   */
+  constructor(products = []) {
+    this.products = products;
+    // token -> Map(productIndex -> best field weight for that token)
+    this.postings = new Map();
+    this.build();
+  }
+
+  /**
+   * Build the token index
+   * @private
+   */
+  build() {
+    this.products.forEach((product, index) => {
+      const codes = [product.OrderCode, product.BARCODE].filter(Boolean).map(String);
+      this.addTokens(index, FIELD_WEIGHTS.code, [
+        ...codes.flatMap(tokenize),
+        ...codes.map(code => code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+      ]);
+      this.addTokens(index, FIELD_WEIGHTS.name, tokenize(product['Product Name']));
+      this.addTokens(index, FIELD_WEIGHTS.description, tokenize(product.Description));
+      this.addTokens(index, FIELD_WEIGHTS.longDescription, tokenize(product['Long Description']));
+    });
+    this.vocabulary = Array.from(this.postings.keys());
+  }
+
+  /**
+   * @private
+   * @param {number} index - Product index
+   * @param {number} weight - Field weight
+   * @param {string[]} tokens
+   */
+  addTokens(index, weight, tokens) {
+    tokens.forEach(token => {
+      if (!token) {return;}
+      let entries = this.postings.get(token);
+      if (!entries) {
+        entries = new Map();
+        this.postings.set(token, entries);
+      }
+      if ((entries.get(index) || 0) < weight) {
+        entries.set(index, weight);
+      }
+    });
+  }
+
+  /**
+   * Find index tokens matching one query token, with their match quality
+   * @private
+   * @param {string} queryToken
+   * @returns {Array<{token: string, quality: number}>}
+   */
+  expandToken(queryToken) {
+    const matches = [];
+    const maxTypos = allowedTypos(queryToken);
+
+    this.vocabulary.forEach(token => {
+      if (token === queryToken) {
+        matches.push({ token, quality: MATCH_QUALITY.EXACT });
+      } else if (token.startsWith(queryToken)) {
+        matches.push({ token, quality: MATCH_QUALITY.PREFIX });
+      } else if (maxTypos > 0 && typoDistance(queryToken, token, maxTypos) <= maxTypos) {
+        matches.push({ token, quality: MATCH_QUALITY.TYPO });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Score products for one query token. Direct and synonym hits are scored apart:
+   * a product matched directly keeps its direct score.
+   * @private
+   * @param {string} queryToken
+   * @param {Function} [synonyms] - Returns alternative tokens for a query token
+   * @returns {Map<number, {score: number, direct: boolean}>} productIndex -> match
+   */
+  scoreToken(queryToken, synonyms) {
+    const bestScores = matches => {
+      const scores = new Map();
+      matches.forEach(({ token, quality }) => {
+        this.postings.get(token).forEach((weight, index) => {
+          const score = weight * quality;
+          if ((scores.get(index) || 0) < score) {
+            scores.set(index, score);
+          }
+        });
+      });
+      return scores;
+    };
+
+    const results = new Map();
+    bestScores(this.expandToken(queryToken)).forEach((score, index) => {
+      results.set(index, { score, direct: true });
+    });
+
+    // Synonyms match exactly or by prefix, never by typo
+    if (synonyms) {
+      const matches = synonyms(queryToken).flatMap(alternative => this.vocabulary
+        .filter(token => token.startsWith(alternative))
+        .map(token => ({ token, quality: token === alternative ? MATCH_QUALITY.EXACT : MATCH_QUALITY.PREFIX })));
+      bestScores(matches).forEach((score, index) => {
+        if (!results.has(index)) {results.set(index, { score, direct: false });}
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Ranked search. Every query token must match (exactly, by prefix or within the typo budget,
+   * or through a synonym). Products matching more query tokens directly come first, so a
+   * synonym hit never outranks a direct one; the score orders products within that.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum results
+   * @param {Function} [options.synonyms] - Returns alternative tokens for a query token
+   * @returns {Array<{product: Object, score: number, direct: number, index: number}>} Best matches
+   *   first; direct is the number of query tokens matched without a synonym, index is the
+   *   product's position in the list the engine was built from
+   */
+  search(query, options = {}) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) {return [];}
+
+    let totals = null;
+    for (const queryToken of queryTokens) {
+      const tokenMatches = this.scoreToken(queryToken, options.synonyms);
+      const merged = new Map();
+      tokenMatches.forEach((match, index) => {
+        const total = totals === null ? { score: 0, direct: 0 } : totals.get(index);
+        if (total) {
+          merged.set(index, { score: total.score + match.score, direct: total.direct + (match.direct ? 1 : 0) });
+        }
+      });
+      totals = merged;
+      if (totals.size === 0) {return [];}
+    }
+
+    // Whole-code matches beat everything else
+    const compactQuery = query.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const results = Array.from(totals, ([index, { score, direct }]) => {
+      const product = this.products[index];
+      const code = String(product.OrderCode || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      const barcode = String(product.BARCODE || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      const exactCode = compactQuery && (compactQuery === code || compactQuery === barcode);
+      return { index, product, direct, score: exactCode ? score + 100 : score };
+    });
+
+    results.sort((a, b) => b.direct - a.direct || b.score - a.score || a.index - b.index);
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Selection History
+ * Undo/redo for changes to the selection and custom rooms. Every write through
+ * StorageManager is recorded as a command holding only what changed (lines added,
+ * removed or edited, the line order and the rooms), so undoing works the same for grid
+ * edits, the review screen, imports and Clear All.
+ *
+ * The history belongs to the open project and is kept in sessionStorage, so it survives
+ * a reload but not closing the tab.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { projectManager } from './projects.js';
+
+const HISTORY_SESSION_KEY = 'selectionHistory';
+
+/**
+ * Work out the command that turns one state into another
+ * @param {{items: Array<Object>, rooms: Array<string>}} before
+ * @param {{items: Array<Object>, rooms: Array<string>}} after
+ * @returns {Object|null} Null when nothing changed
+ */
+export function diffSelection(before, after) {
+  const beforeById = new Map(before.items.map(item => [item.id, item]));
+  const afterById = new Map(after.items.map(item => [item.id, item]));
+
+  const removed = before.items.filter(item => !afterById.has(item.id));
+  const added = after.items.filter(item => !beforeById.has(item.id));
+  const updated = after.items
+    .filter(item => beforeById.has(item.id) && JSON.stringify(item) !== JSON.stringify(beforeById.get(item.id)))
+    .map(item => ({ id: item.id, before: beforeById.get(item.id), after: item }));
+  const orderBefore = before.items.map(item => item.id);
+  const orderAfter = after.items.map(item => item.id);
+  const reordered = orderBefore.join('\n') !== orderAfter.join('\n');
+  const roomsChanged = JSON.stringify(before.rooms) !== JSON.stringify(after.rooms);
+
+  if (!removed.length && !added.length && !updated.length && !reordered && !roomsChanged) {
+    return null;
+  }
+  return {
+    removed,
+    added,
+    updated,
+    orderBefore,
+    orderAfter,
+    rooms: roomsChanged ? { before: before.rooms, after: after.rooms } : null
+  };
+}
+
+/**
+ * Apply a command to a state, forwards (redo) or backwards (undo)
+ * @param {{items: Array<Object>, rooms: Array<string>}} state
+ * @param {Object} command
+ * @param {boolean} backwards
+ * @returns {{items: Array<Object>, rooms: Array<string>}}
+ */
+export function applyCommand(state, command, backwards) {
+  const byId = new Map(state.items.map(item => [item.id, item]));
+  const toRemove = backwards ? command.added : command.removed;
+  const toRestore = backwards ? command.removed : command.added;
+  toRemove.forEach(item => byId.delete(item.id));
+  toRestore.forEach(item => byId.set(item.id, item));
+  command.updated.forEach(change => {
+    if (byId.has(change.id)) {byId.set(change.id, backwards ? change.before : change.after);}
+  });
+
+  // Lines keep the recorded order; any added since (e.g. in another tab) go last
+  const order = backwards ? command.orderBefore : command.orderAfter;
+  const items = order.filter(id => byId.has(id)).map(id => byId.get(id));
+  byId.forEach((item, id) => {
+    if (!order.includes(id)) {items.push(item);}
+  });
+
+  const rooms = command.rooms ? (backwards ? command.rooms.before : command.rooms.after) : state.rooms;
+  return { items, rooms };
+}
+
+/**
+ * Undo and redo stacks for the open project
+ * @class SelectionHistory
+ */
+export class SelectionHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.projectId = null;
+    this.groups = [];
+    this.loaded = false;
+    this.lastRedone = null;
+  }
+
+  /**
+   * Current selection and rooms as stored
+   * @returns {{items: Array<Object>, rooms: Array<string>}}
+   */
+  readState() {
+    return {
+      items: Utils.getStorageItem(config.get('storage.keys.selectedProducts'), []),
+      rooms: Utils.getStorageItem(config.get('storage.keys.customRooms'), [])
+    };
+  }
+
+  /**
+   * Load the saved history of the open project (once)
+   * @private
+   */
+  load() {
+    if (this.loaded) {return;}
+    this.loaded = true;
+    this.projectId = projectManager.getActiveProjectId();
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(HISTORY_SESSION_KEY) || 'null');
+      if (saved && saved.projectId === this.projectId) {
+        this.undoStack = saved.undo || [];
+        this.redoStack = saved.redo || [];
+      }
+    } catch (e) {
+      console.warn('⚠️ Could not restore undo history:', e);
+    }
+    window.addEventListener('projectChanged', () => this.reset());
+    window.addEventListener('storageWriteFailed', (event) => this.handleFailedWrite(event.detail.key));
+  }
+
+  /**
+   * A selection write was rolled back (storage full): forget the step that described it,
+   * so Undo does not revert a change that was never kept
+   * @private
+   * @param {string} key
+   */
+  handleFailedWrite(key) {
+    const keys = [config.get('storage.keys.selectedProducts'), config.get('storage.keys.customRooms')];
+    if (!keys.includes(key)) {return;}
+    const state = this.readState();
+    // The step is stale when the stored state is already on its far side
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+    if (lastUndo && !diffSelection(state, applyCommand(state, lastUndo, true))) {
+      const command = this.undoStack.pop();
+      if (command === this.lastRedone) {this.redoStack.push(command);}
+    } else if (lastRedo && !diffSelection(state, applyCommand(state, lastRedo, false))) {
+      this.undoStack.push(this.redoStack.pop());
+    }
+    this.save();
+    this.notify('rollback', key);
+  }
+
+  /**
+   * Keep the history for a reload. Oldest steps are dropped if the session store is full.
+   * @private
+   */
+  save() {
+    while (this.undoStack.length || this.redoStack.length) {
+      try {
+        sessionStorage.setItem(HISTORY_SESSION_KEY, JSON.stringify({
+          projectId: this.projectId,
+          undo: this.undoStack,
+          redo: this.redoStack
+        }));
+        return;
+      } catch (e) {
+        if (this.undoStack.length) {
+          this.undoStack.splice(0, Math.max(1, Math.floor(this.undoStack.length / 2)));
+        } else {
+          this.redoStack.splice(0, Math.max(1, Math.floor(this.redoStack.length / 2)));
+        }
+      }
+    }
+    sessionStorage.removeItem(HISTORY_SESSION_KEY);
+  }
+
+  /**
+   * Forget the history (another project was opened)
+   */
+  reset() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.projectId = projectManager.getActiveProjectId();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Record a change. Repeated edits to the same field of a line (typing) are merged
+   * into one step.
+   * @param {{items: Array<Object>, rooms: Array<string>}} before
+   * @param {{items: Array<Object>, rooms: Array<string>}} after
+   * @param {string} label - Shown on the undo button, e.g. "Change quantity"
+   */
+  record(before, after, label) {
+    this.load();
+    if (this.groups.length) {return;}
+    const command = diffSelection(before, after);
+    if (!command) {return;}
+    command.label = label;
+    command.time = Date.now();
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (last && this.canMerge(last, command)) {
+      last.updated[0].after = command.updated[0].after;
+      last.time = command.time;
+    } else {
+      this.undoStack.push(command);
+      const maxSteps = config.get('history.maxSteps', 50);
+      if (this.undoStack.length > maxSteps) {
+        this.undoStack.splice(0, this.undoStack.length - maxSteps);
+      }
+    }
+    this.redoStack = [];
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * @private
+   * @param {Object} last
+   * @param {Object} command
+   * @returns {boolean}
+   */
+  canMerge(last, command) {
+    const single = c => c.updated.length === 1 && !c.added.length && !c.removed.length && !c.rooms &&
+      c.orderBefore.join('\n') === c.orderAfter.join('\n');
+    return single(last) && single(command) &&
+      last.label === command.label &&
+      last.updated[0].id === command.updated[0].id &&
+      command.time - last.time < config.get('history.mergeWindowMs', 1000);
+  }
+
+  /**
+   * Record everything done inside `fn` (an import, Clear All) as one step
+   * @async
+   * @param {string} label
+   * @param {Function} fn - May be async
+   * @returns {Promise<*>} Result of `fn`
+   */
+  async group(label, fn) {
+    this.begin(label);
+    try {
+      return await fn();
+    } finally {
+      this.end();
+    }
+  }
+
+  /**
+   * Start a step made of several writes; every `begin` needs a matching `end`
+   * @param {string} label
+   */
+  begin(label) {
+    this.load();
+    this.groups.push({ label, before: this.readState() });
+  }
+
+  /**
+   * Finish the step started by `begin` and record it
+   */
+  end() {
+    const group = this.groups.pop();
+    if (group) {this.record(group.before, this.readState(), group.label);}
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    this.load();
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    this.load();
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Label of the step Undo would revert
+   * @returns {string}
+   */
+  getUndoLabel() {
+    return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : '';
+  }
+
+  /**
+   * Label of the step Redo would reapply
+   * @returns {string}
+   */
+  getRedoLabel() {
+    return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : '';
+  }
+
+  /**
+   * Revert the last step
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    if (!this.canUndo()) {return false;}
+    const command = this.undoStack.pop();
+    this.write(applyCommand(this.readState(), command, true));
+    this.redoStack.push(command);
+    this.save();
+    console.log(`↶ Undo: ${command.label}`);
+    this.notify('undo', command.label);
+    return true;
+  }
+
+  /**
+   * Reapply the last undone step
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    if (!this.canRedo()) {return false;}
+    const command = this.redoStack.pop();
+    this.lastRedone = command;
+    this.write(applyCommand(this.readState(), command, false));
+    this.undoStack.push(command);
+    this.save();
+    console.log(`↷ Redo: ${command.label}`);
+    this.notify('redo', command.label);
+    return true;
+  }
+
+  /**
+   * Store a state without recording it
+   * @private
+   * @param {{items: Array<Object>, rooms: Array<string>}} state
+   */
+  write(state) {
+    Utils.setStorageItem(config.get('storage.keys.selectedProducts'), state.items);
+    Utils.setStorageItem(config.get('storage.keys.customRooms'), state.rooms);
+    window.dispatchEvent(new CustomEvent('selectionChanged'));
+  }
+
+  /**
+   * Tell the UI the stacks changed; `selectionRestored` when stored data was replaced
+   * @private
+   * @param {'undo'|'redo'|'rollback'} [direction] - rollback: a failed write was undone
+   * @param {string} [label]
+   */
+  notify(direction, label) {
+    if (direction) {
+      window.dispatchEvent(new CustomEvent('selectionRestored', { detail: { direction, label } }));
+    }
+    window.dispatchEvent(new CustomEvent('selectionHistoryChanged'));
+  }
+}
+
+// Global instance
+export const selectionHistory = new SelectionHistory();
@@ -0,0 +1,408 @@
+/**
+ * Selection Reconciliation
+ * Saved selections keep a full copy of each product, so lines go stale when the catalog
+ * changes. This checks every line against the live catalog (on load, after a catalog
+ * refresh and before PDF generation), flags discontinued codes, RRP changes and new
+ * Release Notes, lets the user update the price or swap in a suggested alternative per
+ * line, and keeps a log of what changed.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { dataLayer } from './data-layer.js';
+import { StorageManager } from './storage.js';
+import { Utils } from './utils.js';
+import { parseCatalogNumber } from './catalog-browser.js';
+import { extractVariantAttributes } from './variant-matrix.js';
+import { priceTiers } from './price-tiers.js';
+
+const LOG_STORAGE_KEY = 'selectionReconciliationLog';
+const DISMISSED_SESSION_KEY = 'selectionReconciliationDismissed';
+const MAX_LOG_ENTRIES = 20;
+
+/**
+ * Kinds of problem found on a line
+ * @readonly
+ * @enum {string}
+ */
+export const ReconcileIssue = {
+  DISCONTINUED: 'discontinued',
+  PRICE_CHANGED: 'priceChanged',
+  RELEASE_NOTE: 'releaseNote'
+};
+
+/**
+ * @private
+ */
+function codeOf(product) {
+  return (product?.OrderCode || '').toString().trim();
+}
+
+/**
+ * @private
+ */
+function catalogPrice(product) {
+  return product?.RRP_EX || '';
+}
+
+/**
+ * Best replacement for a discontinued product: a product in the same range
+ * (`Product Name`) with the most matching finish/size/handing, otherwise the
+ * product in the same Group with the closest price.
+ * @param {Object} product - Discontinued product
+ * @param {Array<Object>} products - Current catalog
+ * @returns {Object|null}
+ */
+export function suggestAlternative(product, products) {
+  const code = codeOf(product);
+  const name = (product['Product Name'] || product.ProductName || '').toString().trim().toLowerCase();
+  const group = (product.Group || '').toString().trim().toLowerCase();
+  const price = parseCatalogNumber(catalogPrice(product));
+
+  const sameRange = name ? products.filter(p => codeOf(p) !== code && (p['Product Name'] || '').toString().trim().toLowerCase() === name) : [];
+  const candidates = sameRange.length
+    ? sameRange
+    : (group ? products.filter(p => codeOf(p) !== code && (p.Group || '').toString().trim().toLowerCase() === group) : []);
+  if (!candidates.length) {return null;}
+
+  const attributes = extractVariantAttributes(product);
+  const priceDistance = p => {
+    const candidatePrice = parseCatalogNumber(catalogPrice(p));
+    return price === null || candidatePrice === null ? Infinity : Math.abs(candidatePrice - price);
+  };
+  const matches = p => {
+    const other = extractVariantAttributes(p);
+    return ['finish', 'colour', 'size', 'handing'].filter(key => attributes[key] && attributes[key] === other[key]).length;
+  };
+
+  return candidates
+    .map(p => ({ product: p, matches: matches(p), distance: priceDistance(p) }))
+    .sort((a, b) => b.matches - a.matches || a.distance - b.distance)[0].product;
+}
+
+/**
+ * Compare saved selection lines with the catalog
+ * @param {Array<Object>} items - Entries from StorageManager.getSelectedProducts()
+ * @param {Object} catalog
+ * @param {Function} catalog.findProduct - Order code to current product (or null)
+ * @param {Array<Object>} catalog.products - Current catalog
+ * @returns {Array<{id: string, type: string, orderCode: string, description: string, room: string, oldPrice: string, newPrice: string, releaseNote: string, alternative: Object|null}>}
+ */
+export function findSelectionIssues(items, { findProduct, products }) {
+  const issues = [];
+  items.forEach(item => {
+    const saved = item.product || {};
+    const code = codeOf(saved);
+    if (!code) {return;}
+    const base = {
+      id: item.id,
+      orderCode: code,
+      description: saved.Description || saved['Product Name'] || '',
+      room: item.room || 'Blank',
+      oldPrice: catalogPrice(saved),
+      newPrice: '',
+      releaseNote: '',
+      alternative: null
+    };
+
+    const current = findProduct(code);
+    if (!current) {
+      issues.push({ ...base, type: ReconcileIssue.DISCONTINUED, alternative: suggestAlternative(saved, products) });
+      return;
+    }
+
+    const oldPrice = parseCatalogNumber(catalogPrice(saved));
+    const newPrice = parseCatalogNumber(catalogPrice(current));
+    if (newPrice !== null && oldPrice !== newPrice) {
+      issues.push({ ...base, type: ReconcileIssue.PRICE_CHANGED, newPrice: catalogPrice(current) });
+    }
+
+    const note = (current['Release Note'] || '').toString().trim();
+    if (note && note !== (saved['Release Note'] || '').toString().trim()) {
+      issues.push({ ...base, type: ReconcileIssue.RELEASE_NOTE, releaseNote: note });
+    }
+  });
+  return issues;
+}
+
+/**
+ * Reconciliation workflow and review modal
+ * @class SelectionReconciler
+ */
+export class SelectionReconciler {
+  constructor() {
+    this.issues = [];
+    this.actions = [];
+    this.pendingResolve = null;
+    this.trigger = '';
+  }
+
+  /**
+   * Current issues in the saved selection
+   * @returns {Array<Object>}
+   */
+  check() {
+    if (!dataLayer.isLoaded || !dataLayer.getAllProducts().length) {return [];}
+    return findSelectionIssues(StorageManager.getSelectedProducts(), {
+      findProduct: code => dataLayer.findProductByCode(code),
+      products: dataLayer.getAllProducts()
+    });
+  }
+
+  /**
+   * Identifies a set of issues, so a dismissed set is not shown again on load this session
+   * @private
+   */
+  signatureOf(issues) {
+    return issues.map(issue => `${issue.id}:${issue.type}:${issue.newPrice}:${issue.releaseNote}`).sort().join('|');
+  }
+
+  /**
+   * Check the selection and, if anything is out of date, show the review modal
+   * @async
+   * @param {'load'|'pdf'} trigger - On load, a set of issues already dismissed this session is skipped
+   * @returns {Promise<boolean>} False if the user cancelled (PDF generation should stop)
+   */
+  async review(trigger) {
+    const issues = this.check();
+    if (!issues.length) {return true;}
+    const signature = this.signatureOf(issues);
+    if (trigger === 'load' && sessionStorage.getItem(DISMISSED_SESSION_KEY) === signature) {return true;}
+
+    const modal = document.getElementById('reconcile-modal');
+    if (!modal) {return true;}
+    this.pendingResolve?.(true);
+
+    this.issues = issues;
+    this.actions = [];
+    this.trigger = trigger;
+    this.render();
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+      this.pendingResolve = resolve;
+    });
+  }
+
+  /**
+   * Close the modal, record what was done and let the caller continue
+   * @private
+   * @param {boolean} proceed
+   */
+  finish(proceed) {
+    const modal = document.getElementById('reconcile-modal');
+    if (modal) {modal.style.display = 'none';}
+
+    const remaining = this.check();
+    sessionStorage.setItem(DISMISSED_SESSION_KEY, this.signatureOf(remaining));
+    this.recordLog(remaining);
+    if (this.actions.length) {
+      window.dispatchEvent(new CustomEvent('selectionReconciled', { detail: { actions: this.actions } }));
+    }
+
+    const resolve = this.pendingResolve;
+    this.pendingResolve = null;
+    resolve?.(proceed);
+  }
+
+  /**
+   * Apply a change to one saved line
+   * @private
+   * @param {string} id - Selection entry id
+   * @param {Function} change - Receives and returns the entry
+   * @returns {boolean}
+   */
+  updateEntry(id, change) {
+    const items = StorageManager.getSelectedProducts();
+    const index = items.findIndex(item => item.id === id);
+    if (index === -1) {return false;}
+    items[index] = change(items[index]);
+    return StorageManager.setSelectedProducts(items, 'Update from catalog');
+  }
+
+  /**
+   * Move a line to the current catalog price (and product data)
+   * @param {Object} issue
+   */
+  updatePrice(issue) {
+    const current = dataLayer.findProductByCode(issue.orderCode);
+    if (!current) {return;}
+    const updated = this.updateEntry(issue.id, item => ({
+      ...item,
+      product: {
+        ...item.product,
+        ...current,
+        // Keep the note the user has already seen; it is flagged separately
+        'Release Note': item.product['Release Note'] || '',
+        UserEditedPrice: priceTiers.getPrice(current)
+      }
+    }));
+    if (updated) {
+      this.actions.push({ orderCode: issue.orderCode, action: 'priceUpdated', from: issue.oldPrice, to: issue.newPrice });
+    }
+  }
+
+  /**
+   * Replace a line with its suggested alternative, keeping room, quantity and notes
+   * @param {Object} issue
+   */
+  replaceWithAlternative(issue) {
+    const alternative = issue.alternative;
+    if (!alternative) {return;}
+    const updated = this.updateEntry(issue.id, item => ({
+      ...item,
+      product: { ...alternative, UserEditedPrice: priceTiers.getPrice(alternative) }
+    }));
+    if (updated) {
+      this.actions.push({ orderCode: issue.orderCode, action: 'replaced', from: issue.orderCode, to: codeOf(alternative) });
+    }
+  }
+
+  /**
+   * Mark a Release Note as seen
+   * @param {Object} issue
+   */
+  acknowledgeNote(issue) {
+    const updated = this.updateEntry(issue.id, item => ({
+      ...item,
+      product: { ...item.product, 'Release Note': issue.releaseNote }
+    }));
+    if (updated) {
+      this.actions.push({ orderCode: issue.orderCode, action: 'noteAcknowledged', from: '', to: issue.releaseNote });
+    }
+  }
+
+  /**
+   * Apply the action for an issue
+   * @private
+   */
+  resolveIssue(index) {
+    const issue = this.issues[index];
+    if (!issue || issue.resolved) {return;}
+    if (issue.type === ReconcileIssue.PRICE_CHANGED) {this.updatePrice(issue);}
+    if (issue.type === ReconcileIssue.DISCONTINUED) {this.replaceWithAlternative(issue);}
+    if (issue.type === ReconcileIssue.RELEASE_NOTE) {this.acknowledgeNote(issue);}
+    issue.resolved = true;
+  }
+
+  /**
+   * Add a summary of this review to the log
+   * @private
+   * @param {Array<Object>} remaining - Issues left unresolved
+   */
+  recordLog(remaining) {
+    const count = type => this.issues.filter(issue => issue.type === type).length;
+    const log = this.getLog();
+    log.unshift({
+      timestamp: Date.now(),
+      trigger: this.trigger,
+      found: {
+        discontinued: count(ReconcileIssue.DISCONTINUED),
+        priceChanged: count(ReconcileIssue.PRICE_CHANGED),
+        releaseNote: count(ReconcileIssue.RELEASE_NOTE)
+      },
+      actions: this.actions,
+      unresolved: remaining.length
+    });
+    Utils.setStorageItem(LOG_STORAGE_KEY, log.slice(0, MAX_LOG_ENTRIES));
+  }
+
+  /**
+   * Past reviews, newest first
+   * @returns {Array<Object>}
+   */
+  getLog() {
+    return Utils.getStorageItem(LOG_STORAGE_KEY, []);
+  }
+
+  /**
+   * One-line summary of the actions taken in this review
+   * @returns {string}
+   */
+  summarizeActions() {
+    const count = action => this.actions.filter(item => item.action === action).length;
+    const parts = [];
+    if (count('priceUpdated')) {parts.push(`${count('priceUpdated')} price${count('priceUpdated') === 1 ? '' : 's'} updated`);}
+    if (count('replaced')) {parts.push(`${count('replaced')} replaced`);}
+    if (count('noteAcknowledged')) {parts.push(`${count('noteAcknowledged')} release note${count('noteAcknowledged') === 1 ? '' : 's'} noted`);}
+    return parts.join(', ');
+  }
+
+  /**
+   * Render the review modal
+   * @private
+   */
+  render() {
+    const list = document.getElementById('reconcile-list');
+    const summary = document.getElementById('reconcile-summary');
+    const continueBtn = document.getElementById('reconcile-continue');
+    const cancelBtn = document.getElementById('reconcile-cancel');
+    const updateAllBtn = document.getElementById('reconcile-update-all');
+    if (!list) {return;}
+
+    const money = value => {
+      const num = parseCatalogNumber(value);
+      return num === null ? '—' : `$${num.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    };
+    const describe = issue => {
+      if (issue.type === ReconcileIssue.DISCONTINUED) {
+        return `<span style="color: #b91c1c; font-weight: 600;">No longer in the catalog.</span>${issue.alternative ? ` Suggested: <strong>${Utils.escapeHtml(codeOf(issue.alternative))}</strong> ${Utils.escapeHtml(issue.alternative.Description || '')} (${money(catalogPrice(issue.alternative))})` : ' No alternative found.'}`;
+      }
+      if (issue.type === ReconcileIssue.PRICE_CHANGED) {
+        return `<span style="color: #b45309; font-weight: 600;">RRP changed</span> from ${money(issue.oldPrice)} to ${money(issue.newPrice)}`;
+      }
+      return `<span style="color: #1d4ed8; font-weight: 600;">Release note:</span> ${Utils.escapeHtml(issue.releaseNote)}`;
+    };
+    const actionLabel = issue => {
+      if (issue.type === ReconcileIssue.DISCONTINUED) {return issue.alternative ? 'Replace' : '';}
+      if (issue.type === ReconcileIssue.PRICE_CHANGED) {return `Update to ${money(issue.newPrice)}`;}
+      return 'OK';
+    };
+
+    list.innerHTML = this.issues.map((issue, index) => `
+      <div style="display: flex; align-items: center; gap: 12px; padding: 10px 0; border-bottom: 1px solid #f3f4f6;${issue.resolved ? ' opacity: 0.6;' : ''}">
+        <div style="flex: 1; font-size: 0.9rem;">
+          <div><strong>${Utils.escapeHtml(issue.orderCode)}</strong> ${Utils.escapeHtml(issue.description)} <span style="color: #9ca3af;">· ${Utils.escapeHtml(issue.room)}</span></div>
+          <div style="margin-top: 2px;">${describe(issue)}</div>
+        </div>
+        ${issue.resolved
+    ? '<span style="color: #059669; white-space: nowrap;">Done ✓</span>'
+    : (actionLabel(issue) ? `<button type="button" class="secondary-btn" data-resolve="${index}" style="white-space: nowrap;">${actionLabel(issue)}</button>` : '')}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-resolve]').forEach(btn => {
+      btn.onclick = () => {
+        this.resolveIssue(Number(btn.dataset.resolve));
+        this.render();
+      };
+    });
+
+    const open = this.issues.filter(issue => !issue.resolved);
+    if (summary) {
+      summary.textContent = this.summarizeActions() || `${open.length} line${open.length === 1 ? '' : 's'} need${open.length === 1 ? 's' : ''} attention`;
+    }
+    if (updateAllBtn) {
+      updateAllBtn.style.display = open.some(issue => issue.type === ReconcileIssue.PRICE_CHANGED) ? '' : 'none';
+      updateAllBtn.onclick = () => {
+        this.issues.forEach((issue, index) => {
+          if (issue.type === ReconcileIssue.PRICE_CHANGED) {this.resolveIssue(index);}
+        });
+        this.render();
+      };
+    }
+    if (continueBtn) {
+      continueBtn.textContent = this.trigger === 'pdf' ? 'Continue to PDF' : 'Done';
+      continueBtn.onclick = () => this.finish(true);
+    }
+    if (cancelBtn) {
+      cancelBtn.style.display = this.trigger === 'pdf' ? '' : 'none';
+      cancelBtn.onclick = () => this.finish(false);
+    }
+  }
+}
+
+// Global instance
+export const selectionReconciler = new SelectionReconciler();
@@ -0,0 +1,341 @@
+/**
+ * Storage Monitor
+ * Shows what is using the browser storage (catalog cache, logos, tip/tail uploads,
+ * projects, quote revisions, logs), warns before the quota is reached and frees space:
+ * compacting or dropping old revisions, removing files no setting uses any more,
+ * trimming the catalog history and clearing logs.
+ *
+ * Sizes are approximate: stored text is counted by length, files by their size. The
+ * total and quota come from the browser (`navigator.storage.estimate()`); without
+ * IndexedDB the localStorage limit (`storage.maxSize`) is used.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { persistentStore } from './persistent-store.js';
+import { catalogHistory } from './catalog-history.js';
+import { getProjectStorageKeys } from './projects.js';
+import { errorHandler } from './error-handler.js';
+
+const PROJECT_KEY_PREFIX = 'project:';
+const LOGO_KEY = 'customerLogo';
+const TIP_TAIL_KEY = 'tipTailSettings';
+const CATALOG_KEYS = ['productCatalog', 'productCatalogCsv', 'catalogUploadCsv', 'catalogUploadName'];
+// Wait for a burst of writes to finish before checking the quota
+const CHECK_DELAY_MS = 5000;
+
+export const StorageCategory = {
+  CATALOG: 'catalog',
+  LOGOS: 'logos',
+  UPLOADS: 'uploads',
+  PROJECTS: 'projects',
+  REVISIONS: 'revisions',
+  LOGS: 'logs',
+  OTHER: 'other'
+};
+
+export const STORAGE_CATEGORY_LABELS = {
+  [StorageCategory.CATALOG]: 'Catalog cache',
+  [StorageCategory.LOGOS]: 'Logos',
+  [StorageCategory.UPLOADS]: 'Tip/tail uploads',
+  [StorageCategory.PROJECTS]: 'Projects',
+  [StorageCategory.REVISIONS]: 'Quote revisions',
+  [StorageCategory.LOGS]: 'Logs',
+  [StorageCategory.OTHER]: 'Other'
+};
+
+/**
+ * @private
+ * @param {string|null} raw
+ * @returns {*}
+ */
+function parse(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string} e.g. "1.2 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {return `${bytes} B`;}
+  if (bytes < 1024 * 1024) {return `${(bytes / 1024).toFixed(1)} KB`;}
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Storage usage, quota warnings and clean-up
+ * @class StorageMonitor
+ */
+export class StorageMonitor {
+  constructor() {
+    this.initialized = false;
+    this.warned = false;
+    this.checkTimer = null;
+  }
+
+  /**
+   * Check the quota now and after writes. Call after `persistentStore.init()`.
+   */
+  init() {
+    if (this.initialized) {return;}
+    this.initialized = true;
+    persistentStore.onWrite(() => {
+      clearTimeout(this.checkTimer);
+      this.checkTimer = setTimeout(() => this.check(), CHECK_DELAY_MS);
+    });
+    this.check();
+  }
+
+  /**
+   * The raw project key values of the active project and every saved project
+   * @private
+   * @returns {Array<{key: string|null, data: Object<string, string|null>}>} key is null for the active project
+   */
+  readProjects() {
+    const live = {};
+    getProjectStorageKeys().forEach(key => {
+      live[key] = persistentStore.getItem(key);
+    });
+    const records = persistentStore.keys()
+      .filter(key => key.startsWith(PROJECT_KEY_PREFIX))
+      .map(key => ({ key, data: parse(persistentStore.getItem(key)) || {} }));
+    return [{ key: null, data: live }, ...records];
+  }
+
+  /**
+   * Which files are used by a logo or tip/tail setting
+   * @private
+   * @returns {Map<string, string>} File id to StorageCategory
+   */
+  getFileReferences() {
+    const refs = new Map();
+    this.readProjects().forEach(({ data }) => {
+      const logo = data[LOGO_KEY];
+      if (logo && !logo.startsWith('data:')) {refs.set(logo, StorageCategory.LOGOS);}
+      const tipTail = parse(data[TIP_TAIL_KEY]) || {};
+      ['tip', 'tail'].forEach(part => {
+        if (tipTail[`${part}UploadId`]) {refs.set(tipTail[`${part}UploadId`], StorageCategory.UPLOADS);}
+      });
+    });
+    return refs;
+  }
+
+  /**
+   * @private
+   * @param {string} key - Project key
+   * @returns {string} StorageCategory
+   */
+  categorizeProjectKey(key) {
+    if (key === config.get('storage.keys.revisions', 'quoteRevisions')) {return StorageCategory.REVISIONS;}
+    if (key === LOGO_KEY) {return StorageCategory.LOGOS;}
+    return StorageCategory.PROJECTS;
+  }
+
+  /**
+   * What is stored, by key and by category
+   * @async
+   * @returns {Promise<{used: number, quota: number|null, percent: number|null, categories: Array<{id: string, label: string, bytes: number}>, items: Array<{name: string, category: string, bytes: number, unused?: boolean}>}>}
+   */
+  async getUsage() {
+    const items = [];
+    const projectKeys = getProjectStorageKeys();
+    const logKey = config.get('storage.keys.criticalLogs', 'criticalLogs');
+
+    persistentStore.keys().forEach(key => {
+      const raw = persistentStore.getItem(key) || '';
+      if (key.startsWith(PROJECT_KEY_PREFIX)) {
+        // Saved projects are split so their revisions and inline logos count as such
+        const record = parse(raw) || {};
+        const project = Object.keys(record).reduce((bytes, name) => {
+          const size = (record[name] || '').length;
+          const category = this.categorizeProjectKey(name);
+          if (category === StorageCategory.PROJECTS) {return bytes + size;}
+          items.push({ name: `${key} (${name})`, category, bytes: size });
+          return bytes;
+        }, 0);
+        items.push({ name: key, category: StorageCategory.PROJECTS, bytes: project });
+        return;
+      }
+      let category = StorageCategory.OTHER;
+      if (projectKeys.includes(key)) {
+        category = this.categorizeProjectKey(key);
+      } else if (CATALOG_KEYS.includes(key)) {
+        category = StorageCategory.CATALOG;
+      } else if (key === logKey) {
+        category = StorageCategory.LOGS;
+      } else if (key === config.get('storage.keys.projects', 'projects')) {
+        category = StorageCategory.PROJECTS;
+      }
+      items.push({ name: key, category, bytes: raw.length });
+    });
+
+    const refs = this.getFileReferences();
+    (await persistentStore.listFiles()).forEach(file => {
+      const fallback = file.type.startsWith('image/') ? StorageCategory.LOGOS : StorageCategory.UPLOADS;
+      items.push({
+        name: `File ${file.id}${file.type ? ` (${file.type})` : ''}`,
+        category: refs.get(file.id) || fallback,
+        bytes: file.size,
+        unused: !refs.has(file.id)
+      });
+    });
+
+    const history = await catalogHistory.getSize().catch(() => ({ count: 0, bytes: 0 }));
+    if (history.count) {
+      items.push({ name: `Catalog history (${history.count} snapshots)`, category: StorageCategory.CATALOG, bytes: history.bytes });
+    }
+
+    const categories = Object.values(StorageCategory).map(id => ({
+      id,
+      label: STORAGE_CATEGORY_LABELS[id],
+      bytes: items.filter(item => item.category === id).reduce((sum, item) => sum + item.bytes, 0)
+    }));
+    const counted = categories.reduce((sum, category) => sum + category.bytes, 0);
+
+    let used = counted;
+    let quota = null;
+    if (!persistentStore.isUsingIndexedDb()) {
+      quota = config.get('storage.maxSize', 5 * 1024 * 1024);
+    } else if (navigator.storage && navigator.storage.estimate) {
+      try {
+        const estimate = await navigator.storage.estimate();
+        used = Math.max(counted, estimate.usage || 0);
+        quota = estimate.quota || null;
+      } catch (e) {
+        console.warn('⚠️ Could not read the storage estimate:', e);
+      }
+    }
+
+    items.sort((a, b) => b.bytes - a.bytes);
+    return { used, quota, percent: quota ? Math.round((used / quota) * 100) : null, categories, items };
+  }
+
+  /**
+   * Warn (once per page load) when storage is nearly full: `storageLow` event
+   * @async
+   * @returns {Promise<boolean>} True if storage is above the warning level
+   */
+  async check() {
+    try {
+      const usage = await this.getUsage();
+      const low = usage.percent !== null && usage.percent >= config.get('storage.warnAtPercent', 80);
+      if (low && !this.warned) {
+        this.warned = true;
+        console.warn(`⚠️ Storage is ${usage.percent}% full (${formatBytes(usage.used)} of ${formatBytes(usage.quota)})`);
+        window.dispatchEvent(new CustomEvent('storageLow', { detail: usage }));
+      }
+      return low;
+    } catch (error) {
+      console.warn('⚠️ Could not check storage usage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a change to the revisions of every project
+   * @private
+   * @param {Function} change - Receives a project's revisions, returns the ones to keep
+   * @returns {number} Approximate bytes freed
+   */
+  updateRevisions(change) {
+    const key = config.get('storage.keys.revisions', 'quoteRevisions');
+    let freed = 0;
+    this.readProjects().forEach(({ key: recordKey, data }) => {
+      const raw = data[key];
+      const revisions = parse(raw);
+      if (!Array.isArray(revisions) || !revisions.length) {return;}
+      const updated = JSON.stringify(change(revisions));
+      if (updated === raw) {return;}
+      freed += raw.length - updated.length;
+      if (recordKey) {
+        persistentStore.setItem(recordKey, JSON.stringify({ ...data, [key]: updated }));
+      } else {
+        Utils.setStorageItem(key, JSON.parse(updated));
+      }
+    });
+    return freed;
+  }
+
+  /**
+   * Compact all but the latest revisions of each project: lines keep code, room,
+   * quantity and price, so they can still be compared, but lose descriptions
+   * @param {number} [keep] - Latest revisions left in full
+   * @returns {number} Approximate bytes freed
+   */
+  compactRevisions(keep = config.get('storage.keepRevisions', 10)) {
+    const freed = this.updateRevisions(revisions => revisions.map((revision, i) => {
+      if (i >= revisions.length - keep || revision.compact) {return revision;}
+      return {
+        ...revision,
+        compact: true,
+        lines: revision.lines.map(line => {
+          const compacted = { ...line };
+          delete compacted.description;
+          return compacted;
+        })
+      };
+    }));
+    console.log(`🧹 Compacted old revisions (${formatBytes(freed)} freed)`);
+    return freed;
+  }
+
+  /**
+   * Delete all but the latest revisions of each project
+   * @param {number} [keep] - Latest revisions kept
+   * @returns {number} Approximate bytes freed
+   */
+  dropOldRevisions(keep = config.get('storage.keepRevisions', 10)) {
+    const freed = this.updateRevisions(revisions => revisions.slice(-keep));
+    console.log(`🧹 Dropped revisions beyond the latest ${keep} (${formatBytes(freed)} freed)`);
+    return freed;
+  }
+
+  /**
+   * Delete files (logos, tip/tail PDFs) that no project or setting uses
+   * @async
+   * @returns {Promise<{count: number, bytes: number}>}
+   */
+  async purgeUnusedFiles() {
+    const refs = this.getFileReferences();
+    const unused = (await persistentStore.listFiles()).filter(file => !refs.has(file.id));
+    for (const file of unused) {
+      await persistentStore.deleteBlob(file.id);
+    }
+    const bytes = unused.reduce((sum, file) => sum + file.size, 0);
+    console.log(`🧹 Removed ${unused.length} unused files (${formatBytes(bytes)})`);
+    return { count: unused.length, bytes };
+  }
+
+  /**
+   * Keep only the latest catalog snapshots (used for "prices as of" PDFs)
+   * @async
+   * @param {number} keep
+   * @returns {Promise<number>} Snapshots removed
+   */
+  async trimCatalogHistory(keep) {
+    return catalogHistory.prune(keep);
+  }
+
+  /**
+   * Delete the saved error logs
+   * @returns {number} Bytes freed
+   */
+  clearLogs() {
+    const bytes = (localStorage.getItem(config.get('storage.keys.criticalLogs', 'criticalLogs')) || '').length;
+    errorHandler.clearLogs();
+    return bytes;
+  }
+}
+
+// Global instance
+export const storageMonitor = new StorageMonitor();
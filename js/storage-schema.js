@@ -0,0 +1,248 @@
+/**
+ * Storage Schema
+ * Version stamp and ordered migrations for persisted data. Older saves carried several
+ * shapes at once (a legacy `selection` copy next to `selectedProducts`, order codes and
+ * prices under different names); the migrations bring them to one canonical line item:
+ *
+ *   { id, product: { OrderCode, RRP_EX, RRP_INCGST, ...catalog fields }, room, notes, quantity, timestamp }
+ *
+ * Migrations are pure functions over a set of raw stored values (`{ key: string|null }`),
+ * so they can be run against fixture data. `storageSchema.run()` applies them at startup
+ * to the live keys and to every saved project.
+ *
+ * To change the shape: add a migration with the next version number and bump
+ * SCHEMA_VERSION.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { persistentStore } from './persistent-store.js';
+import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
+
+export const SCHEMA_VERSION = 3;
+
+// Data saved before versioning
+const UNVERSIONED = 1;
+const LEGACY_SELECTION_KEY = 'selection';
+// Saved projects (see js/projects.js)
+const PROJECT_KEY_PREFIX = 'project:';
+
+/**
+ * Names older code and imports used for the canonical product fields
+ */
+const PRODUCT_FIELD_ALIASES = {
+  OrderCode: ['orderCode', 'Order Code', 'Code'],
+  RRP_EX: ['RRP EX GST', 'RRP_EXGST', 'rrpExGst', 'RRP EX'],
+  RRP_INCGST: ['RRP INC GST', 'rrpIncGst']
+};
+
+/**
+ * @private
+ * @param {string|null|undefined} raw
+ * @returns {*}
+ */
+function parseJson(raw) {
+  if (!raw) {return null;}
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Bring a stored product to the canonical field names
+ * @param {Object} product
+ * @returns {Object}
+ */
+export function normalizeProduct(product) {
+  const normalized = { ...(product || {}) };
+  Object.entries(PRODUCT_FIELD_ALIASES).forEach(([field, aliases]) => {
+    const source = [field, ...aliases].find(name => normalized[name] !== undefined && normalized[name] !== null && normalized[name] !== '');
+    normalized[field] = source ? String(normalized[source]) : '';
+    aliases.forEach(alias => delete normalized[alias]);
+  });
+  return normalized;
+}
+
+/**
+ * Bring a stored selection line to the canonical shape
+ * @param {Object} item
+ * @param {number} [now=Date.now()] - Timestamp for lines saved without one
+ * @returns {{id: string, product: Object, room: string, notes: string, quantity: number, timestamp: number}}
+ */
+export function normalizeLineItem(item, now = Date.now()) {
+  return {
+    ...item,
+    id: item.id ? String(item.id) : Utils.generateId(),
+    product: normalizeProduct(item.product),
+    room: typeof item.room === 'string' ? item.room : '',
+    notes: typeof item.notes === 'string' ? item.notes : '',
+    quantity: Math.max(1, parseInt(item.quantity) || 1),
+    timestamp: Number(item.timestamp) || now
+  };
+}
+
+/**
+ * Ordered migrations. Each receives the raw values of one scope (the live keys, or
+ * one saved project) and returns them updated; `null` removes a key.
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Merge the legacy `selection` key into `selectedProducts`',
+    migrate(values, { selectionKey, now }) {
+      if (!(LEGACY_SELECTION_KEY in values)) {return values;}
+      const current = parseJson(values[selectionKey]);
+      const legacy = parseJson(values[LEGACY_SELECTION_KEY]);
+      if ((!Array.isArray(current) || !current.length) && Array.isArray(legacy) && legacy.length) {
+        const items = legacy.map(({ Room, Notes, Quantity, Timestamp, ...product }) => ({
+          id: Utils.generateId(),
+          product,
+          room: Room || '',
+          notes: Notes || '',
+          quantity: Quantity || 1,
+          timestamp: Date.parse(Timestamp) || now
+        }));
+        values[selectionKey] = JSON.stringify(items);
+      }
+      values[LEGACY_SELECTION_KEY] = null;
+      return values;
+    }
+  },
+  {
+    version: 3,
+    description: 'Canonical line items (one name for order codes and prices)',
+    migrate(values, { selectionKey, now }) {
+      const items = parseJson(values[selectionKey]);
+      if (Array.isArray(items)) {
+        values[selectionKey] = JSON.stringify(items
+          .filter(item => item && typeof item === 'object')
+          .map(item => normalizeLineItem(item, now)));
+      }
+      return values;
+    }
+  }
+];
+
+/**
+ * Run the migrations newer than `fromVersion` over one scope of raw values
+ * @param {Object<string, string|null>} values - Raw stored values by key
+ * @param {number} fromVersion - Schema version the values were saved with
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Timestamp for lines saved without one
+ * @returns {{values: Object<string, string|null>, applied: number[]}}
+ */
+export function migrateValues(values, fromVersion, { now = Date.now() } = {}) {
+  const context = {
+    selectionKey: config.get('storage.keys.selectedProducts', 'selectedProducts'),
+    now
+  };
+  let result = { ...values };
+  const applied = [];
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      result = migration.migrate(result, context);
+      applied.push(migration.version);
+    });
+  return { values: result, applied };
+}
+
+/**
+ * Applies the migrations to stored data and keeps the version stamp
+ * @class StorageSchema
+ */
+export class StorageSchema {
+  /**
+   * @private
+   * @returns {string}
+   */
+  getVersionKey() {
+    return config.get('storage.keys.schemaVersion', 'storageSchemaVersion');
+  }
+
+  /**
+   * Schema version of the stored data
+   * @returns {number}
+   */
+  getVersion() {
+    return Number(persistentStore.getItem(this.getVersionKey())) || UNVERSIONED;
+  }
+
+  /**
+   * Migrate stored data to SCHEMA_VERSION. Call after `persistentStore.init()`.
+   * @returns {number[]} Versions applied
+   */
+  run() {
+    const from = this.getVersion();
+    if (from > SCHEMA_VERSION) {
+      console.warn(`⚠️ Stored data is from a newer version of the app (schema ${from}); not migrating`);
+      return [];
+    }
+    if (from === SCHEMA_VERSION) {return [];}
+
+    try {
+      const selectionKey = config.get('storage.keys.selectedProducts', 'selectedProducts');
+      const liveKeys = [selectionKey, LEGACY_SELECTION_KEY];
+      const live = {};
+      liveKeys.forEach(key => {
+        live[key] = persistentStore.getItem(key);
+      });
+      const { values, applied } = migrateValues(live, from);
+      this.write(values, live);
+
+      persistentStore.keys()
+        .filter(key => key.startsWith(PROJECT_KEY_PREFIX))
+        .forEach(key => {
+          const record = parseJson(persistentStore.getItem(key));
+          if (!record) {return;}
+          const migrated = migrateValues(record, from).values;
+          Object.keys(migrated).forEach(name => {
+            if (migrated[name] === null) {delete migrated[name];}
+          });
+          persistentStore.setItem(key, JSON.stringify(migrated));
+        });
+
+      persistentStore.setItem(this.getVersionKey(), String(SCHEMA_VERSION));
+      console.log(`🗂️ Storage migrated from schema ${from} to ${SCHEMA_VERSION} (${applied.join(', ')})`);
+      return applied;
+    } catch (error) {
+      // Left at the old version so the next start tries again
+      errorHandler.handleError({
+        message: `Storage migration from schema ${from} failed`,
+        error,
+        category: ErrorCategory.STORAGE,
+        level: LogLevel.ERROR,
+        context: 'storage-migration'
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Write back the values a migration changed
+   * @private
+   * @param {Object<string, string|null>} values
+   * @param {Object<string, string|null>} previous
+   */
+  write(values, previous) {
+    Object.keys(values).forEach(key => {
+      if (values[key] === previous[key]) {return;}
+      if (values[key] === null || values[key] === undefined) {
+        persistentStore.removeItem(key);
+      } else {
+        persistentStore.setItem(key, values[key]);
+      }
+    });
+  }
+}
+
+// Global instance
+export const storageSchema = new StorageSchema();
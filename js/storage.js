@@ -1,6 +1,7 @@
 /**
  * Storage Management Module
- * Handles all localStorage operations with enhanced error handling and validation
+ * Handles all selection and room storage with enhanced error handling and validation.
+ * Values are kept in IndexedDB through persistent-store.js (see Utils.getStorageItem).
  *
  * @author Seima Development Team
  * @version 2.0.0
@@ -10,9 +11,11 @@
 import { config } from './config-manager.js';
 import { errorHandler, ErrorCategory, LogLevel } from './error-handler.js';
 import { Utils } from './utils.js';
+import { normalizeLineItem } from './storage-schema.js';
+import { selectionHistory } from './selection-history.js';
 
 /**
- * Storage Manager class for handling all localStorage operations
+ * Storage Manager class for handling all selection storage operations
  * Provides safe, validated storage with error handling and data validation
  * @class StorageManager
  */
@@ -27,13 +30,20 @@ export class StorageManager {
   }
 
   /**
-   * Set custom rooms in storage
+   * Set custom rooms in storage (recorded for undo, see selection-history.js)
    * @static
    * @param {Array<Object>} rooms - Array of room objects to store
+   * @param {string} [label='Edit rooms'] - Name of the change on the undo button
    * @returns {boolean} True if successful
    */
-  static setCustomRooms(rooms) {
-    return Utils.setStorageItem(config.get('storage.keys.customRooms'), rooms);
+  static setCustomRooms(rooms, label = 'Edit rooms') {
+    const before = selectionHistory.readState();
+    const saved = Utils.setStorageItem(config.get('storage.keys.customRooms'), rooms);
+    if (saved) {
+      selectionHistory.record(before, selectionHistory.readState(), label);
+      this.notifyChanged();
+    }
+    return saved;
   }
 
   /**
@@ -54,7 +64,7 @@ export class StorageManager {
     if (allRooms.includes(sanitizedName)) {return false;}
 
     customRooms.push({ name: sanitizedName });
-    return this.setCustomRooms(customRooms);
+    return this.setCustomRooms(customRooms, 'Add room');
   }
 
   /**
@@ -67,7 +77,7 @@ export class StorageManager {
     const customRooms = this.getCustomRooms();
     if (index >= 0 && index < customRooms.length) {
       customRooms.splice(index, 1);
-      return this.setCustomRooms(customRooms);
+      return this.setCustomRooms(customRooms, 'Remove room');
     }
     return false;
   }
@@ -82,13 +92,31 @@ export class StorageManager {
   }
 
   /**
-   * Set selected products in storage
+   * Set selected products in storage (stored as canonical line items, see storage-schema.js).
+   * The change is recorded for undo, see selection-history.js.
    * @static
    * @param {Array<Object>} products - Array of product objects to store
+   * @param {string} [label='Edit selection'] - Name of the change on the undo button
    * @returns {boolean} True if successful
    */
-  static setSelectedProducts(products) {
-    return Utils.setStorageItem(config.get('storage.keys.selectedProducts'), products);
+  static setSelectedProducts(products, label = 'Edit selection') {
+    const before = selectionHistory.readState();
+    const items = products.map(item => normalizeLineItem(item));
+    const saved = Utils.setStorageItem(config.get('storage.keys.selectedProducts'), items);
+    if (saved) {
+      selectionHistory.record(before, selectionHistory.readState(), label);
+      this.notifyChanged();
+    }
+    return saved;
+  }
+
+  /**
+   * Tell listeners (the project list) that the selection or rooms changed
+   * @static
+   * @private
+   */
+  static notifyChanged() {
+    window.dispatchEvent(new CustomEvent('selectionChanged'));
   }
 
   /**
@@ -115,7 +143,7 @@ export class StorageManager {
       };
 
       selectedProducts.push(productEntry);
-      const success = this.setSelectedProducts(selectedProducts);
+      const success = this.setSelectedProducts(selectedProducts, 'Add product');
 
       if (success) {
         errorHandler.log(`Product added to selection: ${product.OrderCode}`, LogLevel.DEBUG);
@@ -145,7 +173,7 @@ export class StorageManager {
 
     if (productIndex !== -1) {
       selectedProducts[productIndex].quantity = Math.max(1, parseInt(newQuantity) || 1);
-      return this.setSelectedProducts(selectedProducts);
+      return this.setSelectedProducts(selectedProducts, 'Change quantity');
     }
     return false;
   }
@@ -156,7 +184,7 @@ export class StorageManager {
 
     if (productIndex !== -1) {
       selectedProducts[productIndex].room = Utils.sanitizeInput(newRoom, 50);
-      return this.setSelectedProducts(selectedProducts);
+      return this.setSelectedProducts(selectedProducts, 'Move to room');
     }
     return false;
   }
@@ -167,7 +195,7 @@ export class StorageManager {
 
     if (productIndex !== -1) {
       selectedProducts[productIndex].notes = Utils.sanitizeInput(newNotes, config.get('ui.annotationMaxLength', 140));
-      return this.setSelectedProducts(selectedProducts);
+      return this.setSelectedProducts(selectedProducts, 'Edit notes');
     }
     return false;
   }
@@ -179,7 +207,19 @@ export class StorageManager {
     if (productIndex !== -1) {
       // Update the UserEditedPrice field in the product data
       selectedProducts[productIndex].product.UserEditedPrice = newPrice;
-      return this.setSelectedProducts(selectedProducts);
+      return this.setSelectedProducts(selectedProducts, 'Change price');
+    }
+    return false;
+  }
+
+  static updateProduct(productId, product) {
+    const selectedProducts = this.getSelectedProducts();
+    const productIndex = selectedProducts.findIndex(p => p.id === productId);
+
+    if (productIndex !== -1) {
+      // Swap the product (e.g. to another finish) keeping room, quantity and notes
+      selectedProducts[productIndex].product = Utils.deepClone(product);
+      return this.setSelectedProducts(selectedProducts, 'Change product');
     }
     return false;
   }
@@ -187,11 +227,31 @@ export class StorageManager {
   static removeProductFromSelection(productId) {
     const selectedProducts = this.getSelectedProducts();
     const filteredProducts = selectedProducts.filter(p => p.id !== productId);
-    return this.setSelectedProducts(filteredProducts);
+    return this.setSelectedProducts(filteredProducts, 'Remove product');
+  }
+
+  /**
+   * Put the lines in the given order (after dragging rows)
+   * @static
+   * @param {Array<string>} productIds - Line ids in the new order; others keep their place at the end
+   * @returns {boolean} True if successful
+   */
+  static reorderProducts(productIds) {
+    const selectedProducts = this.getSelectedProducts();
+    const ordered = productIds
+      .map(id => selectedProducts.find(p => p.id === id))
+      .filter(Boolean);
+    const rest = selectedProducts.filter(p => !productIds.includes(p.id));
+    return this.setSelectedProducts([...ordered, ...rest], 'Move row');
   }
 
   static clearAllSelections() {
-    return this.setSelectedProducts([]) && this.setCustomRooms([]);
+    selectionHistory.begin('Clear all');
+    try {
+      return this.setSelectedProducts([]) && this.setCustomRooms([]);
+    } finally {
+      selectionHistory.end();
+    }
   }
 
   static getSelectionCount() {
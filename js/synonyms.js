@@ -0,0 +1,151 @@
+/**
+ * Search Synonym Dictionary
+ * Groups of interchangeable search terms ("toilet", "loo", "wc") used to expand queries
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { tokenize } from './search-engine.js';
+
+/**
+ * Groups used until staff save their own
+ * @readonly
+ */
+export const DEFAULT_SYNONYM_GROUPS = [
+  ['toilet', 'loo', 'wc', 'pan', 'lavatory'],
+  ['tap', 'mixer', 'faucet'],
+  ['basin', 'sink', 'washbasin'],
+  ['bath', 'bathtub', 'tub'],
+  ['waste', 'drain', 'plug'],
+  ['matte', 'matt']
+];
+
+/**
+ * Synonym dictionary persisted in localStorage
+ * @class SynonymDictionary
+ */
+export class SynonymDictionary {
+  constructor() {
+    this.lookup = null;
+  }
+
+  /**
+   * Storage key for the synonym groups
+   * @private
+   * @returns {string}
+   */
+  get storageKey() {
+    return config.get('storage.keys.searchSynonyms', 'searchSynonyms');
+  }
+
+  /**
+   * Get the current synonym groups
+   * @returns {Array<string[]>}
+   */
+  getGroups() {
+    return Utils.getStorageItem(this.storageKey, DEFAULT_SYNONYM_GROUPS);
+  }
+
+  /**
+   * Replace all synonym groups
+   * @param {Array<string[]>} groups
+   * @returns {boolean} True if saved
+   */
+  setGroups(groups) {
+    const cleaned = groups
+      .map(group => [...new Set(group.map(term => term.toString().trim().toLowerCase()).filter(Boolean))])
+      .filter(group => group.length > 1);
+    this.lookup = null;
+    return Utils.setStorageItem(this.storageKey, cleaned);
+  }
+
+  /**
+   * Restore the built-in groups
+   * @returns {boolean}
+   */
+  reset() {
+    return this.setGroups(DEFAULT_SYNONYM_GROUPS);
+  }
+
+  /**
+   * Alternative tokens for a single query token.
+   * Multi-word terms contribute each of their words.
+   * @param {string} token - Lower-case query token
+   * @returns {string[]} Other tokens from every group containing the token
+   */
+  getSynonyms(token) {
+    if (!this.lookup) {
+      this.lookup = new Map();
+      this.getGroups().forEach(group => {
+        const groupTokens = group.flatMap(tokenize);
+        group.forEach(term => {
+          tokenize(term).forEach(termToken => {
+            const existing = this.lookup.get(termToken) || new Set();
+            groupTokens.forEach(t => {
+              if (t !== termToken) {existing.add(t);}
+            });
+            this.lookup.set(termToken, existing);
+          });
+        });
+      });
+    }
+    return Array.from(this.lookup.get(token) || []);
+  }
+
+  /**
+   * Format groups as editable text: one group per line, terms separated by commas
+   * @param {Array<string[]>} [groups]
+   * @returns {string}
+   */
+  toText(groups = this.getGroups()) {
+    return groups.map(group => group.join(', ')).join('\n');
+  }
+
+  /**
+   * Parse editable text or CSV (one group per line, comma-separated)
+   * @param {string} text
+   * @returns {Array<string[]>}
+   */
+  parseText(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.split(',').map(term => term.replace(/^"|"$/g, '').trim()).filter(Boolean));
+  }
+
+  /**
+   * Parse a JSON synonym file.
+   * Accepts either an array of groups (`[["tap", "mixer"]]`) or a map of term to aliases
+   * (`{"toilet": ["loo", "wc"]}`).
+   * @param {string} text
+   * @returns {Array<string[]>}
+   * @throws {Error} If the JSON is not in a supported shape
+   */
+  parseJson(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+      return data.filter(Array.isArray);
+    }
+    if (data && typeof data === 'object') {
+      return Object.entries(data).map(([term, aliases]) => [term, ...(Array.isArray(aliases) ? aliases : [aliases])]);
+    }
+    throw new Error('Synonym file must be an array of groups or an object of term: aliases');
+  }
+
+  /**
+   * Read groups from an uploaded .json, .csv or .txt file
+   * @async
+   * @param {File} file
+   * @returns {Promise<Array<string[]>>}
+   */
+  async readFile(file) {
+    const text = await file.text();
+    return file.name.toLowerCase().endsWith('.json') ? this.parseJson(text) : this.parseText(text);
+  }
+}
+
+// Global instance
+export const synonymDictionary = new SynonymDictionary();
@@ -0,0 +1,234 @@
+/**
+ * Tab Sync
+ * Keeps the selection and project data in step between tabs of the app (e.g. the lookup
+ * screen in one tab and the grid in another). Each tab holds its own copy of the stored
+ * values (see persistent-store.js), so every write is sent to the other tabs:
+ * - over a BroadcastChannel, or a localStorage relay key where BroadcastChannel is missing
+ * - through native `storage` events when the store has fallen back to localStorage
+ *
+ * When two tabs change the selection at the same moment, the changes are merged line by
+ * line. If both changed the same line, the later write wins in both tabs and the tab whose
+ * edit was replaced is told about the conflict.
+ *
+ * Listeners get a `storageSynced` window event ({ key, conflicts }); a project opened in
+ * another tab raises `projectChanged` and a changed project list `projectsUpdated`.
+ * Catalog caches are not synced: each tab loads the catalog itself.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { config } from './config-manager.js';
+import { Utils } from './utils.js';
+import { persistentStore } from './persistent-store.js';
+import { getProjectStorageKeys } from './projects.js';
+
+const CHANNEL_NAME = 'seima-sync';
+// localStorage relay for browsers without BroadcastChannel
+const RELAY_KEY = 'seimaSyncMessage';
+const PROJECT_KEY_PREFIX = 'project:';
+
+/**
+ * @private
+ * @param {string|null} raw
+ * @returns {Array<Object>}
+ */
+function parseItems(raw) {
+  try {
+    const items = raw ? JSON.parse(raw) : [];
+    return Array.isArray(items) ? items : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Three-way merge of selection lines written by two tabs from the same starting point.
+ * Both tabs build the same result: lines from the base keep the base order (or the order
+ * of the tab that moved rows; the winning tab's if both did), then lines either tab added,
+ * oldest first.
+ * @param {Array<Object>} base - Lines both tabs started from
+ * @param {Array<Object>} mine - Lines as written by this tab
+ * @param {Array<Object>} theirs - Lines as written by the other tab
+ * @param {boolean} theirsWin - Which version to keep for a line both tabs changed
+ * @returns {{items: Array<Object>, conflicts: Array<{id: string, mine: Object|null, theirs: Object|null}>}}
+ */
+export function mergeSelections(base, mine, theirs, theirsWin) {
+  const index = items => new Map(items.map(item => [item.id, item]));
+  const baseById = index(base);
+  const mineById = index(mine);
+  const theirsById = index(theirs);
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const conflicts = [];
+
+  const baseIds = base.map(item => item.id);
+  const baseOrderOf = items => items.map(item => item.id).filter(id => baseById.has(id));
+  const isReordered = order => order.join('\n') !== baseIds.filter(id => order.includes(id)).join('\n');
+  const mineOrder = baseOrderOf(mine);
+  const theirsOrder = baseOrderOf(theirs);
+  let order = baseIds;
+  if (isReordered(mineOrder) && !(theirsWin && isReordered(theirsOrder))) {
+    order = mineOrder;
+  } else if (isReordered(theirsOrder)) {
+    order = theirsOrder;
+  }
+  const added = [...mine, ...theirs]
+    .filter((item, i, all) => !baseById.has(item.id) && all.findIndex(other => other.id === item.id) === i)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0) || String(a.id).localeCompare(String(b.id)))
+    .map(item => item.id);
+  const ids = [...order, ...baseIds.filter(id => !order.includes(id)), ...added];
+  const items = [];
+  ids.forEach(id => {
+    const b = baseById.get(id);
+    const m = mineById.get(id);
+    const t = theirsById.get(id);
+    let kept;
+    if (same(m, t) || same(m, b)) {
+      kept = t;
+    } else if (same(t, b)) {
+      kept = m;
+    } else {
+      conflicts.push({ id, mine: m || null, theirs: t || null });
+      kept = theirsWin ? t : m;
+    }
+    if (kept) {items.push(kept);}
+  });
+  return { items, conflicts };
+}
+
+/**
+ * Sends this tab's writes to other tabs and takes in theirs
+ * @class TabSync
+ */
+export class TabSync {
+  constructor() {
+    this.tabId = Utils.generateId();
+    this.channel = null;
+    this.lastWriteTime = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Start syncing. Call after `persistentStore.init()`.
+   */
+  init() {
+    if (this.initialized) {return;}
+    this.initialized = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    }
+    persistentStore.onWrite((key, value, previous) => this.send(key, value, previous));
+    window.addEventListener('storage', (event) => this.handleStorageEvent(event));
+    console.log(`🔁 Tab sync ready (${this.channel ? 'BroadcastChannel' : 'storage events'})`);
+  }
+
+  /**
+   * Keys kept in step between tabs
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isSynced(key) {
+    if (!key) {return false;}
+    return key.startsWith(PROJECT_KEY_PREFIX) || [
+      ...getProjectStorageKeys(),
+      config.get('storage.keys.projects', 'projects'),
+      config.get('storage.keys.activeProject', 'activeProjectId'),
+      config.get('storage.keys.userPreferences', 'userPreferences')
+    ].includes(key);
+  }
+
+  /**
+   * Tell the other tabs about a write made here
+   * @private
+   * @param {string} key
+   * @param {string|null} value
+   * @param {string|null} base - Value before the write
+   */
+  send(key, value, base) {
+    if (!this.isSynced(key)) {return;}
+    const message = { tabId: this.tabId, key, value, base, time: Date.now() };
+    this.lastWriteTime.set(key, message.time);
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        localStorage.setItem(RELAY_KEY, JSON.stringify(message));
+      }
+    } catch (e) {
+      console.warn(`⚠️ Could not send ${key} to other tabs:`, e);
+    }
+  }
+
+  /**
+   * Take in a write made in another tab
+   * @private
+   * @param {{tabId: string, key: string, value: string|null, base: string|null, time: number}} message
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId || !this.isSynced(message.key)) {return;}
+    const { key, value, base } = message;
+    const mine = persistentStore.getItem(key);
+    if (mine === value) {return;}
+
+    let conflicts = [];
+    if (key === config.get('storage.keys.selectedProducts', 'selectedProducts') && mine !== base) {
+      // Both tabs wrote since they were last in step
+      const lastWrite = this.lastWriteTime.get(key) || 0;
+      const theirsWin = message.time > lastWrite || (message.time === lastWrite && message.tabId > this.tabId);
+      const merged = mergeSelections(parseItems(base), parseItems(mine), parseItems(value), theirsWin);
+      persistentStore.applyRemoteChange(key, value);
+      const mergedValue = JSON.stringify(merged.items);
+      if (mergedValue !== value) {
+        persistentStore.setItem(key, mergedValue);
+      }
+      if (theirsWin) {conflicts = merged.conflicts;}
+    } else {
+      persistentStore.applyRemoteChange(key, value);
+    }
+    this.notify(key, mine, value, conflicts);
+  }
+
+  /**
+   * @private
+   * @param {StorageEvent} event
+   */
+  handleStorageEvent(event) {
+    if (event.key === RELAY_KEY) {
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (e) {
+        console.warn('⚠️ Ignoring unreadable sync message:', e);
+      }
+      return;
+    }
+    // Store in localStorage mode: the value is already shared, only listeners need telling
+    if (!persistentStore.isUsingIndexedDb() && this.isSynced(event.key)) {
+      this.notify(event.key, event.oldValue, event.newValue, []);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @param {string|null} previous
+   * @param {string|null} value
+   * @param {Array<Object>} conflicts
+   */
+  notify(key, previous, value, conflicts) {
+    if (key === config.get('storage.keys.activeProject', 'activeProjectId')) {
+      window.dispatchEvent(new CustomEvent('projectChanged', { detail: { from: previous, to: value, remote: true } }));
+      return;
+    }
+    if (key === config.get('storage.keys.projects', 'projects')) {
+      window.dispatchEvent(new CustomEvent('projectsUpdated', { detail: { remote: true } }));
+      return;
+    }
+    window.dispatchEvent(new CustomEvent('storageSynced', { detail: { key, conflicts } }));
+  }
+}
+
+// Global instance
+export const tabSync = new TabSync();
@@ -7,6 +7,8 @@
  * @since 1.8.1
  */
 
+import { persistentStore, isQuotaError } from './persistent-store.js';
+
 /**
  * Utility class containing static methods for common operations
  * @class Utils
@@ -146,6 +148,26 @@ export class Utils {
     return sanitized;
   }
 
+  /**
+   * Escape text for use inside HTML markup
+   * @static
+   * @param {*} text - Text to escape
+   * @returns {string} Escaped string
+   *
+   * @example
+   * ```javascript
+   * Utils.escapeHtml('Smith & Co <Bathrooms>'); // "Smith &amp; Co &lt;Bathrooms&gt;"
+   * ```
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Create a debounced version of a function that delays execution
    * @static
@@ -207,9 +229,9 @@ export class Utils {
   }
 
   /**
-   * Safely retrieve and parse a localStorage item
+   * Safely retrieve and parse a stored item (IndexedDB-backed, see persistent-store.js)
    * @static
-   * @param {string} key - localStorage key
+   * @param {string} key - Storage key
    * @param {*} [defaultValue=null] - Default value if key doesn't exist or parsing fails
    * @returns {*} Parsed value or default value
    *
@@ -222,18 +244,20 @@ export class Utils {
    */
   static getStorageItem(key, defaultValue = null) {
     try {
-      const item = localStorage.getItem(key);
+      const item = persistentStore.getItem(key);
       return item ? JSON.parse(item) : defaultValue;
     } catch (e) {
-      console.warn(`Failed to parse localStorage item: ${key}`, e);
+      console.warn(`Failed to parse stored item: ${key}`, e);
       return defaultValue;
     }
   }
 
   /**
-   * Safely stringify and store a value in localStorage
+   * Safely stringify and store a value (IndexedDB-backed, see persistent-store.js).
+   * IndexedDB writes finish in the background; one that fails is rolled back and raises
+   * `storageWriteFailed`.
    * @static
-   * @param {string} key - localStorage key
+   * @param {string} key - Storage key
    * @param {*} value - Value to store (will be JSON stringified)
    * @returns {boolean} True if successful, false otherwise
    *
@@ -247,11 +271,37 @@ export class Utils {
    */
   static setStorageItem(key, value) {
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      persistentStore.setItem(key, JSON.stringify(value));
       return true;
     } catch (e) {
-      console.warn(`Failed to set localStorage item: ${key}`, e);
+      if (isQuotaError(e)) {
+        persistentStore.reportQuotaExceeded(key, e);
+      }
+      console.warn(`Failed to store item: ${key}`, e);
       return false;
     }
   }
+
+  /**
+   * Save a Blob to the user's device via a temporary download link
+   * @static
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   *
+   * @example
+   * ```javascript
+   * Utils.downloadBlob(new Blob(['a,b'], { type: 'text/csv' }), 'report.csv');
+   * ```
+   */
+  static downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 }
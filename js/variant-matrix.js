@@ -0,0 +1,309 @@
+/**
+ * Variant Matrix
+ * Splits the variants of a range (products sharing a `Product Name`) into separate
+ * finish / colour / size / handing selectors. Attributes come from Finish, Colour, Size
+ * and Handing columns when the catalog has them, otherwise from the Description.
+ * Combinations that do not exist are greyed out; picking one jumps to the closest variant.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+import { Utils } from './utils.js';
+
+const FINISHES = [
+  'brushed gunmetal', 'gun metal', 'gunmetal', 'brushed nickel', 'brushed brass', 'brushed bronze',
+  'brushed gold', 'brushed copper', 'brushed stainless', 'rose gold', 'matte black', 'matt black',
+  'satin black', 'satin nickel', 'polished nickel', 'polished brass', 'stainless steel',
+  'chrome', 'nickel', 'brass', 'bronze', 'copper', 'gold', 'stainless'
+];
+
+const COLOURS = [
+  'matte white', 'matt white', 'gloss white', 'gloss black', 'white', 'black', 'grey', 'gray',
+  'charcoal', 'oak', 'walnut', 'timber', 'concrete', 'stone', 'ivory', 'beige', 'navy',
+  'green', 'blue', 'pink', 'terrazzo'
+];
+
+const HANDINGS = [
+  ['left hand', 'Left'], ['right hand', 'Right'], ['l/h', 'Left'], ['r/h', 'Right'],
+  ['lh', 'Left'], ['rh', 'Right'], ['left', 'Left'], ['right', 'Right'],
+  ['centre', 'Centre'], ['center', 'Centre'], ['reversible', 'Reversible']
+];
+
+const SIZE_PATTERNS = [
+  /\b\d{2,4}\s?x\s?\d{2,4}(?:\s?x\s?\d{2,4})?(?:\s?mm)?\b/i,
+  /\b\d+(?:\.\d+)?\s?(?:mm|cm|m|l|lt|ltr|litres?)\b/i,
+  /\b(?:extra large|small|medium|large)\b/i,
+  /\b\d{3,4}\b/
+];
+
+/**
+ * Variant dimensions, in display order
+ * @readonly
+ */
+export const VARIANT_DIMENSIONS = [
+  { key: 'finish', label: 'Finish', columns: ['Finish'] },
+  { key: 'colour', label: 'Colour', columns: ['Colour', 'Color'] },
+  { key: 'size', label: 'Size', columns: ['Size'] },
+  { key: 'handing', label: 'Handing', columns: ['Handing'] }
+];
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * @private
+ */
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+/**
+ * Find the first listed phrase in the text and cut it out
+ * @private
+ * @returns {{value: string, rest: string}}
+ */
+function takePhrase(text, phrases) {
+  for (const phrase of phrases) {
+    const [needle, label] = Array.isArray(phrase) ? phrase : [phrase, null];
+    const match = text.match(new RegExp(`(^|[^a-z0-9/])(${escapeRegExp(needle)})(?![a-z0-9/])`, 'i'));
+    if (match) {
+      const start = match.index + match[1].length;
+      return {
+        value: label || titleCase(match[2]),
+        rest: `${text.slice(0, start)} ${text.slice(start + match[2].length)}`
+      };
+    }
+  }
+  return { value: '', rest: text };
+}
+
+/**
+ * @private
+ */
+function takeSize(text) {
+  for (const pattern of SIZE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return {
+        value: match[0].replace(/\s+/g, '').toLowerCase().replace(/^[a-z]/, c => c.toUpperCase()),
+        rest: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`
+      };
+    }
+  }
+  return { value: '', rest: text };
+}
+
+/**
+ * Variant attributes of one product
+ * @param {Object} product
+ * @returns {{finish: string, colour: string, size: string, handing: string, rest: string}}
+ *   `rest` is what is left of the Description once the attributes are taken out
+ */
+export function extractVariantAttributes(product) {
+  let rest = (product.Description || product['Product Name'] || '').toString();
+  const attributes = {};
+
+  const fromColumn = dimension => {
+    const column = dimension.columns.find(name => (product[name] || '').toString().trim());
+    return column ? product[column].toString().trim() : '';
+  };
+
+  VARIANT_DIMENSIONS.forEach(dimension => {
+    const explicit = fromColumn(dimension);
+    if (explicit) {
+      attributes[dimension.key] = explicit;
+      return;
+    }
+    let taken;
+    if (dimension.key === 'finish') {taken = takePhrase(rest, FINISHES);}
+    if (dimension.key === 'colour') {taken = takePhrase(rest, COLOURS);}
+    if (dimension.key === 'size') {taken = takeSize(rest);}
+    if (dimension.key === 'handing') {taken = takePhrase(rest, HANDINGS);}
+    attributes[dimension.key] = taken.value;
+    rest = taken.rest;
+  });
+
+  attributes.rest = rest.replace(/\s+/g, ' ').trim();
+  return attributes;
+}
+
+/**
+ * @private
+ */
+function codeOf(product) {
+  return (product?.OrderCode || '').toString();
+}
+
+/**
+ * @private
+ */
+function keyOf(attributes, dimensions) {
+  return dimensions.map(dimension => attributes[dimension.key]).join('\u0000');
+}
+
+/**
+ * Build the selector matrix for a set of variants.
+ * Only dimensions that vary are kept. If the attributes cannot tell every variant apart,
+ * the leftover Description words become an "Option" dimension, and failing that the
+ * matrix falls back to a single list of Descriptions.
+ * @param {Array<Object>} variants
+ * @returns {{dimensions: Array<{key: string, label: string, values: string[]}>, entries: Array<{product: Object, attributes: Object}>}}
+ */
+export function buildVariantMatrix(variants) {
+  const entries = variants.map(product => ({ product, attributes: extractVariantAttributes(product) }));
+  const distinct = key => Array.from(new Set(entries.map(entry => entry.attributes[key])));
+  const isUnique = dimensions => new Set(entries.map(entry => keyOf(entry.attributes, dimensions))).size === entries.length;
+
+  let dimensions = VARIANT_DIMENSIONS
+    .filter(dimension => distinct(dimension.key).length > 1)
+    .map(({ key, label }) => ({ key, label }));
+
+  if (!isUnique(dimensions)) {
+    // Words the variants do not share, e.g. "With Overflow" / "Without Overflow"
+    const common = entries.reduce((shared, entry, index) => {
+      const words = new Set(entry.attributes.rest.toLowerCase().split(' '));
+      return index === 0 ? words : new Set([...shared].filter(word => words.has(word)));
+    }, new Set());
+    entries.forEach(entry => {
+      entry.attributes.option = entry.attributes.rest.split(' ').filter(word => !common.has(word.toLowerCase())).join(' ');
+    });
+    dimensions.push({ key: 'option', label: 'Option' });
+  }
+
+  if (!isUnique(dimensions)) {
+    entries.forEach(entry => {
+      entry.attributes.variant = `${entry.product.Description || ''} (${codeOf(entry.product)})`;
+    });
+    dimensions = [{ key: 'variant', label: 'Option' }];
+  }
+
+  dimensions.forEach(dimension => {
+    dimension.values = distinct(dimension.key).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  });
+  return { dimensions, entries };
+}
+
+/**
+ * Attribute selection of a product within a matrix
+ * @param {Object} matrix
+ * @param {Object} product
+ * @returns {Object<string, string>}
+ */
+export function selectionOf(matrix, product) {
+  const entry = matrix.entries.find(item => codeOf(item.product) === codeOf(product));
+  return entry ? { ...entry.attributes } : {};
+}
+
+/**
+ * Whether picking `value` for `key` keeps the other selected attributes
+ * @param {Object} matrix
+ * @param {Object<string, string>} selection
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isCombinationAvailable(matrix, selection, key, value) {
+  return matrix.entries.some(entry => entry.attributes[key] === value &&
+    matrix.dimensions.every(dimension => dimension.key === key || entry.attributes[dimension.key] === selection[dimension.key]));
+}
+
+/**
+ * Variant for a selection. An exact match wins; otherwise the variant with `changedKey`
+ * set that keeps the most of the other attributes.
+ * @param {Object} matrix
+ * @param {Object<string, string>} selection
+ * @param {string} [changedKey] - Dimension the user just changed
+ * @returns {Object|null} Product
+ */
+export function resolveVariant(matrix, selection, changedKey = null) {
+  let best = null;
+  let bestScore = -1;
+  matrix.entries.forEach(entry => {
+    if (changedKey && entry.attributes[changedKey] !== selection[changedKey]) {return;}
+    const score = matrix.dimensions.filter(dimension => entry.attributes[dimension.key] === selection[dimension.key]).length;
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+  return best ? best.product : null;
+}
+
+const variantCache = new WeakMap();
+
+/**
+ * Products sharing the product's `Product Name`, sorted by Description
+ * @param {Object} product
+ * @param {Array<Object>} products - Catalog. Pass `dataLayer.products` itself, not a copy:
+ *   the grouping is cached per array, and the data layer swaps in a new array on each load.
+ * @returns {Array<Object>}
+ */
+export function findVariants(product, products) {
+  const name = (product?.['Product Name'] || product?.ProductName || '').toString().trim();
+  if (!name) {return [];}
+
+  // Group the catalog by name once per catalog array
+  let byName = variantCache.get(products);
+  if (!byName) {
+    byName = new Map();
+    products.forEach(p => {
+      const pName = (p['Product Name'] || p.ProductName || '').toString().trim();
+      if (!pName) {return;}
+      if (!byName.has(pName)) {byName.set(pName, []);}
+      byName.get(pName).push(p);
+    });
+    byName.forEach(list => list.sort((a, b) => (a.Description || '').localeCompare(b.Description || '')));
+    variantCache.set(products, byName);
+  }
+  return byName.get(name) || [];
+}
+
+/**
+ * HTML for one select per dimension. Unavailable combinations are greyed out.
+ * @param {Object} matrix
+ * @param {Object<string, string>} selection
+ * @param {Object} [options]
+ * @param {string} [options.className='variant-dimension-select']
+ * @param {boolean} [options.compact=false] - Small selects for grid rows
+ * @returns {string}
+ */
+export function renderVariantSelectors(matrix, selection, { className = 'variant-dimension-select', compact = false } = {}) {
+  const selectStyle = compact
+    ? 'font-size: 12px; padding: 2px 4px; border: 1px solid #d1d5db; border-radius: 4px; background: #fff; max-width: 100%;'
+    : 'width: 100%; font-size: 1rem; padding: 10px 14px; border-radius: 12px; border: 1.5px solid #e0e0e0; background: #f8f8fa; box-sizing: border-box;';
+
+  return matrix.dimensions.map(dimension => `
+    <label style="display: ${compact ? 'inline-flex' : 'block'}; align-items: center; gap: 4px; ${compact ? 'margin-right: 6px;' : 'margin-bottom: 8px;'}">
+      <span style="font-size: ${compact ? '11px' : '0.9rem'}; color: #6b7280;${compact ? '' : ' display: block; margin-bottom: 2px;'}">${dimension.label}</span>
+      <select class="${className}" data-dimension="${dimension.key}" style="${selectStyle}">
+        ${dimension.values.map((value, index) => {
+    const available = isCombinationAvailable(matrix, selection, dimension.key, value);
+    return `<option value="${index}"${value === selection[dimension.key] ? ' selected' : ''}${available ? '' : ' style="color: #9ca3af;" title="Not available with the other options"'}>${Utils.escapeHtml(value || '—')}</option>`;
+  }).join('')}
+      </select>
+    </label>
+  `).join('');
+}
+
+/**
+ * Read the current selection from rendered selectors
+ * @param {HTMLElement} container
+ * @param {Object} matrix - Matrix the selectors were rendered from
+ * @returns {Object<string, string>}
+ */
+export function readVariantSelection(container, matrix) {
+  const selection = {};
+  container.querySelectorAll('select[data-dimension]').forEach(select => {
+    const dimension = matrix.dimensions.find(d => d.key === select.dataset.dimension);
+    if (dimension) {
+      selection[dimension.key] = dimension.values[Number(select.value)];
+    }
+  });
+  return selection;
+}
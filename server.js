@@ -22,6 +22,8 @@ const mimeTypes = {
   '.js': 'application/javascript',
   '.css': 'text/css',
   '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.pdf': 'application/pdf',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.gif': 'image/gif',
@@ -61,7 +63,24 @@ function serveFile(res, filePath) {
   });
 }
 
+// Catalog file served at /catalog (CATALOG_FILE overrides the defaults)
+const catalogCandidates = process.env.CATALOG_FILE
+  ? [path.resolve(__dirname, process.env.CATALOG_FILE)]
+  : [path.join(__dirname, 'catalog.csv'), path.join(__dirname, 'catalog.json')];
+
 const server = http.createServer((req, res) => {
+  // Handle /catalog endpoint used by the 'server' catalog source
+  if (req.url.split('?')[0] === '/catalog') {
+    const catalogFile = catalogCandidates.find(file => fs.existsSync(file));
+    if (!catalogFile) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'No catalog file found (set CATALOG_FILE or add catalog.csv)' }));
+      return;
+    }
+    serveFile(res, catalogFile);
+    return;
+  }
+
   // Handle /assets-list endpoint to return available PDF files
   if (req.url === '/assets-list') {
     const assetsDir = path.join(__dirname, 'assets');
@@ -12,6 +12,12 @@ import os
 from pathlib import Path
 import json
 
+# Catalog file served at /catalog (CATALOG_FILE overrides the defaults)
+if os.environ.get('CATALOG_FILE'):
+    CATALOG_CANDIDATES = [Path(__file__).parent / os.environ['CATALOG_FILE']]
+else:
+    CATALOG_CANDIDATES = [Path(__file__).parent / 'catalog.csv', Path(__file__).parent / 'catalog.json']
+
 class CustomHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
     """Custom handler to set proper MIME types for ES6 modules"""
     
@@ -39,10 +45,28 @@ class CustomHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
         # Ensure .js files are served with the correct MIME type for ES6 modules
         if str(path).endswith('.js'):
             return 'application/javascript'
+        if str(path).endswith('.webmanifest'):
+            return 'application/manifest+json'
         
         return mimetype
 
     def do_GET(self):
+        # Handle /catalog endpoint used by the 'server' catalog source
+        if self.path.split('?')[0] == '/catalog':
+            catalog_file = next((f for f in CATALOG_CANDIDATES if f.is_file()), None)
+            if catalog_file is None:
+                self.send_response(404)
+                self.send_header('Content-Type', 'application/json')
+                self.end_headers()
+                self.wfile.write(json.dumps({'error': 'No catalog file found (set CATALOG_FILE or add catalog.csv)'}).encode('utf-8'))
+                return
+            content_type = 'application/json' if catalog_file.suffix == '.json' else 'text/csv; charset=utf-8'
+            self.send_response(200)
+            self.send_header('Content-Type', content_type)
+            self.send_header('Cache-Control', 'no-cache')
+            self.end_headers()
+            self.wfile.write(catalog_file.read_bytes())
+            return
         if self.path == '/assets-list':
             assets_dir = Path(__file__).parent / 'assets'
             pdfs = [f.name for f in assets_dir.glob('*.pdf') if f.is_file()]
@@ -0,0 +1,183 @@
+/**
+ * Service Worker
+ * Lets the presenter run with no network: the app shell and the CDN libraries are
+ * precached on install, and product images are cached the first time they are shown
+ * (or ahead of time with "Prepare for offline" in Settings, see js/offline-cache.js).
+ *
+ * - App shell (same origin): network first, cached copy when offline
+ * - CDN libraries: cache first
+ * - Product images (other origins), direct or through the PDF image proxies: cache first
+ *
+ * Bump SHELL_VERSION when the shell file list changes.
+ *
+ * @author Seima Development Team
+ * @version 1.0.0
+ * @since 1.9.2
+ */
+
+const SHELL_VERSION = 'v11';
+const SHELL_CACHE = `seima-shell-${SHELL_VERSION}`;
+const LIBRARY_CACHE = 'seima-libs-v1';
+// Keep in step with IMAGE_CACHE in js/offline-cache.js
+const IMAGE_CACHE = 'seima-images-v1';
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './style.css',
+  './version.txt',
+  './assets-list.json',
+  './manifest.webmanifest',
+  './assets/no-image.png',
+  './assets/icon-192.png',
+  './assets/icon-512.png',
+  './assets/seima-logo.png',
+  './assets/seima-logo-white.png',
+  './screens/product-details.html',
+  './screens/product-grid.html',
+  './screens/review.html',
+  './js/app.js',
+  './js/barcode-scanner.js',
+  './js/browser-compatibility.js',
+  './js/catalog-browser.js',
+  './js/catalog-history.js',
+  './js/catalog-parser.js',
+  './js/catalog-quality.js',
+  './js/catalog-sources.js',
+  './js/catalog-worker-client.js',
+  './js/catalog-worker.js',
+  './js/compare-tray.js',
+  './js/config-manager.js',
+  './js/config.js',
+  './js/csv-parser.js',
+  './js/data-layer.js',
+  './js/error-handler.js',
+  './js/file-import.js',
+  './js/modules.js',
+  './js/navigation.js',
+  './js/offline-cache.js',
+  './js/pdf-core.js',
+  './js/pdf-generator.js',
+  './js/pdf-layouts.js',
+  './js/pdf-unified.js',
+  './js/persistent-store.js',
+  './js/price-tiers.js',
+  './js/product-grid.js',
+  './js/projects.js',
+  './js/recommendations.js',
+  './js/search-engine.js',
+  './js/selection-reconciler.js',
+  './js/storage-schema.js',
+  './js/selection-history.js',
+  './js/project-bundle.js',
+  './js/revisions.js',
+  './js/storage-monitor.js',
+  './js/storage.js',
+  './js/synonyms.js',
+  './js/tab-sync.js',
+  './js/utils.js',
+  './js/variant-matrix.js'
+];
+
+const LIBRARY_URLS = [
+  'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+  'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/dist/pdf-lib.min.js',
+  'https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js',
+  'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'
+];
+
+const LIBRARY_HOSTS = ['cdn.jsdelivr.net'];
+const IMAGE_PATTERN = /\.(png|jpe?g|gif|webp|svg)(\?|&|$)/i;
+
+/**
+ * Add URLs one by one so a single missing file does not fail the install
+ */
+async function precache(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+  const failed = results.filter(result => result.status === 'rejected').length;
+  if (failed) {
+    console.warn(`⚠️ Service worker: ${failed} of ${urls.length} files not precached in ${cacheName}`);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    precache(SHELL_CACHE, SHELL_FILES),
+    precache(LIBRARY_CACHE, LIBRARY_URLS)
+  ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, LIBRARY_CACHE, IMAGE_CACHE];
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('seima-') && !current.includes(key))
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+/**
+ * Product images are recognised by destination or by an image extension anywhere in the
+ * URL, which also catches proxied URLs such as `https://corsproxy.io/?https%3A...jpg`.
+ * Same-origin images (logos, placeholders) belong to the app shell instead.
+ */
+function isImageRequest(request, url) {
+  if (url.origin === self.location.origin) {return false;}
+  if (request.destination === 'image') {return true;}
+  try {
+    return IMAGE_PATTERN.test(decodeURIComponent(url.href));
+  } catch (e) {
+    return IMAGE_PATTERN.test(url.href);
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  // An opaque copy cannot satisfy a CORS request (PDF images are drawn to a canvas)
+  if (cached && !(request.mode === 'cors' && cached.type === 'opaque')) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone()).catch(() => {});
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const url = new URL(request.url);
+  try {
+    const response = await fetch(request);
+    // Cache-busted requests would pile up; only plain URLs are kept
+    if (response.ok && !url.search) {
+      cache.put(request, response.clone()).catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {return cached;}
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('./index.html');
+      if (shell) {return shell;}
+    }
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') {return;}
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) {return;}
+
+  if (isImageRequest(request, url)) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, LIBRARY_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,211 @@
+/**
+ * Barcode decoding from bar/space run widths and from pixels. Symbols are built here
+ * from the published encodings, so the tables in the decoder are checked against an
+ * independent copy.
+ */
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BarcodeFormat, decodeRuns, decodeImageData, isValidEanChecksum } from '../js/barcode-scanner.js';
+
+const QUIET = 12;
+
+// EAN/UPC left-hand odd (L) digit widths: space, bar, space, bar
+const EAN_L = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']
+  .map(widths => widths.split('').map(Number));
+// Left-hand parity of the six left digits for each first digit (G = even)
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+const CODE128 = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// Code 39 elements (bar, space, ...), n = narrow, w = wide
+const CODE39 = {
+  '*': 'nwnnwnwnn',
+  A: 'wnnnnwnnw',
+  B: 'nnwnnwnnw',
+  1: 'wnnwnnnnw',
+  2: 'nnwwnnnnw',
+  '-': 'nwnnnnwnw'
+};
+
+/**
+ * Complete an EAN/UPC number with its check digit
+ * @param {string} digits - Without the check digit
+ * @returns {string}
+ */
+function withCheckDigit(digits) {
+  for (let check = 0; check < 10; check++) {
+    if (isValidEanChecksum(`${digits}${check}`)) {return `${digits}${check}`;}
+  }
+  throw new Error('No check digit');
+}
+
+/**
+ * EAN-13 runs, starting and ending with a quiet zone; scale is the module width
+ * @param {string} text - 13 digits
+ * @param {number} [scale=1]
+ * @returns {number[]}
+ */
+function ean13Runs(text, scale = 1) {
+  const digits = text.split('').map(Number);
+  const parity = EAN13_PARITY[digits[0]];
+  const runs = [QUIET, 1, 1, 1];
+  digits.slice(1, 7).forEach((digit, i) => {
+    runs.push(...(parity[i] === 'G' ? [...EAN_L[digit]].reverse() : EAN_L[digit]));
+  });
+  runs.push(1, 1, 1, 1, 1);
+  digits.slice(7).forEach(digit => runs.push(...EAN_L[digit]));
+  runs.push(1, 1, 1, QUIET);
+  return runs.map(width => width * scale);
+}
+
+/**
+ * EAN-8 runs
+ * @param {string} text - 8 digits
+ * @returns {number[]}
+ */
+function ean8Runs(text) {
+  const digits = text.split('').map(Number);
+  const runs = [QUIET, 1, 1, 1];
+  digits.slice(0, 4).forEach(digit => runs.push(...EAN_L[digit]));
+  runs.push(1, 1, 1, 1, 1);
+  digits.slice(4).forEach(digit => runs.push(...EAN_L[digit]));
+  runs.push(1, 1, 1, QUIET);
+  return runs;
+}
+
+/**
+ * Code 128 runs in code set B
+ * @param {string} text
+ * @returns {number[]}
+ */
+function code128Runs(text) {
+  const values = [104, ...text.split('').map(char => char.charCodeAt(0) - 32)];
+  const check = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  const runs = [QUIET];
+  [...values, check, 106].forEach(value => runs.push(...CODE128[value].split('').map(Number)));
+  runs.push(QUIET);
+  return runs;
+}
+
+/**
+ * Code 39 runs, wide elements three modules wide
+ * @param {string} text
+ * @returns {number[]}
+ */
+function code39Runs(text) {
+  const runs = [QUIET * 2];
+  `*${text}*`.split('').forEach((char, i) => {
+    if (i > 0) {runs.push(1);}
+    runs.push(...CODE39[char].split('').map(element => (element === 'w' ? 3 : 1)));
+  });
+  runs.push(QUIET * 2);
+  return runs;
+}
+
+/**
+ * Both scan directions of a line
+ * @param {number[]} runs
+ * @returns {Array<Array<{format: string, text: string}>>}
+ */
+function decodeBothWays(runs) {
+  return [decodeRuns(runs), decodeRuns([...runs].reverse())];
+}
+
+/**
+ * A grey image of one horizontal barcode (full height), with some noise
+ * @param {number[]} runs - Starting with a space
+ * @param {number} [pixelsPerModule=3]
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+function renderImage(runs, pixelsPerModule = 3) {
+  const row = [];
+  runs.forEach((width, i) => {
+    const value = i % 2 === 0 ? 235 : 25;
+    for (let p = 0; p < width * pixelsPerModule; p++) {row.push(value + ((p * 7) % 5) - 2);}
+  });
+  const width = row.length;
+  const height = 60;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    row.forEach((value, x) => {
+      data.set([value, value, value, 255], (y * width + x) * 4);
+    });
+  }
+  return { data, width, height };
+}
+
+test('EAN-13 reads in both directions', () => {
+  const text = withCheckDigit('931234567890');
+  decodeBothWays(ean13Runs(text)).forEach(results => {
+    assert.deepEqual(results, [{ format: BarcodeFormat.EAN_13, text }]);
+  });
+});
+
+test('UPC-A is EAN-13 with a leading zero, reported without it', () => {
+  const text = withCheckDigit('03600029145');
+  decodeBothWays(ean13Runs(`0${text}`)).forEach(results => {
+    assert.deepEqual(results, [{ format: BarcodeFormat.UPC_A, text }]);
+  });
+});
+
+test('EAN-8 reads in both directions', () => {
+  const text = withCheckDigit('9638507');
+  decodeBothWays(ean8Runs(text)).forEach(results => {
+    assert.deepEqual(results, [{ format: BarcodeFormat.EAN_8, text }]);
+  });
+});
+
+test('Code 128 reads in both directions', () => {
+  decodeBothWays(code128Runs('SEIMA-191620')).forEach(results => {
+    assert.deepEqual(results, [{ format: BarcodeFormat.CODE_128, text: 'SEIMA-191620' }]);
+  });
+});
+
+test('Code 39 reads in both directions', () => {
+  decodeBothWays(code39Runs('AB-12')).forEach(results => {
+    assert.deepEqual(results, [{ format: BarcodeFormat.CODE_39, text: 'AB-12' }]);
+  });
+});
+
+test('a wrong check digit is rejected', () => {
+  const text = withCheckDigit('931234567890');
+  const wrong = `${text.slice(0, 12)}${(Number(text[12]) + 1) % 10}`;
+  assert.equal(isValidEanChecksum(text), true);
+  assert.equal(isValidEanChecksum(wrong), false);
+  decodeBothWays(ean13Runs(wrong)).forEach(results => assert.deepEqual(results, []));
+
+  const ean8 = withCheckDigit('9638507');
+  decodeBothWays(ean8Runs(`${ean8.slice(0, 7)}${(Number(ean8[7]) + 1) % 10}`)).forEach(results => {
+    assert.deepEqual(results, []);
+  });
+});
+
+test('an EAN-13 is read from pixels', () => {
+  const text = withCheckDigit('931234567890');
+  const [result] = decodeImageData(renderImage(ean13Runs(text)), { scanLines: 4 });
+
+  assert.deepEqual({ format: result.format, text: result.text }, { format: BarcodeFormat.EAN_13, text });
+  assert.equal(result.count, 4);
+});
+
+test('Code 39 has no check digit, so it must be read on two lines', () => {
+  const image = renderImage(code39Runs('AB-12'));
+
+  assert.deepEqual(decodeImageData(image, { scanLines: 1 }), []);
+  const [result] = decodeImageData(image, { scanLines: 2 });
+  assert.deepEqual(result, { format: BarcodeFormat.CODE_39, text: 'AB-12', count: 2 });
+});
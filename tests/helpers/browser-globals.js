@@ -0,0 +1,29 @@
+/**
+ * Minimal browser globals so app modules can be imported under `node --test`.
+ * Import before any module from js/.
+ */
+
+const store = new Map();
+
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => {store.set(key, String(value));},
+  removeItem: key => {store.delete(key);},
+  clear: () => store.clear(),
+  key: index => Array.from(store.keys())[index] ?? null,
+  get length() {return store.size;}
+};
+
+globalThis.window = {
+  addEventListener() {},
+  removeEventListener() {},
+  dispatchEvent() {return true;},
+  location: { hostname: 'localhost', port: '', href: 'http://localhost/' }
+};
+
+globalThis.CustomEvent = class CustomEvent {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.detail = init.detail ?? null;
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Search ranking: synonym hits come after direct hits in any field.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchEngine } from '../js/search-engine.js';
+
+const synonyms = token => (token === 'tap' ? ['mixer'] : []);
+const codesOf = results => results.map(result => result.product.OrderCode);
+
+test('a direct prefix hit in the description beats a synonym hit in the name', () => {
+  const engine = new SearchEngine([
+    { OrderCode: 'A1', 'Product Name': 'Mixer' },
+    { OrderCode: 'B2', 'Product Name': 'Basin', Description: 'Tapware set' }
+  ]);
+
+  const results = engine.search('tap', { synonyms });
+
+  assert.deepEqual(codesOf(results), ['B2', 'A1']);
+  assert.deepEqual(results.map(result => result.direct), [1, 0]);
+});
+
+test('a direct hit in the long description beats a synonym hit in the name', () => {
+  const engine = new SearchEngine([
+    { OrderCode: 'A1', 'Product Name': 'Mixer' },
+    { OrderCode: 'B2', 'Product Name': 'Basin', 'Long Description': 'Fits any tap' }
+  ]);
+
+  assert.deepEqual(codesOf(engine.search('tap', { synonyms })), ['B2', 'A1']);
+});
+
+test('products with more direct tokens rank first in multi-word queries', () => {
+  const engine = new SearchEngine([
+    { OrderCode: 'A1', 'Product Name': 'Chrome Mixer' },
+    { OrderCode: 'B2', 'Product Name': 'Basin', Description: 'Chrome tap' }
+  ]);
+
+  assert.deepEqual(codesOf(engine.search('chrome tap', { synonyms })), ['B2', 'A1']);
+});
+
+test('synonym-only matches are still found and ordered by field', () => {
+  const engine = new SearchEngine([
+    { OrderCode: 'A1', 'Product Name': 'Basin', Description: 'Mixer' },
+    { OrderCode: 'B2', 'Product Name': 'Mixer' },
+    { OrderCode: 'C3', 'Product Name': 'Shower' }
+  ]);
+
+  assert.deepEqual(codesOf(engine.search('tap', { synonyms })), ['B2', 'A1']);
+  assert.deepEqual(codesOf(engine.search('tap')), []);
+});
@@ -0,0 +1,133 @@
+/**
+ * Storage schema migrations, run against fixture blobs of older saves.
+ * Fixtures hold stored values by key; arrays and objects are stored as JSON text,
+ * as the app writes them.
+ */
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { migrateValues, normalizeProduct, normalizeLineItem, SCHEMA_VERSION } from '../js/storage-schema.js';
+
+const NOW = 1710000000000;
+
+/**
+ * Load a fixture as raw stored values
+ * @param {string} name
+ * @returns {Object<string, string|null>}
+ */
+function loadFixture(name) {
+  const data = JSON.parse(readFileSync(new URL(`./fixtures/storage-schema/${name}.json`, import.meta.url), 'utf8'));
+  const values = {};
+  Object.entries(data).forEach(([key, value]) => {
+    values[key] = value === null || typeof value === 'string' ? value : JSON.stringify(value);
+  });
+  return values;
+}
+
+const linesOf = values => JSON.parse(values.selectedProducts);
+
+test('unversioned legacy selection becomes canonical line items', () => {
+  const { values, applied } = migrateValues(loadFixture('v1-legacy-selection'), 1, { now: NOW });
+
+  assert.deepEqual(applied, [2, 3]);
+  assert.equal(values.selection, null);
+  const lines = linesOf(values);
+  assert.equal(lines.length, 2);
+
+  const [mixer, waste] = lines;
+  assert.equal(typeof mixer.id, 'string');
+  assert.ok(mixer.id);
+  assert.deepEqual(
+    { room: mixer.room, notes: mixer.notes, quantity: mixer.quantity, timestamp: mixer.timestamp },
+    { room: 'Bathroom', notes: 'Chrome', quantity: 2, timestamp: Date.parse('2024-03-01T10:00:00.000Z') }
+  );
+  assert.equal(mixer.product.OrderCode, '191620');
+  assert.equal(mixer.product.RRP_EX, '250.00');
+  assert.equal(mixer.product.RRP_INCGST, '275.00');
+  assert.equal(mixer.product['RRP EX GST'], undefined);
+  assert.equal(mixer.product['RRP INC GST'], undefined);
+  assert.equal(mixer.product.Room, undefined);
+
+  assert.equal(waste.product.OrderCode, '191705');
+  assert.equal(waste.product.RRP_EX, '45.5');
+  assert.equal(waste.product.RRP_INCGST, '');
+  assert.deepEqual({ notes: waste.notes, quantity: waste.quantity, timestamp: waste.timestamp }, { notes: '', quantity: 1, timestamp: NOW });
+});
+
+test('field aliases are renamed and malformed lines dropped', () => {
+  const { values } = migrateValues(loadFixture('v1-field-aliases'), 1, { now: NOW });
+
+  // The current selection wins over the legacy copy, which is removed
+  assert.equal(values.selection, null);
+  const lines = linesOf(values);
+  assert.equal(lines.length, 2);
+
+  const [first, second] = lines;
+  assert.equal(first.id, 'line-1');
+  assert.deepEqual(first.product, { OrderCode: '191620', Description: 'Arko Basin Mixer', RRP_EX: '250', RRP_INCGST: '275.00' });
+  assert.deepEqual({ room: first.room, quantity: first.quantity, timestamp: first.timestamp }, { room: 'Ensuite', quantity: 3, timestamp: 1700000000000 });
+
+  assert.ok(second.id);
+  assert.equal(second.product.OrderCode, '191640');
+  assert.equal(second.product.Code, undefined);
+  assert.equal(second.product.RRP_EX, '120.00');
+  assert.deepEqual({ room: second.room, notes: second.notes, quantity: second.quantity, timestamp: second.timestamp }, { room: '', notes: '', quantity: 1, timestamp: NOW });
+});
+
+test('only migrations newer than the stored version run', () => {
+  const { values, applied } = migrateValues(loadFixture('v2-selection'), 2, { now: NOW });
+
+  assert.deepEqual(applied, [3]);
+  assert.equal('selection' in values, false);
+  const [line] = linesOf(values);
+  assert.equal(line.product.OrderCode, '191620');
+  assert.equal(line.product.orderCode, undefined);
+  assert.equal(line.product.UserEditedPrice, '230.00');
+  assert.deepEqual({ room: line.room, notes: line.notes, quantity: line.quantity }, { room: 'Kitchen', notes: 'Check finish', quantity: 1 });
+});
+
+test('saved project records keep their other keys', () => {
+  const record = loadFixture('v1-project-record');
+  const { values } = migrateValues(record, 1, { now: NOW });
+
+  assert.equal(values.selection, null);
+  assert.equal(values.customRooms, record.customRooms);
+  assert.equal(values.pdfFormSettings, record.pdfFormSettings);
+  const [line] = linesOf(values);
+  assert.deepEqual({ code: line.product.OrderCode, price: line.product.RRP_EX, room: line.room, quantity: line.quantity }, { code: '191620', price: '250.00', room: 'Laundry', quantity: 4 });
+});
+
+test('data at the current version is left alone', () => {
+  const current = migrateValues(loadFixture('v1-field-aliases'), 1, { now: NOW }).values;
+  const { values, applied } = migrateValues(current, SCHEMA_VERSION, { now: NOW });
+
+  assert.deepEqual(applied, []);
+  assert.deepEqual(values, current);
+});
+
+test('the canonical migration is idempotent', () => {
+  const once = migrateValues(loadFixture('v1-legacy-selection'), 1, { now: NOW }).values;
+  const twice = migrateValues(once, SCHEMA_VERSION - 1, { now: NOW + 1 }).values;
+
+  assert.deepEqual(linesOf(twice), linesOf(once));
+});
+
+test('normalizeProduct prefers the canonical field over aliases', () => {
+  assert.deepEqual(
+    normalizeProduct({ OrderCode: 'A1', orderCode: 'B2', RRP_EX: '', 'RRP EX GST': 12, Description: 'Tap' }),
+    { OrderCode: 'A1', RRP_EX: '12', RRP_INCGST: '', Description: 'Tap' }
+  );
+  assert.deepEqual(normalizeProduct(null), { OrderCode: '', RRP_EX: '', RRP_INCGST: '' });
+});
+
+test('normalizeLineItem fills in missing fields', () => {
+  const line = normalizeLineItem({ product: { OrderCode: 'A1' }, quantity: '-2', room: null }, NOW);
+
+  assert.ok(line.id);
+  assert.deepEqual(
+    { product: line.product, room: line.room, notes: line.notes, quantity: line.quantity, timestamp: line.timestamp },
+    { product: { OrderCode: 'A1', RRP_EX: '', RRP_INCGST: '' }, room: '', notes: '', quantity: 1, timestamp: NOW }
+  );
+});
@@ -0,0 +1,66 @@
+/**
+ * Selection merges between tabs: each tab merges the other's write into its own, and
+ * both must end with the same lines in the same order.
+ */
+
+import './helpers/browser-globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSelections } from '../js/tab-sync.js';
+
+const line = (id, timestamp, quantity = 1) => ({ id, timestamp, quantity, product: { OrderCode: `C${id}` } });
+const idsOf = items => items.map(item => item.id);
+
+/**
+ * Merge in both tabs; tab B wrote last, so its version wins a conflict in both
+ * @param {Array<Object>} base
+ * @param {Array<Object>} tabA
+ * @param {Array<Object>} tabB
+ * @returns {{inA: Object, inB: Object}}
+ */
+function mergeBothWays(base, tabA, tabB) {
+  return {
+    inA: mergeSelections(base, tabA, tabB, true),
+    inB: mergeSelections(base, tabB, tabA, false)
+  };
+}
+
+test('lines added in both tabs end in the same order in both', () => {
+  const base = [line('1', 10), line('2', 20)];
+  const { inA, inB } = mergeBothWays(base, [...base, line('3', 30)], [...base, line('4', 40)]);
+
+  assert.deepEqual(idsOf(inA.items), ['1', '2', '3', '4']);
+  assert.deepEqual(inB.items, inA.items);
+});
+
+test('added lines are ordered by timestamp, then id, whichever tab added them', () => {
+  const base = [line('1', 10)];
+  const { inA, inB } = mergeBothWays(base, [...base, line('b', 50), line('z', 30)], [...base, line('a', 50)]);
+
+  assert.deepEqual(idsOf(inA.items), ['1', 'z', 'a', 'b']);
+  assert.deepEqual(inB.items, inA.items);
+});
+
+test('rows moved in one tab keep their new order while the other tab adds a line', () => {
+  const base = [line('1', 10), line('2', 20), line('3', 30)];
+  const moved = [base[2], base[0], base[1]];
+  const { inA, inB } = mergeBothWays(base, moved, [...base, line('4', 40)]);
+
+  assert.deepEqual(idsOf(inA.items), ['3', '1', '2', '4']);
+  assert.deepEqual(inB.items, inA.items);
+});
+
+test('edits, removals and conflicts merge the same way in both tabs', () => {
+  const base = [line('1', 10), line('2', 20), line('3', 30)];
+  const tabA = [line('1', 10, 5), line('2', 20, 2), line('3', 30)];
+  const tabB = [line('1', 10), line('2', 20, 3), line('4', 40)];
+  const { inA, inB } = mergeBothWays(base, tabA, tabB);
+
+  assert.deepEqual(idsOf(inA.items), ['1', '2', '4']);
+  assert.equal(inA.items[0].quantity, 5);
+  // Both changed line 2: tab B wrote last
+  assert.equal(inA.items[1].quantity, 3);
+  assert.deepEqual(inB.items, inA.items);
+  assert.deepEqual(inA.conflicts.map(conflict => conflict.id), ['2']);
+  assert.deepEqual(inB.conflicts.map(conflict => conflict.id), ['2']);
+});